@@ -0,0 +1,467 @@
+/*!
+ * Blog archives for @serguun42/tumblr.js
+ */
+
+const crypto = require("node:crypto");
+const path = require("node:path");
+const { promises: fsPromises } = require("node:fs");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+/**
+ * @typedef {import('./types').ExportCollection} ExportCollection
+ * @typedef {import('./types').ExportOptions} ExportOptions
+ * @typedef {import('./types').ExportResult} ExportResult
+ * @typedef {Record<'blogPosts' | 'blogDrafts' | 'blogQueue' | 'blogSubmissions' | 'blogLikes', (blogIdentifier: string, params: Record<string, any>, requestOptions?: import('./types').RequestOptions) => Promise<any>>} ArchiveClient
+ * @typedef {(url: URL, maxSize: number, signal?: AbortSignal) => Promise<{data: Buffer; contentType: string | undefined; url: URL}>} MediaDownloader
+ * @typedef {{query: Record<string, any> | null; count: number; size: number}} CollectionCheckpoint
+ * `query` of the next page, `null` once the collection is complete. `size` is the JSONL file length in bytes.
+ * @typedef {{version: 1; blog: string; collections: Partial<Record<ExportCollection, CollectionCheckpoint>>; media: Record<string, string>}} Checkpoint
+ * @typedef {import('./types').ImportCollection} ImportCollection
+ * @typedef {import('./types').ImportOptions} ImportOptions
+ * @typedef {import('./types').ImportResult} ImportResult
+ * @typedef {{createPost: (blogIdentifier: string, params: import('./types').NpfPostParams, requestOptions?: import('./types').RequestOptions) => Promise<any>}} ImportClient
+ * @typedef {(err: unknown) => number | null} LimitDelay
+ * Milliseconds to wait after a posting limit error, `null` for other errors
+ */
+
+const CHECKPOINT_FILE = "checkpoint.json";
+
+const MEDIA_DIRECTORY = "media";
+
+/**
+ * Downloaded media files are capped at the largest upload limit, so they can be uploaded again
+ */
+const MAX_MEDIA_SIZE = 500 * 1024 * 1024;
+
+/**
+ * @typedef {object} CollectionSource
+ * @property {(client: ArchiveClient, blogIdentifier: string, query: Record<string, any>, requestOptions: import('./types').RequestOptions) => Promise<any>} fetchPage
+ * @property {(response: any) => any[] | undefined} getItems
+ * @property {(query: Record<string, any>, items: any[], response: any) => Record<string, any> | null} cursor
+ * params of the next page, used when the API sends no `_links.next`
+ */
+
+/**
+ * @param {Record<string, any>} query
+ * @param {any[]} items
+ * @param {any} response
+ *
+ * @returns {Record<string, any> | null}
+ */
+function offsetCursor(query, items, response) {
+	const offset = (Number(query.offset) || 0) + items.length;
+
+	return Number.isInteger(response?.total_posts) && offset >= response.total_posts ? null : { offset };
+}
+
+/**
+ * How to page through every exported collection, in the export order
+ *
+ * @type {Readonly<Record<ExportCollection, CollectionSource>>}
+ */
+const COLLECTIONS = {
+	posts: {
+		fetchPage: (client, blog, query, requestOptions) => client.blogPosts(blog, query, requestOptions),
+		getItems: (response) => response?.posts,
+		cursor: offsetCursor
+	},
+	drafts: {
+		fetchPage: (client, blog, query, requestOptions) => client.blogDrafts(blog, query, requestOptions),
+		getItems: (response) => response?.posts,
+		cursor: (_query, items) => {
+			const last = items[items.length - 1];
+			const id = last?.id_string ?? last?.id;
+
+			return id ? { before_id: id } : null;
+		}
+	},
+	queue: {
+		fetchPage: (client, blog, query, requestOptions) => client.blogQueue(blog, query, requestOptions),
+		getItems: (response) => response?.posts,
+		cursor: offsetCursor
+	},
+	submissions: {
+		fetchPage: (client, blog, query, requestOptions) => client.blogSubmissions(blog, query, requestOptions),
+		getItems: (response) => response?.posts,
+		cursor: offsetCursor
+	},
+	likes: {
+		fetchPage: (client, blog, query, requestOptions) => client.blogLikes(blog, query, requestOptions),
+		getItems: (response) => response?.liked_posts,
+		cursor: (_query, items) => {
+			const last = items[items.length - 1];
+
+			return last?.liked_timestamp ? { offset: undefined, before: last.liked_timestamp } : null;
+		}
+	}
+};
+
+/**
+ * @param {string} file
+ *
+ * @returns {Promise<any>} parsed JSON, `null` if the file doesn't exist
+ */
+async function readJson(file) {
+	try {
+		return JSON.parse(await fsPromises.readFile(file, "utf8"));
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === "ENOENT") return null;
+		throw err;
+	}
+}
+
+/**
+ * Replaces the file at once, an interrupted write never leaves it half-written
+ *
+ * @param {string} file
+ * @param {unknown} value
+ */
+async function writeJsonAtomically(file, value) {
+	const temporary = `${file}.tmp`;
+	await fsPromises.writeFile(temporary, JSON.stringify(value));
+	await fsPromises.rename(temporary, file);
+}
+
+/**
+ * Picks the original of media listed in several sizes, falling back to the widest one
+ *
+ * @param {any} media - media object or list of them
+ *
+ * @returns {any} media object, `undefined` if there is none
+ */
+function originalMedia(media) {
+	const candidates = [media].flat().filter((candidate) => typeof candidate?.url === "string");
+
+	return (
+		candidates.find((candidate) => candidate.has_original_dimensions) ??
+		candidates.reduce(
+			(widest, candidate) => ((candidate.width ?? 0) > (widest.width ?? 0) ? candidate : widest),
+			candidates[0]
+		)
+	);
+}
+
+/**
+ * Calls the callback with every media object of a post, including trail items, posters and nested blocks
+ *
+ * Only the original of media listed in several sizes is kept, the other sizes are dropped from the post.
+ *
+ * @param {any} value
+ * @param {(media: {url: string}) => void | Promise<void>} callback
+ *
+ * @returns {Promise<void>}
+ */
+async function forEachMedia(value, callback) {
+	if (Array.isArray(value)) {
+		for (const item of value) await forEachMedia(item, callback);
+		return;
+	}
+	if (typeof value !== "object" || value === null) return;
+
+	for (const [key, child] of Object.entries(value)) {
+		if (key === "media" || key === "poster") {
+			const media = originalMedia(child);
+			if (Array.isArray(child) && media) value[key] = [media];
+			if (typeof media?.url === "string" && /^https?:\/\//i.test(media.url)) await callback(media);
+		}
+
+		await forEachMedia(value[key], callback);
+	}
+}
+
+/**
+ * Exports a blog to JSONL files, one per collection, saving a checkpoint after every page
+ *
+ * @param {ArchiveClient} client
+ * @param {MediaDownloader} download
+ * @param {string} blogIdentifier
+ * @param {string} directory
+ * @param {ExportOptions} [options]
+ *
+ * @returns {Promise<ExportResult>}
+ */
+async function exportBlog(client, download, blogIdentifier, directory, options) {
+	const {
+		collections = /** @type {ExportCollection[]} */ (Object.keys(COLLECTIONS)),
+		media: downloadAll = false,
+		pageSize,
+		...requestOptions
+	} = options ?? {};
+
+	for (const collection of collections) {
+		if (!Object.prototype.hasOwnProperty.call(COLLECTIONS, collection)) {
+			throw new TypeError(`Unknown export collection ${collection}.`);
+		}
+	}
+
+	await fsPromises.mkdir(path.join(directory, MEDIA_DIRECTORY), { recursive: true });
+
+	const checkpointFile = path.join(directory, CHECKPOINT_FILE);
+	/** @type {Checkpoint | null} */
+	const saved = await readJson(checkpointFile);
+	if (saved && saved.blog !== blogIdentifier) {
+		throw new Error(`${directory} has an export of ${saved.blog}, not ${blogIdentifier}.`);
+	}
+
+	/** @type {Checkpoint} */
+	const checkpoint = saved ?? { version: 1, blog: blogIdentifier, collections: {}, media: {} };
+
+	/** @type {ExportResult} */
+	const result = {
+		directory,
+		resumed: Boolean(saved),
+		counts: {},
+		media: { downloaded: 0, failed: [] }
+	};
+
+	/**
+	 * Downloads the media file unless it's already in the archive and points the media object to it
+	 *
+	 * @param {{url: string}} media
+	 */
+	const localizeMedia = async (media) => {
+		let local = checkpoint.media[media.url];
+
+		if (!local) {
+			try {
+				const { data } = await download(new URL(media.url), MAX_MEDIA_SIZE, requestOptions.signal);
+				const extension = path.extname(new URL(media.url).pathname).toLowerCase();
+				const hash = crypto.createHash("sha256").update(data).digest("hex");
+
+				// Content-addressed: the same file linked from many posts or sizes is stored once
+				local = `${MEDIA_DIRECTORY}/${hash}${/^\.[a-z0-9]{1,5}$/.test(extension) ? extension : ""}`;
+				await fsPromises.writeFile(path.join(directory, local), data);
+				checkpoint.media[media.url] = local;
+				result.media.downloaded++;
+			} catch (err) {
+				if (requestOptions.signal?.aborted) throw err;
+
+				result.media.failed.push({
+					url: media.url,
+					error: err instanceof Error ? err : new Error(String(err))
+				});
+				return;
+			}
+		}
+
+		media.url = local;
+	};
+
+	for (const collection of collections) {
+		const source = COLLECTIONS[collection];
+		const file = path.join(directory, `${collection}.jsonl`);
+
+		let state = checkpoint.collections[collection];
+		if (state) {
+			// Lines written after the last checkpoint are written again from its page
+			await fsPromises.truncate(file, state.size).catch((err) => {
+				if (err.code !== "ENOENT") throw err;
+			});
+		} else {
+			state = { query: { npf: true, ...(pageSize && { limit: pageSize }) }, count: 0, size: 0 };
+			await fsPromises.writeFile(file, "");
+		}
+
+		while (state.query) {
+			/** @type {Record<string, any>} */
+			const query = state.query;
+			const response = await source.fetchPage(client, blogIdentifier, query, requestOptions);
+			const items = source.getItems(response) ?? [];
+
+			let lines = "";
+			for (const item of items) {
+				if (downloadAll) await forEachMedia(item, localizeMedia);
+				lines += `${JSON.stringify(item)}\n`;
+			}
+			await fsPromises.appendFile(file, lines);
+
+			/** @type {Record<string, any> | null} */
+			const next = items.length
+				? (response?._links?.next?.query_params ?? source.cursor(query, items, response))
+				: null;
+			/** @type {Record<string, any> | null} */
+			let nextQuery = next && { ...query, ...next };
+			if (nextQuery) {
+				for (const key of Object.keys(nextQuery)) {
+					if (nextQuery[key] === undefined) delete nextQuery[key];
+				}
+				// The API sent the same cursor again, continuing would loop forever
+				if (JSON.stringify(nextQuery) === JSON.stringify(query)) nextQuery = null;
+			}
+
+			state = {
+				query: nextQuery,
+				count: state.count + items.length,
+				size: state.size + Buffer.byteLength(lines)
+			};
+			checkpoint.collections[collection] = state;
+			await writeJsonAtomically(checkpointFile, checkpoint);
+		}
+
+		result.counts[collection] = state.count;
+	}
+
+	return result;
+}
+
+/**
+ * Post state by imported collection
+ *
+ * @type {Readonly<Record<ImportCollection, import('./types').PostState>>}
+ */
+const IMPORT_STATES = {
+	posts: "published",
+	drafts: "draft",
+	queue: "queue"
+};
+
+/**
+ * Replaces media objects with their sources to upload: files of the archive or remote URLs to re-host
+ *
+ * @param {any} value
+ * @param {string} directory
+ *
+ * @returns {any} copy of the value
+ */
+function mediaSources(value, directory) {
+	if (Array.isArray(value)) return value.map((item) => mediaSources(item, directory));
+	if (typeof value !== "object" || value === null) return value;
+
+	return Object.fromEntries(
+		Object.entries(value).map(([key, child]) => {
+			if (key !== "media" && key !== "poster") return [key, mediaSources(child, directory)];
+
+			// Image blocks list several sizes, the original one is uploaded
+			const media = originalMedia(child);
+			if (!media) return [key, mediaSources(child, directory)];
+
+			return [key, /^https?:\/\//i.test(media.url) ? media.url : path.resolve(directory, media.url)];
+		})
+	);
+}
+
+/**
+ * @param {string} file
+ *
+ * @returns {Promise<any[]>} parsed lines, empty if the file doesn't exist
+ */
+async function readJsonLines(file) {
+	let text;
+	try {
+		text = await fsPromises.readFile(file, "utf8");
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === "ENOENT") return [];
+		throw err;
+	}
+
+	return text
+		.split("\n")
+		.filter((line) => line.trim())
+		.map((line) => JSON.parse(line));
+}
+
+/**
+ * Creates posts of an archive in a blog, recording created posts in the mapping file
+ *
+ * @param {ImportClient} client
+ * @param {LimitDelay} limitDelay
+ * @param {string} directory
+ * @param {string} blogIdentifier
+ * @param {ImportOptions} [options]
+ *
+ * @returns {Promise<ImportResult>}
+ */
+async function importBlog(client, limitDelay, directory, blogIdentifier, options) {
+	const {
+		collections = /** @type {ImportCollection[]} */ (Object.keys(IMPORT_STATES)),
+		mappingFile = path.join(directory, `import-${blogIdentifier.replace(/[^\w.-]/g, "_")}.json`),
+		whenLimited = "stop",
+		...requestOptions
+	} = options ?? {};
+
+	for (const collection of collections) {
+		if (!Object.prototype.hasOwnProperty.call(IMPORT_STATES, collection)) {
+			throw new TypeError(`Unknown import collection ${collection}.`);
+		}
+	}
+	if (whenLimited !== "stop" && whenLimited !== "wait") {
+		throw new TypeError('whenLimited option must be "stop" or "wait".');
+	}
+
+	/** @type {Record<string, string>} */
+	const mapping = (await readJson(mappingFile)) ?? {};
+
+	/** @type {ImportResult} */
+	const result = { created: [], existing: [], skipped: [], failed: [], limited: null };
+
+	for (const collection of collections) {
+		const posts = await readJsonLines(path.join(directory, `${collection}.jsonl`));
+
+		// Published posts and drafts are listed newest first, the queue in publishing order
+		if (collection !== "queue") posts.reverse();
+
+		for (const post of posts) {
+			const source = String(post.id_string ?? post.id);
+
+			if (mapping[source]) {
+				result.existing.push(source);
+				continue;
+			}
+
+			// Parents of reblogs can't be reblogged from the archive, their own content alone would be misleading
+			if (post.trail?.length) {
+				result.skipped.push({ source, reason: "Reblogs can't be imported" });
+				continue;
+			}
+
+			/** @type {import('./types').NpfPostParams} */
+			const params = {
+				content: mediaSources(post.content ?? [], directory),
+				layout: post.layout,
+				tags: post.tags,
+				state: collection === "posts" && post.state === "private" ? "private" : IMPORT_STATES[collection],
+				...(collection === "posts" &&
+					post.timestamp && { date: new Date(post.timestamp * 1000).toISOString() }),
+				// Past publish dates are rejected, such posts take the next queue slot
+				...(collection === "queue" &&
+					post.scheduled_publish_time * 1000 > Date.now() && {
+						publish_on: new Date(post.scheduled_publish_time * 1000).toISOString()
+					}),
+				...(post.slug && { slug: post.slug }),
+				...(post.source_url && { source_url: post.source_url })
+			};
+
+			for (;;) {
+				try {
+					/** @type {any} */
+					const created = await client.createPost(blogIdentifier, params, requestOptions);
+					mapping[source] = String(created.id_string ?? created.id);
+					await writeJsonAtomically(mappingFile, mapping);
+					result.created.push({ source, id: mapping[source] });
+					break;
+				} catch (err) {
+					if (requestOptions.signal?.aborted) throw err;
+
+					const error = err instanceof Error ? err : new Error(String(err));
+					const delay = limitDelay(err);
+
+					if (delay === null) {
+						result.failed.push({ source, error });
+						break;
+					}
+
+					if (whenLimited === "stop") {
+						result.limited = { error, resumeAt: new Date(Date.now() + delay) };
+						return result;
+					}
+
+					await sleep(delay, undefined, { signal: requestOptions.signal });
+				}
+			}
+		}
+	}
+
+	return result;
+}
+
+module.exports = { exportBlog, importBlog };
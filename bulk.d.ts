@@ -0,0 +1,66 @@
+import { EventEmitter } from "node:events";
+import { Client } from "./tumblr";
+import { BulkEditTransform, BulkOptions, BulkPostFilter, BulkProgress, BulkResult, Post } from "./types";
+
+/**
+ * Selects and changes many posts of a blog, one request at a time, reporting `progress` events
+ *
+ * Posts are selected before the first change, so edits and deletions don't shift the pages being read.
+ * Failed posts are reported and skipped, only aborting with the `signal` stops the operation.
+ */
+export class BulkOperations extends EventEmitter {
+	/**
+	 * @param {BulkClient} client
+	 */
+	constructor(
+		client: Pick<
+			Client,
+			"iterateBlogPosts" | "iterateBlogQueue" | "iterateBlogDrafts" | "blogPost" | "editPost" | "deletePost"
+		>
+	);
+	on(event: "progress", listener: (progress: BulkProgress) => void): this;
+	once(event: "progress", listener: (progress: BulkProgress) => void): this;
+	off(event: "progress", listener: (progress: BulkProgress) => void): this;
+	/**
+	 * Edits posts matching the filter with changes returned by the transform
+	 *
+	 * Changes are merged over the current content, layout, tags and slug of the post, so the transform
+	 * only returns what changes. Posts for which it returns nothing are skipped.
+	 *
+	 * @example
+	 * const result = await client.bulk.editPosts(blogName, { tag: "wip" }, (post) => ({
+	 *   tags: post.tags.filter((tag) => tag !== "wip")
+	 * }));
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {BulkPostFilter | ((post: Post) => boolean | Promise<boolean>)} filter - which posts to edit
+	 * @param  {import('./types').BulkEditTransform} transform - changes of a post, or the same changes for every post
+	 * @param  {BulkOptions} [options] - dry run and options for every request
+	 *
+	 * @return {Promise<BulkResult>}
+	 */
+	editPosts(
+		blogIdentifier: string,
+		filter: BulkPostFilter | ((post: Post) => boolean | Promise<boolean>),
+		transform: BulkEditTransform,
+		options?: BulkOptions
+	): Promise<BulkResult>;
+	/**
+	 * Deletes posts matching the filter
+	 *
+	 * @example
+	 * const result = await client.bulk.deletePosts(blogName, { state: "draft", before: "2020-01-01" }, { dryRun: true });
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {BulkPostFilter | ((post: Post) => boolean | Promise<boolean>)} filter - which posts to delete
+	 * @param  {BulkOptions} [options] - dry run and options for every request
+	 *
+	 * @return {Promise<BulkResult>}
+	 */
+	deletePosts(
+		blogIdentifier: string,
+		filter: BulkPostFilter | ((post: Post) => boolean | Promise<boolean>),
+		options?: BulkOptions
+	): Promise<BulkResult>;
+	#private;
+}
@@ -0,0 +1,241 @@
+/*!
+ * Bulk post operations for @serguun42/tumblr.js
+ */
+
+const { EventEmitter } = require("node:events");
+
+/**
+ * @typedef {import('./types').BulkPostFilter} BulkPostFilter
+ * @typedef {import('./types').BulkOptions} BulkOptions
+ * @typedef {import('./types').BulkResult} BulkResult
+ * @typedef {import('./types').BulkProgress} BulkProgress
+ * @typedef {import('./types').Post} Post
+ * @typedef {Pick<import('./tumblr').Client, 'iterateBlogPosts' | 'iterateBlogQueue' | 'iterateBlogDrafts' | 'blogPost' | 'editPost' | 'deletePost'>} BulkClient
+ */
+
+/**
+ * @param {Date | string | number | undefined} value
+ * @param {string} name
+ *
+ * @returns {number | null} Unix timestamp in seconds
+ */
+function toTimestamp(value, name) {
+	if (value === undefined) return null;
+
+	const time = new Date(value).getTime();
+	if (Number.isNaN(time)) throw new TypeError(`Invalid ${name} date in the bulk filter.`);
+
+	return time / 1000;
+}
+
+/**
+ * Selects and changes many posts of a blog, one request at a time, reporting `progress` events
+ *
+ * Posts are selected before the first change, so edits and deletions don't shift the pages being read.
+ * Failed posts are reported and skipped, only aborting with the `signal` stops the operation.
+ */
+class BulkOperations extends EventEmitter {
+	/** @type {BulkClient} */
+	#client;
+
+	/**
+	 * @param {BulkClient} client
+	 */
+	constructor(client) {
+		super();
+		this.#client = client;
+	}
+
+	/**
+	 * Edits posts matching the filter with changes returned by the transform
+	 *
+	 * Changes are merged over the current content, layout, tags and slug of the post, so the transform
+	 * only returns what changes. Posts for which it returns nothing are skipped.
+	 *
+	 * @example
+	 * const result = await client.bulk.editPosts(blogName, { tag: "wip" }, (post) => ({
+	 *   tags: post.tags.filter((tag) => tag !== "wip")
+	 * }));
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {BulkPostFilter | ((post: Post) => boolean | Promise<boolean>)} filter - which posts to edit
+	 * @param  {import('./types').BulkEditTransform} transform - changes of a post, or the same changes for every post
+	 * @param  {BulkOptions} [options] - dry run and options for every request
+	 *
+	 * @return {Promise<BulkResult>}
+	 */
+	async editPosts(blogIdentifier, filter, transform, options) {
+		if (typeof transform !== "function" && (typeof transform !== "object" || transform === null)) {
+			throw new TypeError("transform must be a function or an object of changes.");
+		}
+
+		return this.#run("edit", blogIdentifier, filter, options, async (post, requestOptions) => {
+			const source = Array.isArray(post.content)
+				? post
+				: /** @type {any} */ (
+						await this.#client.blogPost(blogIdentifier, post.id_string, undefined, requestOptions)
+					);
+
+			const changes = typeof transform === "function" ? await transform(source) : transform;
+			if (!changes) return null;
+
+			/** @type {import('./types').NpfPostParams} */
+			const params = { content: source.content ?? [] };
+			// Copied only when present, so a post missing one of them still gets a normal per-post result
+			if (source.layout !== undefined) params.layout = source.layout;
+			if (source.tags !== undefined) params.tags = source.tags;
+			if (source.slug !== undefined) params.slug = source.slug;
+
+			return {
+				changes,
+				apply: () =>
+					this.#client.editPost(blogIdentifier, post.id_string, { ...params, ...changes }, requestOptions)
+			};
+		});
+	}
+
+	/**
+	 * Deletes posts matching the filter
+	 *
+	 * @example
+	 * const result = await client.bulk.deletePosts(blogName, { state: "draft", before: "2020-01-01" }, { dryRun: true });
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {BulkPostFilter | ((post: Post) => boolean | Promise<boolean>)} filter - which posts to delete
+	 * @param  {BulkOptions} [options] - dry run and options for every request
+	 *
+	 * @return {Promise<BulkResult>}
+	 */
+	deletePosts(blogIdentifier, filter, options) {
+		return this.#run("delete", blogIdentifier, filter, options, async (post, requestOptions) => ({
+			apply: () => this.#client.deletePost(blogIdentifier, post.id_string, requestOptions)
+		}));
+	}
+
+	/**
+	 * @param {BulkProgress['operation']} operation
+	 * @param {string} blogIdentifier
+	 * @param {BulkPostFilter | ((post: Post) => boolean | Promise<boolean>)} filter
+	 * @param {BulkOptions | undefined} options
+	 * @param {(post: Post, requestOptions: import('./types').RequestOptions) => Promise<{changes?: Record<string, any>; apply: () => Promise<unknown>} | null>} prepare
+	 * returns the change of the post, `null` to skip it
+	 *
+	 * @returns {Promise<BulkResult>}
+	 */
+	async #run(operation, blogIdentifier, filter, options, prepare) {
+		const { dryRun = false, ...requestOptions } = options ?? {};
+		const posts = await this.#select(blogIdentifier, filter, requestOptions);
+
+		/** @type {BulkResult} */
+		const result = { dryRun, planned: [], succeeded: [], failed: [], skipped: [] };
+		const total = posts.length;
+		let done = 0;
+
+		/**
+		 * @param {Omit<BulkProgress, 'operation' | 'blog' | 'done' | 'total'>} progress
+		 */
+		const report = (progress) => {
+			done++;
+			this.emit("progress", { operation, blog: blogIdentifier, ...progress, done, total });
+		};
+
+		for (const post of posts) {
+			const id = post.id_string;
+
+			try {
+				const change = await prepare(post, requestOptions);
+
+				if (!change) {
+					result.skipped.push(id);
+					report({ id, status: "skipped" });
+				} else if (dryRun) {
+					result.planned.push({ id, changes: change.changes });
+					report({ id, status: "planned", changes: change.changes });
+				} else {
+					await change.apply();
+					result.succeeded.push(id);
+					report({ id, status: "succeeded", changes: change.changes });
+				}
+			} catch (err) {
+				if (requestOptions.signal?.aborted) throw err;
+
+				const error = err instanceof Error ? err : new Error(String(err));
+				result.failed.push({ id, error });
+				report({ id, status: "failed", error });
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * @param {string} blogIdentifier
+	 * @param {BulkPostFilter | ((post: Post) => boolean | Promise<boolean>)} filter
+	 * @param {import('./types').RequestOptions} requestOptions
+	 *
+	 * @returns {Promise<Post[]>}
+	 */
+	async #select(blogIdentifier, filter, requestOptions) {
+		if (typeof filter === "function") filter = { predicate: filter };
+		if (typeof filter !== "object" || filter === null) {
+			throw new TypeError("filter must be an object or a predicate function.");
+		}
+
+		const { state = "published", type, predicate } = filter;
+		const tags = (typeof filter.tag === "string" ? [filter.tag] : (filter.tag ?? [])).map((tag) =>
+			tag.toLowerCase()
+		);
+		const after = toTimestamp(filter.after, "after");
+		const before = toTimestamp(filter.before, "before");
+
+		/** @type {AsyncIterable<Post>} */
+		let iterator;
+		switch (state) {
+			case "published":
+				iterator = this.#client.iterateBlogPosts(
+					blogIdentifier,
+					{ npf: true, ...(filter.tag && { tag: filter.tag }), ...(type && { type }) },
+					{
+						...requestOptions,
+						// Published posts come from newest to oldest
+						stopWhen: (post) => after !== null && post.timestamp < after
+					}
+				);
+				break;
+
+			case "queue":
+				iterator = this.#client.iterateBlogQueue(blogIdentifier, undefined, requestOptions);
+				break;
+
+			case "draft":
+				iterator = this.#client.iterateBlogDrafts(blogIdentifier, undefined, requestOptions);
+				break;
+
+			default:
+				throw new TypeError('filter state must be "published", "queue" or "draft".');
+		}
+
+		/** @type {Post[]} */
+		const posts = [];
+		/** @type {Set<string>} */
+		const seen = new Set();
+
+		for await (const post of iterator) {
+			if (seen.has(post.id_string)) continue;
+			seen.add(post.id_string);
+
+			if (tags.some((tag) => !post.tags.some((postTag) => postTag.toLowerCase() === tag))) continue;
+			// NPF posts are filtered by type by the API, legacy posts also carry it
+			if (type && post.type !== "blocks" && post.type !== type) continue;
+			if (after !== null && post.timestamp < after) continue;
+			if (before !== null && post.timestamp >= before) continue;
+			if (predicate && !(await predicate(post))) continue;
+
+			posts.push(post);
+		}
+
+		return posts;
+	}
+}
+
+module.exports = { BulkOperations };
@@ -0,0 +1,81 @@
+import { CacheOptions, CacheStore } from "./types";
+
+/**
+ * In-memory LRU store, the default store of the client cache
+ */
+export class MemoryCacheStore implements CacheStore {
+	/**
+	 * @param {{maxEntries?: number}} [options]
+	 */
+	constructor({ maxEntries }?: { maxEntries?: number });
+	/**
+	 * Number of stored entries, including expired ones not evicted yet
+	 */
+	get size(): number;
+	/**
+	 * @param {string} key
+	 *
+	 * @returns {string | undefined}
+	 */
+	get(key: string): string | undefined;
+	/**
+	 * @param {string} key
+	 * @param {string} value
+	 * @param {number} ttl - milliseconds
+	 */
+	set(key: string, value: string, ttl: number): void;
+	/**
+	 * @param {string} prefix
+	 */
+	deleteByPrefix(prefix: string): void;
+	#private;
+}
+
+/**
+ * Normalizes the blog identifier in the path, so `staff`, `staff.tumblr.com` and `Staff` share entries
+ *
+ * @param {string} pathname
+ *
+ * @returns {string}
+ */
+export function normalizePath(pathname: string): string;
+
+/**
+ * Caches GET responses and collapses concurrent identical GET requests into one
+ */
+export class ResponseCache {
+	/**
+	 * @param {CacheOptions} [options]
+	 */
+	constructor({ store, maxEntries, ttl, endpoints }?: CacheOptions);
+	/**
+	 * Returns the cached response or the response of a pending identical request, otherwise sends it
+	 *
+	 * Store failures are ignored, the request is sent as if there was no cache.
+	 *
+	 * @param {URL} url
+	 * @param {string} identity - distinguishes responses of different users
+	 * @param {() => Promise<any>} send
+	 * @param {boolean} [shared] - whether the request may be shared with identical requests. Requests with their own
+	 * signal, timeout or other options are sent separately, so their failures don't reach other callers.
+	 *
+	 * @returns {Promise<any>}
+	 */
+	fetch(url: URL, identity: string, send: () => Promise<any>, shared?: boolean): Promise<any>;
+	/**
+	 * Deletes entries affected by a write request
+	 *
+	 * @param {URL} url
+	 * @param {Map<string, any> | null} data - write request params
+	 *
+	 * @returns {Promise<void>}
+	 */
+	invalidateAfterWrite(url: URL, data: Map<string, any> | null): Promise<void>;
+	/**
+	 * @param {ReadonlyArray<string>} prefixes - normalized path prefixes
+	 *
+	 * @returns {Promise<void>}
+	 */
+	invalidate(prefixes: ReadonlyArray<string>): Promise<void>;
+	#private;
+}
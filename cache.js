@@ -0,0 +1,267 @@
+/*!
+ * Response cache for @serguun42/tumblr.js
+ */
+
+/**
+ * @typedef {import('./types').CacheStore} CacheStore
+ * @typedef {import('./types').CacheOptions} CacheOptions
+ */
+
+/**
+ * TTLs in milliseconds of endpoints cached by default, other endpoints use the `ttl` option
+ *
+ * @type {Readonly<Record<string, number>>}
+ */
+const DEFAULT_ENDPOINT_TTLS = {
+	"/v2/blog/*/info": 5 * 60 * 1000,
+	"/v2/blog/*/avatar": 60 * 60 * 1000,
+	"/v2/blog/*/avatar/*": 60 * 60 * 1000,
+	"/v2/user/info": 60 * 1000
+};
+
+/**
+ * In-memory LRU store, the default store of the client cache
+ */
+class MemoryCacheStore {
+	/** @type {Map<string, {value: string; expiresAt: number}>} */
+	#entries = new Map();
+
+	/** @type {number} */
+	#maxEntries;
+
+	/**
+	 * @param {{maxEntries?: number}} [options]
+	 */
+	constructor({ maxEntries = 1000 } = {}) {
+		if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+			throw new RangeError("maxEntries must be a positive integer.");
+		}
+		this.#maxEntries = maxEntries;
+	}
+
+	/**
+	 * Number of stored entries, including expired ones not evicted yet
+	 */
+	get size() {
+		return this.#entries.size;
+	}
+
+	/**
+	 * @param {string} key
+	 *
+	 * @returns {string | undefined}
+	 */
+	get(key) {
+		const entry = this.#entries.get(key);
+		if (!entry) return undefined;
+
+		this.#entries.delete(key);
+		if (entry.expiresAt <= Date.now()) return undefined;
+
+		// Map keeps insertion order, so the least recently used entry is always the first one
+		this.#entries.set(key, entry);
+
+		return entry.value;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {string} value
+	 * @param {number} ttl - milliseconds
+	 */
+	set(key, value, ttl) {
+		this.#entries.delete(key);
+		this.#entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+		for (const oldestKey of this.#entries.keys()) {
+			if (this.#entries.size <= this.#maxEntries) break;
+			this.#entries.delete(oldestKey);
+		}
+	}
+
+	/**
+	 * @param {string} prefix
+	 */
+	deleteByPrefix(prefix) {
+		for (const key of this.#entries.keys()) {
+			if (key.startsWith(prefix)) this.#entries.delete(key);
+		}
+	}
+}
+
+/**
+ * Runs a store operation, a failing store must not fail requests
+ *
+ * @template T
+ * @param {() => T | Promise<T>} operation
+ *
+ * @returns {Promise<T | undefined>}
+ */
+async function ignoreFailure(operation) {
+	try {
+		return await operation();
+	} catch (err) {
+		return undefined;
+	}
+}
+
+/**
+ * Normalizes the blog identifier in the path, so `staff`, `staff.tumblr.com` and `Staff` share entries
+ *
+ * @param {string} pathname
+ *
+ * @returns {string}
+ */
+function normalizePath(pathname) {
+	return pathname.replace(/^\/v2\/blog\/([^/]+)/, (_, blog) => `/v2/blog/${normalizeBlog(blog)}`);
+}
+
+/**
+ * @param {string} blog - blog name, hostname or URL, possibly URL-encoded
+ *
+ * @returns {string}
+ */
+function normalizeBlog(blog) {
+	return decodeURIComponent(blog)
+		.toLowerCase()
+		.replace(/^https?:\/\//, "")
+		.replace(/\/.*$/, "")
+		.replace(/\.tumblr\.com$/, "");
+}
+
+/**
+ * Caches GET responses and collapses concurrent identical GET requests into one
+ */
+class ResponseCache {
+	/** @type {CacheStore} */
+	#store;
+
+	/** @type {number} */
+	#ttl;
+
+	/** @type {Array<[RegExp, number]>} */
+	#endpointTtls;
+
+	/**
+	 * Pending requests by key, resolving to serialized response data
+	 * @type {Map<string, Promise<string>>}
+	 */
+	#inFlight = new Map();
+
+	/**
+	 * Incremented by every invalidation, responses requested before it are not stored
+	 */
+	#generation = 0;
+
+	/**
+	 * @param {CacheOptions} [options]
+	 */
+	constructor({ store, maxEntries, ttl = 0, endpoints } = {}) {
+		if (typeof ttl !== "number" || !(ttl >= 0)) {
+			throw new TypeError("cache ttl must be a non-negative number of milliseconds.");
+		}
+
+		this.#store = store ?? new MemoryCacheStore({ maxEntries });
+		this.#ttl = ttl;
+		this.#endpointTtls = Object.entries({ ...DEFAULT_ENDPOINT_TTLS, ...endpoints })
+			// More specific patterns, with fewer wildcards, win
+			.sort(([a], [b]) => a.split("*").length - b.split("*").length)
+			.map(([pattern, endpointTtl]) => [
+				new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]+")}$`),
+				endpointTtl
+			]);
+	}
+
+	/**
+	 * Returns the cached response or the response of a pending identical request, otherwise sends it
+	 *
+	 * Store failures are ignored, the request is sent as if there was no cache.
+	 *
+	 * @param {URL} url
+	 * @param {string} identity - distinguishes responses of different users
+	 * @param {() => Promise<any>} send
+	 * @param {boolean} [shared] - whether the request may be shared with identical requests. Requests with their own
+	 * signal, timeout or other options are sent separately, so their failures don't reach other callers.
+	 *
+	 * @returns {Promise<any>}
+	 */
+	async fetch(url, identity, send, shared = true) {
+		const pathname = normalizePath(url.pathname);
+		const query = new URLSearchParams(url.searchParams);
+		query.delete("api_key");
+		query.sort();
+
+		const key = `${pathname}?${query}#${identity}`;
+		const ttl = this.#endpointTtls.find(([pattern]) => pattern.test(pathname))?.[1] ?? this.#ttl;
+
+		if (ttl > 0) {
+			const cached = await ignoreFailure(() => this.#store.get(key));
+			if (typeof cached === "string") return JSON.parse(cached);
+		}
+
+		let pending = shared ? this.#inFlight.get(key) : undefined;
+		if (!pending) {
+			const generation = this.#generation;
+
+			pending = send().then(async (data) => {
+				const serialized = JSON.stringify(data);
+				if (ttl > 0 && generation === this.#generation) {
+					await ignoreFailure(() => this.#store.set(key, serialized, ttl));
+				}
+				return serialized;
+			});
+			if (!shared) return JSON.parse(await pending);
+
+			const request = pending;
+			const forget = () => {
+				if (this.#inFlight.get(key) === request) this.#inFlight.delete(key);
+			};
+			request.then(forget, forget);
+			this.#inFlight.set(key, request);
+		}
+
+		// Every caller gets its own copy, so changing it doesn't affect the others
+		return JSON.parse(await pending);
+	}
+
+	/**
+	 * Deletes entries affected by a write request
+	 *
+	 * @param {URL} url
+	 * @param {Map<string, any> | null} data - write request params
+	 *
+	 * @returns {Promise<void>}
+	 */
+	invalidateAfterWrite(url, data) {
+		// User info has post, queue and draft counts, likes and following lists change with user actions
+		const prefixes = ["/v2/user/"];
+
+		const blog = /^\/v2\/blog\/([^/]+)\//.exec(url.pathname)?.[1];
+		if (blog) prefixes.push(`/v2/blog/${normalizeBlog(blog)}/`);
+
+		const followed = data?.get("url");
+		if (/^\/v2\/user\/(?:un)?follow$/.test(url.pathname) && typeof followed === "string") {
+			prefixes.push(`/v2/blog/${normalizeBlog(followed)}/`);
+		}
+
+		return this.invalidate(prefixes);
+	}
+
+	/**
+	 * @param {ReadonlyArray<string>} prefixes - normalized path prefixes
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async invalidate(prefixes) {
+		this.#generation++;
+		for (const key of this.#inFlight.keys()) {
+			if (prefixes.some((prefix) => key.startsWith(prefix))) this.#inFlight.delete(key);
+		}
+
+		for (const prefix of prefixes) {
+			await ignoreFailure(() => this.#store.deleteByPrefix(prefix));
+		}
+	}
+}
+
+module.exports = { MemoryCacheStore, ResponseCache, normalizePath };
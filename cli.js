@@ -0,0 +1,736 @@
+#!/usr/bin/env node
+/*!
+ * `tumblr` command-line interface of @serguun42/tumblr.js
+ */
+
+const os = require("node:os");
+const path = require("node:path");
+const { promises: fsPromises } = require("node:fs");
+const { Client, npf } = require("./tumblr");
+
+/**
+ * @typedef {import('./types').Post} Post
+ * @typedef {{type: "string" | "boolean" | "list"; value?: string; description: string}} OptionSpec
+ * `list` options may be repeated and collect every value
+ * @typedef {{positionals: string[]; options: Record<string, any>}} ParsedArgs
+ * @typedef {[header: string, cell: (item: any) => unknown]} Column
+ * @typedef {{
+ * 	client: Client;
+ * 	positionals: string[];
+ * 	options: Record<string, any>;
+ * 	config: Record<string, any>;
+ * 	paginate: import('./types').PaginationOptions<any>;
+ * }} CommandContext
+ * @typedef {{
+ * 	usage: string;
+ * 	description: string;
+ * 	options?: Record<string, OptionSpec>;
+ * 	columns?: Column[];
+ * 	raw?: boolean;
+ * 	run: (context: CommandContext) => Promise<unknown>;
+ * }} Command
+ * @typedef {{stdout: NodeJS.WritableStream; stderr: NodeJS.WritableStream; env: NodeJS.ProcessEnv}} CliIO
+ */
+
+/**
+ * Wrong command or arguments, reported with the usage and exit code 2
+ */
+class UsageError extends Error {
+	name = "UsageError";
+}
+
+/**
+ * Credentials and other client options read from environment variables, they override the config file
+ */
+const ENV_OPTIONS = {
+	TUMBLR_CONSUMER_KEY: "consumer_key",
+	TUMBLR_CONSUMER_SECRET: "consumer_secret",
+	TUMBLR_TOKEN: "token",
+	TUMBLR_TOKEN_SECRET: "token_secret",
+	TUMBLR_ACCESS_TOKEN: "access_token",
+	TUMBLR_REFRESH_TOKEN: "refresh_token",
+	TUMBLR_BASE_URL: "baseUrl",
+	TUMBLR_BLOG: "blog"
+};
+
+/**
+ * Items printed by list commands without `--limit` or `--all`
+ */
+const DEFAULT_LIST_LIMIT = 20;
+
+/**
+ * Table cells are cut to this many characters
+ */
+const MAX_CELL_WIDTH = 60;
+
+/** @type {Record<string, OptionSpec>} */
+const GLOBAL_OPTIONS = {
+	config: { type: "string", value: "file", description: "config file, ~/.tumblr.json by default" },
+	json: { type: "boolean", description: "print JSON instead of a table" },
+	help: { type: "boolean", description: "show help" }
+};
+
+/** @type {Record<string, OptionSpec>} */
+const LIST_OPTIONS = {
+	limit: { type: "string", value: "n", description: `number of items, ${DEFAULT_LIST_LIMIT} by default` },
+	all: { type: "boolean", description: "every item, following all pages" }
+};
+
+/** @type {Record<string, OptionSpec>} */
+const CONTENT_OPTIONS = {
+	text: { type: "list", value: "text", description: "text, paragraphs separated by blank lines" },
+	markdown: { type: "string", value: "file", description: "Markdown file converted to NPF" },
+	media: { type: "list", value: "file", description: "image, video or audio file or URL" },
+	tags: { type: "string", value: "tags", description: "comma-separated tags" },
+	slug: { type: "string", value: "slug", description: "URL slug" }
+};
+
+/**
+ * @param {number | undefined} timestamp - Unix timestamp in seconds
+ *
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+	return timestamp ? new Date(timestamp * 1000).toISOString().slice(0, 16).replace("T", " ") : "";
+}
+
+/**
+ * @param {any} post
+ *
+ * @returns {string}
+ */
+function postSummary(post) {
+	return post.summary || post.content?.find((/** @type {any} */ block) => block.type === "text")?.text || "";
+}
+
+/** @type {Column[]} */
+const POST_COLUMNS = [
+	["ID", (post) => post.id_string],
+	["Date", (post) => formatTime(post.timestamp)],
+	["Type", (post) => post.type],
+	["Notes", (post) => post.note_count],
+	["Tags", (post) => post.tags?.join(", ")],
+	["Summary", postSummary]
+];
+
+/** @type {Column[]} */
+const FEED_COLUMNS = [
+	["ID", (post) => post.id_string],
+	["Blog", (post) => post.blog_name],
+	["Date", (post) => formatTime(post.timestamp)],
+	["Type", (post) => post.type],
+	["Summary", postSummary]
+];
+
+/**
+ * Parses `--name value`, `--name=value` and `--flag` options. Everything after `--` is positional.
+ *
+ * @param {string[]} argv
+ * @param {Record<string, OptionSpec>} specs
+ *
+ * @returns {ParsedArgs}
+ */
+function parseArgs(argv, specs) {
+	/** @type {ParsedArgs} */
+	const parsed = { positionals: [], options: {} };
+
+	for (let index = 0; index < argv.length; index++) {
+		const arg = argv[index];
+
+		if (arg === "--") {
+			parsed.positionals.push(...argv.slice(index + 1));
+			break;
+		}
+		if (arg === "-h") {
+			parsed.options.help = true;
+			continue;
+		}
+		if (!arg.startsWith("--")) {
+			parsed.positionals.push(arg);
+			continue;
+		}
+
+		const separator = arg.indexOf("=");
+		const name = arg.slice(2, separator === -1 ? undefined : separator);
+		const spec = specs[name];
+		if (!spec) throw new UsageError(`Unknown option --${name}.`);
+
+		if (spec.type === "boolean") {
+			if (separator !== -1) throw new UsageError(`Option --${name} takes no value.`);
+			parsed.options[name] = true;
+			continue;
+		}
+
+		let value;
+		if (separator !== -1) value = arg.slice(separator + 1);
+		else if (index + 1 < argv.length) value = argv[++index];
+		else throw new UsageError(`Option --${name} requires a value.`);
+
+		if (spec.type === "list") (parsed.options[name] ??= []).push(value);
+		else parsed.options[name] = value;
+	}
+
+	return parsed;
+}
+
+/**
+ * Reads the config file and overrides it with environment variables
+ *
+ * @param {string | undefined} configPath - explicit path, which must exist
+ * @param {NodeJS.ProcessEnv} env
+ *
+ * @returns {Promise<{config: Record<string, any>; file: string | null}>}
+ */
+async function loadConfig(configPath, env) {
+	const explicit = configPath ?? env.TUMBLR_CONFIG;
+	const file = explicit ? path.resolve(explicit) : path.join(os.homedir(), ".tumblr.json");
+
+	/** @type {Record<string, any>} */
+	let config = {};
+	let found = true;
+
+	try {
+		config = JSON.parse(await fsPromises.readFile(file, "utf8"));
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code !== "ENOENT" || explicit) {
+			throw new Error(`Cannot read config file ${file}: ${/** @type {Error} */ (err).message}`);
+		}
+		found = false;
+	}
+
+	if (typeof config !== "object" || config === null || Array.isArray(config)) {
+		throw new Error(`Config file ${file} must contain a JSON object.`);
+	}
+
+	for (const [variable, key] of Object.entries(ENV_OPTIONS)) {
+		if (env[variable]) config[key] = env[variable];
+	}
+
+	return { config, file: found ? file : null };
+}
+
+/**
+ * Creates the client from the config. Refreshed OAuth2 tokens are saved back to the config file.
+ *
+ * @param {Record<string, any>} config
+ * @param {string | null} file
+ *
+ * @returns {Client}
+ */
+function createCliClient(config, file) {
+	const { blog, ...options } = config;
+
+	// The client tells credentials apart by which keys are present, empty ones are left out
+	for (const key of Object.keys(options)) {
+		if (options[key] === undefined || options[key] === "") delete options[key];
+	}
+
+	if (options.refresh_token && file) {
+		options.onTokenRefresh = async (/** @type {import('./types').OAuth2Tokens} */ tokens) => {
+			const saved = JSON.parse(await fsPromises.readFile(file, "utf8"));
+			saved.access_token = tokens.access_token;
+			if (tokens.refresh_token) saved.refresh_token = tokens.refresh_token;
+			await fsPromises.writeFile(file, `${JSON.stringify(saved, null, "\t")}\n`);
+		};
+	}
+
+	return new Client(options);
+}
+
+/**
+ * @param {CommandContext} context
+ * @param {number} count - positionals after the blog
+ *
+ * @returns {string[]} blog and the rest of the positionals, the blog from the config if it's left out
+ */
+function blogAndArgs({ positionals, config }, count) {
+	if (positionals.length > count + 1) throw new UsageError(`Unexpected argument ${positionals[count + 1]}.`);
+	if (positionals.length === count + 1) return positionals;
+	if (positionals.length === count && config.blog) return [config.blog, ...positionals];
+
+	throw new UsageError(count ? "Missing arguments." : "Missing blog name.");
+}
+
+/**
+ * @param {AsyncIterable<any>} iterator
+ *
+ * @returns {Promise<any[]>}
+ */
+async function collect(iterator) {
+	const items = [];
+	for await (const item of iterator) items.push(item);
+
+	return items;
+}
+
+/**
+ * @param {string} file
+ *
+ * @returns {"image" | "video" | "audio"}
+ */
+function mediaKind(file) {
+	const extension = path.extname(new URL(file, "file:///").pathname).toLowerCase();
+
+	if ([".mp4", ".m4v", ".mov"].includes(extension)) return "video";
+	if (extension === ".mp3") return "audio";
+	return "image";
+}
+
+/**
+ * @param {string} value - date and time, in local time unless it has a timezone
+ *
+ * @returns {Date}
+ */
+function parseDate(value) {
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw new UsageError(`Invalid date "${value}", expected e.g. "2024-05-01 09:00" or "2024-05-01T09:00:00Z".`);
+	}
+
+	return date;
+}
+
+/**
+ * Builds post params from content options, only with the given ones
+ *
+ * @param {Record<string, any>} options
+ *
+ * @returns {Promise<Record<string, any>>}
+ */
+async function contentParams(options) {
+	/** @type {Record<string, any>} */
+	const params = {};
+
+	if (options.text || options.markdown || options.media) {
+		const builder = npf();
+
+		for (const text of options.text ?? []) {
+			for (const paragraph of text.split(/\n{2,}/)) {
+				if (paragraph.trim()) builder.text(paragraph.trim());
+			}
+		}
+		if (options.markdown) builder.markdown(await fsPromises.readFile(options.markdown, "utf8"));
+		for (const file of options.media ?? []) {
+			// URLs are left for Tumblr to fetch or embed, files are read from the working directory
+			const media = /^https?:\/\//i.test(file) ? file : path.resolve(file);
+			builder[mediaKind(file)](media);
+		}
+
+		Object.assign(params, builder.build());
+	}
+
+	if (options.tags !== undefined) {
+		params.tags = options.tags
+			.split(",")
+			.map((/** @type {string} */ tag) => tag.trim())
+			.filter(Boolean);
+	}
+	if (options.slug !== undefined) params.slug = options.slug;
+
+	return params;
+}
+
+/**
+ * @param {string[]} pairs - `key=value` arguments, repeated keys become arrays
+ * @param {string | undefined} data - JSON object of params
+ *
+ * @returns {Record<string, any>}
+ */
+function requestParams(pairs, data) {
+	/** @type {Record<string, any>} */
+	let params = {};
+
+	if (data !== undefined) {
+		try {
+			params = JSON.parse(data);
+		} catch {
+			throw new UsageError("--data must be a JSON object.");
+		}
+		if (typeof params !== "object" || params === null || Array.isArray(params)) {
+			throw new UsageError("--data must be a JSON object.");
+		}
+	}
+
+	for (const pair of pairs) {
+		const separator = pair.indexOf("=");
+		if (separator < 1) throw new UsageError(`Expected key=value, got ${pair}.`);
+
+		const key = pair.slice(0, separator);
+		const value = pair.slice(separator + 1);
+		params[key] = key in params ? [params[key], value].flat() : value;
+	}
+
+	return params;
+}
+
+/**
+ * @param {string | undefined} apiPath
+ *
+ * @returns {string}
+ */
+function checkApiPath(apiPath) {
+	if (!apiPath?.startsWith("/")) throw new UsageError("API path must start with /, e.g. /v2/user/info.");
+
+	return apiPath;
+}
+
+/** @type {Record<string, Command>} */
+const COMMANDS = {
+	info: {
+		usage: "info [blog]",
+		description: "Show blog info",
+		async run(context) {
+			const [blog] = blogAndArgs(context, 0);
+			return (await context.client.blogInfo(blog, undefined)).blog;
+		}
+	},
+
+	posts: {
+		usage: "posts [blog]",
+		description: "List published posts",
+		options: {
+			...LIST_OPTIONS,
+			tag: { type: "string", value: "tag", description: "only posts with this tag" },
+			type: { type: "string", value: "type", description: "only posts of this type" }
+		},
+		columns: POST_COLUMNS,
+		run(context) {
+			const [blog] = blogAndArgs(context, 0);
+			const { tag, type } = context.options;
+
+			return collect(
+				context.client.iterateBlogPosts(blog, { ...(tag && { tag }), ...(type && { type }) }, context.paginate)
+			);
+		}
+	},
+
+	dashboard: {
+		usage: "dashboard",
+		description: "List dashboard posts",
+		options: LIST_OPTIONS,
+		columns: FEED_COLUMNS,
+		run(context) {
+			if (context.positionals.length) throw new UsageError(`Unexpected argument ${context.positionals[0]}.`);
+			return collect(context.client.iterateUserDashboard(undefined, context.paginate));
+		}
+	},
+
+	likes: {
+		usage: "likes [blog]",
+		description: "List posts liked by the blog, or by the user without a blog",
+		options: LIST_OPTIONS,
+		columns: FEED_COLUMNS,
+		run(context) {
+			if (context.positionals.length > 1) throw new UsageError(`Unexpected argument ${context.positionals[1]}.`);
+
+			const [blog] = context.positionals;
+			return collect(
+				blog
+					? context.client.iterateBlogLikes(blog, undefined, context.paginate)
+					: context.client.iterateUserLikes(undefined, context.paginate)
+			);
+		}
+	},
+
+	followers: {
+		usage: "followers [blog]",
+		description: "List followers of the blog",
+		options: LIST_OPTIONS,
+		columns: [
+			["Name", (follower) => follower.name],
+			["URL", (follower) => follower.url],
+			["Updated", (follower) => formatTime(follower.updated)],
+			["Following", (follower) => (follower.following ? "yes" : "no")]
+		],
+		run(context) {
+			const [blog] = blogAndArgs(context, 0);
+			return collect(context.client.iterateBlogFollowers(blog, undefined, context.paginate));
+		}
+	},
+
+	"post create": {
+		usage: "post create [blog]",
+		description: "Create an NPF post from text, a Markdown file and media files",
+		options: {
+			...CONTENT_OPTIONS,
+			state: { type: "string", value: "state", description: "published, queue, draft or private" },
+			date: { type: "string", value: "date", description: "publish date of a queued post, local time by default" }
+		},
+		async run(context) {
+			const [blog] = blogAndArgs(context, 0);
+			const { state, date } = context.options;
+			const { content, ...params } = await contentParams(context.options);
+			if (!content?.length) throw new UsageError("Provide --text, --markdown or --media.");
+
+			/** @type {import('./types').NpfPostParams} */
+			const post = { ...params, content };
+			if (state) post.state = state;
+			if (date !== undefined) post.publish_on = parseDate(date);
+
+			return context.client.createPost(blog, post);
+		}
+	},
+
+	"post edit": {
+		usage: "post edit [blog] <id>",
+		description: "Replace content, tags or slug of a post, keeping the rest",
+		options: CONTENT_OPTIONS,
+		async run(context) {
+			const [blog, id] = blogAndArgs(context, 1);
+			const changes = await contentParams(context.options);
+			if (!Object.keys(changes).length) throw new UsageError("Nothing to change.");
+
+			/** @type {any} */
+			const post = await context.client.blogPost(blog, id);
+
+			/** @type {import('./types').NpfPostParams} */
+			const params = { content: post.content ?? [] };
+			for (const key of /** @type {const} */ (["layout", "tags", "slug"])) {
+				if (post[key] !== undefined) params[key] = post[key];
+			}
+
+			return context.client.editPost(blog, id, { ...params, ...changes });
+		}
+	},
+
+	"post delete": {
+		usage: "post delete [blog] <id>",
+		description: "Delete a post",
+		async run(context) {
+			const [blog, id] = blogAndArgs(context, 1);
+			return context.client.deletePost(blog, id);
+		}
+	},
+
+	"queue list": {
+		usage: "queue list [blog]",
+		description: "List queued posts",
+		options: LIST_OPTIONS,
+		columns: [
+			["ID", (post) => post.id_string],
+			["Publishes", (post) => formatTime(post.scheduled_publish_time)],
+			["Type", (post) => post.type],
+			["Tags", (post) => post.tags?.join(", ")],
+			["Summary", postSummary]
+		],
+		run(context) {
+			const [blog] = blogAndArgs(context, 0);
+			return collect(context.client.iterateBlogQueue(blog, undefined, context.paginate));
+		}
+	},
+
+	get: {
+		usage: "get <path> [key=value...]",
+		description: "Send a GET request and print the JSON response",
+		raw: true,
+		run({ client, positionals: [apiPath, ...pairs] }) {
+			return client.getRequest(checkApiPath(apiPath), requestParams(pairs, undefined));
+		}
+	},
+
+	post: {
+		usage: "post <path> [key=value...]",
+		description: "Send a POST request and print the JSON response",
+		options: {
+			data: { type: "string", value: "json", description: "JSON object of params, merged under key=value" }
+		},
+		raw: true,
+		run({ client, positionals: [apiPath, ...pairs], options }) {
+			return client.postRequest(checkApiPath(apiPath), requestParams(pairs, options.data));
+		}
+	}
+};
+
+/**
+ * @param {string[]} argv
+ *
+ * @returns {{name: string; args: string[]} | null} command name and its arguments
+ */
+function findCommand(argv) {
+	const [first, second] = argv;
+
+	// `post create` is a command, `post /v2/...` a raw request
+	if (second && COMMANDS[`${first} ${second}`]) return { name: `${first} ${second}`, args: argv.slice(2) };
+	if (first && COMMANDS[first] && first !== "queue") return { name: first, args: argv.slice(1) };
+
+	return null;
+}
+
+/**
+ * @param {string | null} name - command to describe, all commands if `null`
+ *
+ * @returns {string}
+ */
+function usage(name) {
+	/**
+	 * @param {Record<string, OptionSpec>} options
+	 */
+	const describeOptions = (options) =>
+		Object.entries(options).map(([option, spec]) => {
+			const flag = `--${option}${spec.value ? ` <${spec.value}>` : ""}`;
+			return `  ${flag.padEnd(24)} ${spec.description}${spec.type === "list" ? ", repeatable" : ""}`;
+		});
+
+	if (name) {
+		const command = COMMANDS[name];
+		return [
+			`Usage: tumblr ${command.usage} [options]`,
+			"",
+			command.description,
+			"",
+			"Options:",
+			...describeOptions({ ...command.options, ...GLOBAL_OPTIONS })
+		].join("\n");
+	}
+
+	return [
+		"Usage: tumblr <command> [options]",
+		"",
+		"Commands:",
+		...Object.values(COMMANDS).map((command) => `  ${command.usage.padEnd(28)} ${command.description}`),
+		"",
+		"Options:",
+		...describeOptions(GLOBAL_OPTIONS),
+		"",
+		"Credentials are read from TUMBLR_CONSUMER_KEY, TUMBLR_CONSUMER_SECRET, TUMBLR_TOKEN and",
+		"TUMBLR_TOKEN_SECRET, or TUMBLR_ACCESS_TOKEN, or the config file. TUMBLR_BLOG or `blog` in",
+		"the config file is the default blog.",
+		"",
+		"Run `tumblr help <command>` for the options of a command."
+	].join("\n");
+}
+
+/**
+ * @param {unknown} value
+ *
+ * @returns {string}
+ */
+function formatCell(value) {
+	const text = (value === undefined || value === null ? "" : String(value)).replace(/\s+/g, " ").trim();
+
+	return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+/**
+ * @param {string[][]} rows - first row is the header
+ *
+ * @returns {string}
+ */
+function renderTable(rows) {
+	const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+
+	return rows
+		.map((row) =>
+			row
+				.map((cell, column) => cell.padEnd(widths[column]))
+				.join("  ")
+				.trimEnd()
+		)
+		.join("\n");
+}
+
+/**
+ * @param {unknown} data
+ * @param {Column[] | undefined} columns
+ *
+ * @returns {string}
+ */
+function formatHuman(data, columns) {
+	if (Array.isArray(data)) {
+		if (!data.length) return "No items.";
+		if (!columns) return JSON.stringify(data, null, 2);
+
+		return renderTable([
+			columns.map(([header]) => header),
+			...data.map((item) => columns.map(([, cell]) => formatCell(cell(item))))
+		]);
+	}
+
+	if (typeof data !== "object" || data === null) return String(data ?? "");
+
+	// Nested values are left to --json
+	const rows = Object.entries(data)
+		.filter(([, value]) => typeof value !== "object" || value === null || Array.isArray(value))
+		.filter(([, value]) => !Array.isArray(value) || value.every((item) => typeof item !== "object"))
+		.map(([key, value]) => [key, formatCell(Array.isArray(value) ? value.join(", ") : value)]);
+
+	return rows.length ? renderTable(rows) : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Runs the command line, resolving with the exit code
+ *
+ * @param {string[]} argv - arguments after the script
+ * @param {CliIO} [io]
+ *
+ * @returns {Promise<number>}
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr, env: process.env }) {
+	/**
+	 * @param {NodeJS.WritableStream} stream
+	 * @param {string} text
+	 */
+	const print = (stream, text) => stream.write(`${text}\n`);
+
+	if (!argv.length || argv[0] === "--help" || argv[0] === "-h" || (argv[0] === "help" && argv.length === 1)) {
+		print(argv.length ? io.stdout : io.stderr, usage(null));
+		return argv.length ? 0 : 2;
+	}
+
+	const help = argv[0] === "help";
+	const found = findCommand(help ? argv.slice(1) : argv);
+
+	if (!found) {
+		print(io.stderr, `tumblr: unknown command ${help ? argv.slice(1).join(" ") : argv[0]}\n\n${usage(null)}`);
+		return 2;
+	}
+
+	const command = COMMANDS[found.name];
+	if (help) {
+		print(io.stdout, usage(found.name));
+		return 0;
+	}
+
+	try {
+		const { positionals, options } = parseArgs(found.args, { ...command.options, ...GLOBAL_OPTIONS });
+		if (options.help) {
+			print(io.stdout, usage(found.name));
+			return 0;
+		}
+
+		let maxItems = options.all ? Infinity : DEFAULT_LIST_LIMIT;
+		if (options.limit !== undefined) {
+			maxItems = Number(options.limit);
+			if (!Number.isInteger(maxItems) || maxItems < 1)
+				throw new UsageError("--limit must be a positive integer.");
+		}
+
+		const { config, file } = await loadConfig(options.config, io.env);
+		// Tokens from environment variables are not written to the config file
+		const client = createCliClient(config, io.env.TUMBLR_REFRESH_TOKEN ? null : file);
+
+		const data = await command.run({ client, positionals, options, config, paginate: { maxItems } });
+
+		print(
+			io.stdout,
+			options.json || command.raw ? JSON.stringify(data, null, 2) : formatHuman(data, command.columns)
+		);
+		return 0;
+	} catch (err) {
+		if (err instanceof UsageError) {
+			print(io.stderr, `tumblr: ${err.message}\n\n${usage(found.name)}`);
+			return 2;
+		}
+
+		print(io.stderr, `tumblr: ${err instanceof Error ? err.message : String(err)}`);
+		return 1;
+	}
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+	run(process.argv.slice(2)).then((code) => {
+		process.exitCode = code;
+	});
+}
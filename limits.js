@@ -0,0 +1,305 @@
+/*!
+ * Client-side request scheduling and daily quotas for @serguun42/tumblr.js
+ */
+
+/**
+ * @typedef {import('./types').QuotaAction} QuotaAction
+ * @typedef {import('./types').QuotaState} QuotaState
+ * @typedef {{commit: () => void; release: () => void}} QuotaReservation
+ */
+
+/**
+ * Write endpoints counted against daily quotas, all of them are POST requests
+ *
+ * @type {ReadonlyArray<[RegExp, QuotaAction]>}
+ */
+const QUOTA_ENDPOINTS = [
+	[/^\/v2\/blog\/[^/]+\/posts$/, "posts"],
+	[/^\/v2\/blog\/[^/]+\/post(?:\/reblog)?$/, "posts"],
+	[/^\/v2\/user\/follow$/, "follows"],
+	[/^\/v2\/user\/like$/, "likes"]
+];
+
+/**
+ * Quotas are seeded again after this delay if `/v2/user/limits` failed
+ */
+const SEED_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * @param {string} method
+ * @param {string} pathname
+ *
+ * @returns {QuotaAction | null}
+ */
+function quotaActionFor(method, pathname) {
+	if (method !== "POST") return null;
+
+	return QUOTA_ENDPOINTS.find(([pattern]) => pattern.test(pathname))?.[1] ?? null;
+}
+
+/**
+ * Limits the number of concurrent requests and requests started per interval
+ */
+class RequestScheduler {
+	/** @type {number} */
+	#maxConcurrency;
+
+	/** @type {number} */
+	#intervalCap;
+
+	/** @type {number} */
+	#interval;
+
+	#active = 0;
+
+	/**
+	 * Start times of requests within the current interval
+	 * @type {number[]}
+	 */
+	#starts = [];
+
+	/** @type {Array<() => void>} */
+	#queue = [];
+
+	/** @type {NodeJS.Timeout | null} */
+	#timer = null;
+
+	/**
+	 * @param {import('./types').SchedulerOptions} [options]
+	 */
+	constructor({ maxConcurrency = Infinity, intervalCap = Infinity, interval = 1000 } = {}) {
+		for (const [name, value] of Object.entries({ maxConcurrency, intervalCap, interval })) {
+			if (typeof value !== "number" || !(value > 0)) {
+				throw new TypeError(`scheduler ${name} must be a positive number.`);
+			}
+		}
+
+		this.#maxConcurrency = maxConcurrency;
+		this.#intervalCap = intervalCap;
+		this.#interval = interval;
+	}
+
+	/**
+	 * Runs the task as soon as the limits allow
+	 *
+	 * @template T
+	 * @param {() => Promise<T>} task
+	 * @param {AbortSignal} [signal] - removes the task from the queue, rejecting with the abort reason
+	 *
+	 * @returns {Promise<T>}
+	 */
+	async run(task, signal) {
+		await this.#acquire(signal);
+
+		try {
+			return await task();
+		} finally {
+			this.#active--;
+			this.#next();
+		}
+	}
+
+	/**
+	 * @param {AbortSignal} [signal]
+	 *
+	 * @returns {Promise<void>}
+	 */
+	#acquire(signal) {
+		return new Promise((resolve, reject) => {
+			if (signal?.aborted) {
+				reject(signal.reason);
+				return;
+			}
+
+			const start = () => {
+				signal?.removeEventListener("abort", onAbort);
+				resolve();
+			};
+			const onAbort = () => {
+				this.#queue = this.#queue.filter((queued) => queued !== start);
+				reject(signal?.reason);
+			};
+
+			signal?.addEventListener("abort", onAbort, { once: true });
+			this.#queue.push(start);
+			this.#next();
+		});
+	}
+
+	#next() {
+		while (this.#queue.length && this.#active < this.#maxConcurrency) {
+			const now = Date.now();
+			while (this.#starts.length && this.#starts[0] <= now - this.#interval) this.#starts.shift();
+
+			if (this.#starts.length >= this.#intervalCap) {
+				this.#timer ??= setTimeout(
+					() => {
+						this.#timer = null;
+						this.#next();
+					},
+					this.#starts[0] + this.#interval - now
+				);
+				return;
+			}
+
+			if (this.#intervalCap !== Infinity) this.#starts.push(now);
+			this.#active++;
+			/** @type {() => void} */ (this.#queue.shift())();
+		}
+	}
+}
+
+/**
+ * Daily action quotas of a single user, seeded from `/v2/user/limits` and counted locally
+ */
+class QuotaTracker {
+	/**
+	 * Trackers by API base URL and credentials, shared by all clients of the same user of the same API
+	 * @type {Map<string, QuotaTracker>}
+	 */
+	static #trackers = new Map();
+
+	/**
+	 * @param {string} key - API base URL and hash of the credentials
+	 *
+	 * @returns {QuotaTracker}
+	 */
+	static for(key) {
+		let tracker = QuotaTracker.#trackers.get(key);
+		if (!tracker) {
+			tracker = new QuotaTracker();
+			QuotaTracker.#trackers.set(key, tracker);
+		}
+
+		return tracker;
+	}
+
+	/**
+	 * Quotas with `resetAt` in milliseconds
+	 * @type {Map<QuotaAction, {limit: number; remaining: number; resetAt: number}>}
+	 */
+	#quotas = new Map();
+
+	/**
+	 * Reserved actions whose requests are not finished yet
+	 * @type {Map<QuotaAction, number>}
+	 */
+	#pending = new Map();
+
+	/**
+	 * When the quotas must be seeded again, 0 if they never were
+	 */
+	#staleAt = 0;
+
+	/** @type {Promise<void> | null} */
+	#seeding = null;
+
+	/**
+	 * Whether the quotas must be seeded before the next reservation
+	 */
+	get stale() {
+		return Date.now() >= this.#staleAt;
+	}
+
+	/**
+	 * Whether the quotas were ever seeded
+	 */
+	get seeded() {
+		return this.#staleAt > 0;
+	}
+
+	/**
+	 * @returns {Partial<Record<QuotaAction, QuotaState>>}
+	 */
+	get state() {
+		return Object.fromEntries(
+			[...this.#quotas].map(([action, { limit, remaining, resetAt }]) => [
+				action,
+				{ limit, remaining, resetAt: new Date(resetAt) }
+			])
+		);
+	}
+
+	/**
+	 * Reads quotas from the API, concurrent calls share the request. Failures leave quotas unlimited.
+	 *
+	 * @param {() => Promise<import('./types').UserLimitsResponse>} fetchLimits
+	 *
+	 * @returns {Promise<void>}
+	 */
+	seed(fetchLimits) {
+		this.#seeding ??= fetchLimits()
+			.then(
+				({ user }) => {
+					this.#staleAt = Infinity;
+
+					for (const action of /** @type {QuotaAction[]} */ (["posts", "follows", "likes"])) {
+						const limit = user?.[action];
+						if (!limit || typeof limit.remaining !== "number") {
+							this.#quotas.delete(action);
+							continue;
+						}
+
+						const resetAt = limit.reset_at ? limit.reset_at * 1000 : Date.now() + 24 * 60 * 60 * 1000;
+						const quota = { limit: limit.limit, remaining: limit.remaining, resetAt };
+						// Pending reservations keep the quota they were made from, so it's updated in place
+						const current = this.#quotas.get(action);
+						if (current) Object.assign(current, quota);
+						else this.#quotas.set(action, quota);
+						this.#staleAt = Math.min(this.#staleAt, resetAt);
+					}
+				},
+				() => {
+					this.#staleAt = Date.now() + SEED_RETRY_DELAY;
+				}
+			)
+			.finally(() => {
+				this.#seeding = null;
+			});
+
+		return this.#seeding;
+	}
+
+	/**
+	 * Reserves an action. Returns `null` if its quota is used up, including reserved actions.
+	 *
+	 * @param {QuotaAction} action
+	 *
+	 * @returns {QuotaReservation | null}
+	 */
+	reserve(action) {
+		const quota = this.#quotas.get(action);
+		const pending = this.#pending.get(action) ?? 0;
+
+		if (quota && quota.remaining - pending <= 0) return null;
+
+		this.#pending.set(action, pending + 1);
+		let settled = false;
+		const settle = () => {
+			if (settled) return false;
+			settled = true;
+			this.#pending.set(action, (this.#pending.get(action) ?? 1) - 1);
+			return true;
+		};
+
+		return {
+			commit: () => {
+				if (settle() && quota) quota.remaining = Math.max(0, quota.remaining - 1);
+			},
+			release: () => {
+				settle();
+			}
+		};
+	}
+
+	/**
+	 * @param {QuotaAction} action
+	 *
+	 * @returns {QuotaState | undefined}
+	 */
+	get(action) {
+		return this.state[action];
+	}
+}
+
+module.exports = { RequestScheduler, QuotaTracker, quotaActionFor };
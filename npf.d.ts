@@ -0,0 +1,344 @@
+/**
+ * Fluent builder of NPF post content and layout
+ *
+ * Blocks are indexed in the order they are added, starting from 0. The result of {@link NpfBuilder#build}
+ * or the builder itself can be passed to `createPost` and `editPost`.
+ *
+ * @see {@link https://www.tumblr.com/docs/npf|NPF specification}
+ *
+ * @example
+ * await client.createPost(
+ * 	blogName,
+ * 	npf()
+ * 		.heading("Weekend")
+ * 		.text("Look at this", { bold: [0, 4] })
+ * 		.image(fs.createReadStream("first.jpg"), { alt: "First" })
+ * 		.image(fs.createReadStream("second.jpg"), { alt: "Second" })
+ * 		.row([2, 3])
+ * 		.readMore()
+ * 		.text("More photos later")
+ * );
+ */
+export class NpfBuilder {
+	/**
+	 * Number of added blocks, the index of the next block
+	 *
+	 * @type {number}
+	 */
+	get length(): number;
+	/**
+	 * Adds a content block as is
+	 *
+	 * @param  {NpfContentBlock} block
+	 *
+	 * @return {this}
+	 */
+	block(block: import("./types").NpfContentBlock): this;
+	/**
+	 * Adds a text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options] - subtype, indentation and formatting ranges
+	 *
+	 * @return {this}
+	 */
+	text(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds a `heading1` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	heading(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds a `heading2` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	subheading(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds a `quote` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	quote(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds an `indented` text block, used for block quotes
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	indented(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds a `chat` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	chat(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds a `quirky` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	quirky(text: string, options?: import("./types").NpfTextOptions): this;
+	/**
+	 * Adds a text block per list item
+	 *
+	 * @param  {ReadonlyArray<string | [string, import('./types').NpfTextOptions]>} items - texts or texts with options
+	 * @param  {{ordered?: boolean; indent_level?: number}} [options]
+	 *
+	 * @return {this}
+	 */
+	list(
+		items: ReadonlyArray<string | [string, import("./types").NpfTextOptions]>,
+		options?: {
+			ordered?: boolean;
+			indent_level?: number;
+		}
+	): this;
+	/**
+	 * Adds an image block
+	 *
+	 * @param  {import('./types').MediaUploadSource | import('./types').MediaObject | ReadonlyArray<import('./types').MediaObject>} media - media to upload, image URL for Tumblr to fetch or existing media objects
+	 * @param  {import('./types').NpfImageOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	image(
+		media:
+			| import("./types").MediaUploadSource
+			| import("./types").MediaObject
+			| ReadonlyArray<import("./types").MediaObject>,
+		options?: import("./types").NpfImageOptions
+	): this;
+	/**
+	 * Adds a link block
+	 *
+	 * @param  {string} url
+	 * @param  {import('./types').NpfLinkOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	link(url: string, options?: import("./types").NpfLinkOptions): this;
+	/**
+	 * Adds an audio block
+	 *
+	 * @param  {import('./types').MediaUploadSource | MediaObject} media - media to upload, URL of the audio to embed or existing media object
+	 * @param  {import('./types').NpfAudioOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	audio(
+		media: import("./types").MediaUploadSource | import("./types").MediaObject,
+		options?: import("./types").NpfAudioOptions
+	): this;
+	/**
+	 * Adds a video block
+	 *
+	 * @param  {import('./types').MediaUploadSource | MediaObject} media - media to upload, URL of the video to embed or existing media object
+	 * @param  {import('./types').NpfVideoOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	video(
+		media: import("./types").MediaUploadSource | import("./types").MediaObject,
+		options?: import("./types").NpfVideoOptions
+	): this;
+	/**
+	 * Adds a paywall block
+	 *
+	 * @param  {import('./types').NpfPaywallOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	paywall(options?: import("./types").NpfPaywallOptions): this;
+	/**
+	 * Adds a poll block
+	 *
+	 * @param  {string} question
+	 * @param  {ReadonlyArray<string>} answers
+	 * @param  {{expireAfter?: number}} [options] - `expireAfter` in seconds, 7 days by default
+	 *
+	 * @return {this}
+	 */
+	poll(
+		question: string,
+		answers: ReadonlyArray<string>,
+		options?: {
+			expireAfter?: number;
+		}
+	): this;
+	/**
+	 * Adds blocks parsed from Markdown
+	 *
+	 * Supports headings, paragraphs, ordered and unordered lists, block quotes (as `indented` text), fenced code
+	 * (as `chat` text), links, images, bold, italic, strikethrough and `<!-- more -->` or `[[MORE]]` breaks.
+	 * Adjacent images are put in one row.
+	 *
+	 * @param  {string} source
+	 *
+	 * @return {this}
+	 */
+	markdown(source: string): this;
+	/**
+	 * Adds blocks parsed from HTML, e.g. the body of a legacy post
+	 *
+	 * Supports paragraphs, headings (`h3`–`h6` as `heading2`), ordered and unordered lists, block quotes (as
+	 * `indented` text), `pre` (as `chat` text), links, bold, italic, strikethrough, small, line breaks, images,
+	 * video, audio and iframe embeds, and `<!-- more -->` or `[[MORE]]` breaks. Adjacent images are put in one
+	 * row, other elements keep only their text.
+	 *
+	 * @param  {string} source
+	 *
+	 * @return {this}
+	 */
+	html(source: string): this;
+	/**
+	 * Displays blocks side by side in one row of the `rows` layout
+	 *
+	 * Blocks not put in any row are displayed in their own rows in order.
+	 *
+	 * @param  {ReadonlyArray<number>} blocks - block indexes
+	 * @param  {{type: string}} [mode] - display mode, e.g. `{ type: "carousel" }`
+	 *
+	 * @return {this}
+	 */
+	row(
+		blocks: ReadonlyArray<number>,
+		mode?: {
+			type: string;
+		}
+	): this;
+	/**
+	 * Puts the "Read more" break after the last added block
+	 *
+	 * @return {this}
+	 */
+	readMore(): this;
+	/**
+	 * Marks blocks as the ask in an answer post. Ask blocks must be the first blocks of the post.
+	 *
+	 * @param  {ReadonlyArray<number>} blocks - block indexes
+	 * @param  {{uuid: string; name?: string; url?: string}} [blog] - asking blog, anonymous if omitted
+	 *
+	 * @return {this}
+	 */
+	ask(
+		blocks: ReadonlyArray<number>,
+		blog?: {
+			uuid: string;
+			name?: string;
+			url?: string;
+		}
+	): this;
+	/**
+	 * @return {{content: import('./types').NpfContentBlock[]; layout: import('./types').NpfLayoutBlock[]}} `content` and `layout` post params
+	 */
+	build(): {
+		content: import("./types").NpfContentBlock[];
+		layout: import("./types").NpfLayoutBlock[];
+	};
+	/**
+	 * @return {{content: import('./types').NpfContentBlock[]; layout: import('./types').NpfLayoutBlock[]}}
+	 */
+	toJSON(): {
+		content: import("./types").NpfContentBlock[];
+		layout: import("./types").NpfLayoutBlock[];
+	};
+	#private;
+}
+/**
+ * Creates an {@link NpfBuilder}
+ *
+ * @return {NpfBuilder}
+ */
+export function npf(): NpfBuilder;
+/**
+ * Parses Markdown into NPF content and layout
+ *
+ * @see {@link NpfBuilder#markdown}
+ *
+ * @param {string} source
+ *
+ * @return {NpfBuilder} builder with the parsed blocks, can be passed to `createPost`, rendered or continued
+ */
+export function markdownToNpf(source: string): NpfBuilder;
+/**
+ * Parses HTML into NPF content and layout
+ *
+ * @see {@link NpfBuilder#html}
+ *
+ * @param {string} source
+ *
+ * @return {NpfBuilder} builder with the parsed blocks, can be passed to `createPost`, rendered or continued
+ */
+export function htmlToNpf(source: string): NpfBuilder;
+/**
+ * Converts a legacy post, fetched from the API or given as params of the deprecated legacy methods, to NPF
+ * post params for `createPost` and `editPost`
+ *
+ * HTML of bodies, captions and answers is parsed with {@link NpfBuilder#html}, or with
+ * {@link NpfBuilder#markdown} for params with `format: "markdown"`. Photosets keep their layout, answers are
+ * marked with the `ask` layout. Tags, state, slug, source URL and dates are carried over.
+ *
+ * Legacy answers only have the name of the asking blog, while NPF asks are attributed by uuid. Answers are
+ * anonymous unless `askingUuid` is given.
+ *
+ * @example
+ * const { posts } = await client.blogPosts(blogName, { id: postId });
+ * await client.editPost(blogName, postId, legacyToNpf(posts[0]));
+ *
+ * @param  {import('./types').LegacyPost | import('./types').LegacyPostParams} post
+ * @param  {{askingUuid?: string}} [options] - uuid of the blog that asked, for answer posts
+ *
+ * @return {import('./types').NpfPostParams}
+ */
+export function legacyToNpf(
+	post: import("./types").LegacyPost | import("./types").LegacyPostParams,
+	options?: { askingUuid?: string }
+): import("./types").NpfPostParams;
+/**
+ * Renders NPF post with its reblog trail to sanitized HTML
+ *
+ * Text is escaped, only `http(s)` and `mailto` URLs are kept, embeds are replaced with links.
+ * Elements have `npf-*` classes for styling.
+ *
+ * @param  {import('./types').NpfRenderable | NpfBuilder} source - post from the API, post params or builder
+ * @param  {import('./types').NpfRenderOptions} [options]
+ *
+ * @return {string}
+ */
+export function npfToHtml(
+	source: import("./types").NpfRenderable | NpfBuilder,
+	options?: import("./types").NpfRenderOptions
+): string;
+/**
+ * Renders NPF post with its reblog trail to Markdown
+ *
+ * Reblogged and asked content is quoted. Formatting without Markdown syntax (color, small) is dropped.
+ *
+ * @param  {import('./types').NpfRenderable | NpfBuilder} source - post from the API, post params or builder
+ * @param  {import('./types').NpfRenderOptions} [options]
+ *
+ * @return {string}
+ */
+export function npfToMarkdown(
+	source: import("./types").NpfRenderable | NpfBuilder,
+	options?: import("./types").NpfRenderOptions
+): string;
@@ -0,0 +1,2045 @@
+/*!
+ * Neue Post Format helpers for @serguun42/tumblr.js
+ */
+
+const crypto = require("node:crypto");
+const { URL } = require("node:url");
+
+/**
+ * @typedef {import('./types').NpfContentBlock} NpfContentBlock
+ * @typedef {import('./types').NpfLayoutBlock} NpfLayoutBlock
+ * @typedef {import('./types').NpfTextFormatting} NpfTextFormatting
+ * @typedef {import('./types').NpfRange} NpfRange
+ * @typedef {import('./types').MediaObject} MediaObject
+ */
+
+/** @type {ReadonlyArray<"bold" | "italic" | "strikethrough" | "small">} */
+const SIMPLE_FORMATTING = ["bold", "italic", "strikethrough", "small"];
+
+/**
+ * Resolves a range given as `[start, end]` or as a substring of the text
+ *
+ * @param {string} text
+ * @param {NpfRange} range
+ *
+ * @returns {{start: number; end: number}}
+ */
+function resolveRange(text, range) {
+	if (typeof range === "string") {
+		const start = text.indexOf(range);
+		if (!range || start === -1) throw new TypeError(`Formatting range "${range}" is not found in the text.`);
+
+		return { start, end: start + range.length };
+	}
+
+	const [start, end] = range;
+	if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length) {
+		throw new TypeError(`Invalid formatting range [${start}, ${end}] for text of length ${text.length}.`);
+	}
+
+	return { start, end };
+}
+
+/**
+ * @template T
+ * @param {T | ReadonlyArray<T> | undefined} value
+ * @param {(value: any) => boolean} isSingle
+ *
+ * @returns {ReadonlyArray<T>}
+ */
+function toList(value, isSingle) {
+	if (value === undefined) return [];
+
+	return isSingle(value) ? [/** @type {T} */ (value)] : /** @type {ReadonlyArray<T>} */ (value);
+}
+
+/**
+ * @param {any} value
+ *
+ * @returns {boolean} whether value is a single range and not a list of ranges
+ */
+function isSingleRange(value) {
+	return typeof value === "string" || typeof value[0] === "number";
+}
+
+/**
+ * Builds NPF formatting objects from text options
+ *
+ * @param {string} text
+ * @param {import('./types').NpfTextOptions} options
+ *
+ * @returns {NpfTextFormatting[]}
+ */
+function buildFormatting(text, options) {
+	/** @type {NpfTextFormatting[]} */
+	const formatting = [];
+
+	for (const type of SIMPLE_FORMATTING) {
+		for (const range of toList(options[type], isSingleRange)) {
+			formatting.push({ ...resolveRange(text, range), type });
+		}
+	}
+
+	/** @param {any} value */
+	const isSingleEntry = (value) => !Array.isArray(value);
+
+	for (const { range, url } of toList(options.link, isSingleEntry)) {
+		formatting.push({ ...resolveRange(text, range), type: "link", url });
+	}
+
+	for (const { range, blog } of toList(options.mention, isSingleEntry)) {
+		formatting.push({ ...resolveRange(text, range), type: "mention", blog });
+	}
+
+	for (const { range, hex } of toList(options.color, isSingleEntry)) {
+		formatting.push({ ...resolveRange(text, range), type: "color", hex });
+	}
+
+	formatting.push(...(options.formatting ?? []));
+
+	return formatting.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * @param {any} media
+ *
+ * @returns {media is string} whether media is an `http(s)` URL string, rather than a file path
+ */
+function isRemoteUrl(media) {
+	return typeof media === "string" && /^https?:\/\//i.test(media);
+}
+
+/**
+ * @param {any} media
+ *
+ * @returns {media is MediaObject} whether media references already uploaded media
+ */
+function isMediaObject(media) {
+	return typeof media === "object" && media !== null && typeof media.url === "string";
+}
+
+/** Characters Markdown allows to escape with a backslash */
+const MARKDOWN_ESCAPABLE = /[!-/:-@[-`{-~]/;
+
+const MARKDOWN_IMAGE = /!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+/**
+ * Finds the closing emphasis delimiter
+ *
+ * @param {string} source
+ * @param {number} from
+ * @param {string} delimiter
+ *
+ * @returns {number} index of the closing delimiter or -1
+ */
+function findClosingDelimiter(source, from, delimiter) {
+	for (let index = from; index < source.length; index++) {
+		if (source[index] === "\\") {
+			index++;
+			continue;
+		}
+
+		if (!source.startsWith(delimiter, index)) continue;
+
+		if (delimiter.length === 1 && source[index + 1] === delimiter) {
+			// Part of a double delimiter, unless it ends a run like `***`
+			if (source[index + 2] !== delimiter) {
+				index++;
+				continue;
+			}
+			index += 2;
+		} else if (delimiter.length === 2 && source[index + 2] === delimiter[0]) {
+			// The last two of `***` close the double delimiter
+			index++;
+		}
+
+		if (/\s/.test(source[index - 1])) continue;
+
+		if (delimiter[0] === "_" && /[\p{L}\p{N}]/u.test(source[index + delimiter.length] ?? "")) continue;
+
+		return index;
+	}
+
+	return -1;
+}
+
+/**
+ * Parses inline Markdown into plain text and NPF formatting
+ *
+ * @param {string} source
+ *
+ * @returns {{text: string; formatting: NpfTextFormatting[]}}
+ */
+function parseInlineMarkdown(source) {
+	let text = "";
+	/** @type {NpfTextFormatting[]} */
+	const formatting = [];
+
+	/**
+	 * @param {string} inner - Markdown to parse and append
+	 * @param {(range: {start: number; end: number}) => NpfTextFormatting} [format]
+	 */
+	const append = (inner, format) => {
+		const parsed = parseInlineMarkdown(inner);
+		const start = text.length;
+
+		text += parsed.text;
+		if (format && parsed.text) formatting.push(format({ start, end: text.length }));
+		for (const item of parsed.formatting) {
+			formatting.push({ ...item, start: item.start + start, end: item.end + start });
+		}
+	};
+
+	let index = 0;
+	while (index < source.length) {
+		const char = source[index];
+		const rest = source.slice(index);
+
+		if (char === "\\" && MARKDOWN_ESCAPABLE.test(source[index + 1] ?? "")) {
+			text += source[index + 1];
+			index += 2;
+			continue;
+		}
+
+		if (char === "`") {
+			const ticks = /^`+/.exec(rest)?.[0] ?? "`";
+			const close = source.indexOf(ticks, index + ticks.length);
+			if (close !== -1) {
+				text += source.slice(index + ticks.length, close).trim();
+				index = close + ticks.length;
+				continue;
+			}
+		}
+
+		const image = new RegExp(`^${MARKDOWN_IMAGE.source}`).exec(rest);
+		if (image) {
+			append(image[1]);
+			index += image[0].length;
+			continue;
+		}
+
+		const link = /^\[((?:\\.|`[^`]*`|[^\]\\])*)\]\(\s*<?([^\s)>]*)>?(?:\s+"[^"]*")?\s*\)/.exec(rest);
+		if (link) {
+			append(link[1], (range) => ({ ...range, type: "link", url: link[2] }));
+			index += link[0].length;
+			continue;
+		}
+
+		const autolink = /^<((?:https?:\/\/|mailto:)[^\s>]+)>/i.exec(rest);
+		if (autolink) {
+			const start = text.length;
+			text += autolink[1];
+			formatting.push({ start, end: text.length, type: "link", url: autolink[1] });
+			index += autolink[0].length;
+			continue;
+		}
+
+		const delimiter = ["**", "__", "~~", "*", "_"].find((candidate) => rest.startsWith(candidate));
+		const canOpen =
+			delimiter &&
+			!/\s/.test(source[index + delimiter.length] ?? " ") &&
+			!(delimiter[0] === "_" && /[\p{L}\p{N}]/u.test(source[index - 1] ?? ""));
+		if (delimiter && canOpen) {
+			const close = findClosingDelimiter(source, index + delimiter.length + 1, delimiter);
+			if (close !== -1) {
+				/** @type {"bold" | "italic" | "strikethrough"} */
+				const type = delimiter === "~~" ? "strikethrough" : delimiter.length === 2 ? "bold" : "italic";
+				append(source.slice(index + delimiter.length, close), (range) => ({ ...range, type }));
+				index = close + delimiter.length;
+				continue;
+			}
+		}
+
+		text += char;
+		index++;
+	}
+
+	return { text, formatting };
+}
+
+/**
+ * @typedef {{kind: "text"; markdown: string; subtype?: import('./types').NpfTextSubtype; indent_level?: number}
+ * 	| {kind: "code"; text: string}
+ * 	| {kind: "paragraph"; markdown: string; subtype?: "indented"}
+ * 	| {kind: "readMore"}} MarkdownToken
+ */
+
+/**
+ * Splits Markdown into blocks
+ *
+ * @param {string} source
+ *
+ * @returns {MarkdownToken[]}
+ */
+function parseMarkdownBlocks(source) {
+	const lines = source.replace(/\r\n?/g, "\n").split("\n");
+	/** @type {MarkdownToken[]} */
+	const tokens = [];
+	/** @type {string[]} */
+	let paragraph = [];
+	/** @type {number[]} indentation of open list levels */
+	let listIndents = [];
+
+	const flush = () => {
+		if (paragraph.length) {
+			// Lines ending with two spaces or a backslash are hard breaks
+			const markdown = paragraph
+				.map((line, index) =>
+					index === paragraph.length - 1
+						? line.trim()
+						: / {2,}$|\\$/.test(line)
+							? line.trim().replace(/\\$/, "") + "\n"
+							: line.trim() + " "
+				)
+				.join("");
+			tokens.push({ kind: "paragraph", markdown });
+		}
+		paragraph = [];
+	};
+
+	for (let index = 0; index < lines.length; index++) {
+		const line = lines[index];
+		const lastToken = tokens[tokens.length - 1];
+
+		if (!line.trim()) {
+			flush();
+			listIndents = [];
+			continue;
+		}
+
+		const fence = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+		if (fence) {
+			flush();
+			const code = [];
+			for (index++; index < lines.length && !lines[index].trim().startsWith(fence[1]); index++) {
+				code.push(lines[index]);
+			}
+			tokens.push({ kind: "code", text: code.join("\n") });
+			continue;
+		}
+
+		if (/^\s*(<!--\s*more\s*-->|\[\[MORE\]\])\s*$/i.test(line)) {
+			flush();
+			tokens.push({ kind: "readMore" });
+			continue;
+		}
+
+		const heading = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+		if (heading) {
+			flush();
+			tokens.push({
+				kind: "text",
+				markdown: heading[2],
+				subtype: heading[1].length === 1 ? "heading1" : "heading2"
+			});
+			continue;
+		}
+
+		if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+			flush();
+			continue;
+		}
+
+		if (/^ {0,3}>/.test(line)) {
+			flush();
+			const quote = [];
+			for (; index < lines.length && /^ {0,3}>/.test(lines[index]); index++) {
+				quote.push(lines[index].replace(/^ {0,3}> ?/, ""));
+			}
+			index--;
+
+			for (const token of parseMarkdownBlocks(quote.join("\n"))) {
+				if (token.kind === "text" || token.kind === "paragraph") {
+					tokens.push({ kind: "paragraph", markdown: token.markdown, subtype: "indented" });
+				} else {
+					tokens.push(token);
+				}
+			}
+			continue;
+		}
+
+		const listItem = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/.exec(line);
+		if (listItem) {
+			flush();
+			const indent = listItem[1].replace(/\t/g, "    ").length;
+			while (listIndents.length && indent < listIndents[listIndents.length - 1]) listIndents.pop();
+			if (!listIndents.length || indent > listIndents[listIndents.length - 1]) listIndents.push(indent);
+
+			tokens.push({
+				kind: "text",
+				markdown: listItem[3],
+				subtype: /\d/.test(listItem[2]) ? "ordered-list-item" : "unordered-list-item",
+				indent_level: Math.min(listIndents.length - 1, 7)
+			});
+			continue;
+		}
+
+		// Lazy continuation of a list item
+		if (listIndents.length && !paragraph.length && lastToken?.kind === "text") {
+			lastToken.markdown += ` ${line.trim()}`;
+			continue;
+		}
+
+		paragraph.push(line);
+	}
+
+	flush();
+
+	return tokens;
+}
+
+/** Named character references decoded in HTML, others are kept as is */
+const HTML_ENTITIES = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: '"',
+	apos: "'",
+	nbsp: "\u00a0",
+	hellip: "…",
+	mdash: "—",
+	ndash: "–",
+	lsquo: "‘",
+	rsquo: "’",
+	ldquo: "“",
+	rdquo: "”",
+	laquo: "«",
+	raquo: "»",
+	middot: "·",
+	bull: "•",
+	copy: "©",
+	reg: "®",
+	trade: "™"
+};
+
+/**
+ * @param {string} value
+ *
+ * @returns {string} value with character references decoded
+ */
+function decodeHtml(value) {
+	return value.replace(/&(#x[\da-f]+|#\d+|[a-z]+\d*);/gi, (reference, name) => {
+		if (name[0] !== "#") {
+			return /** @type {Record<string, string>} */ (HTML_ENTITIES)[name.toLowerCase()] ?? reference;
+		}
+
+		const code = /x/i.test(name[1]) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+		return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+	});
+}
+
+const HTML_TAG =
+	/<!--([\s\S]*?)-->|<(\/?)([a-z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+
+const HTML_ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/** Elements starting a new block, any other element is inline */
+const HTML_BLOCK_ELEMENTS = new Set([
+	"p",
+	"div",
+	"h1",
+	"h2",
+	"h3",
+	"h4",
+	"h5",
+	"h6",
+	"blockquote",
+	"ul",
+	"ol",
+	"li",
+	"pre",
+	"figure",
+	"figcaption",
+	"hr",
+	"table",
+	"tr",
+	"section",
+	"article",
+	"header",
+	"footer",
+	"dl",
+	"dt",
+	"dd"
+]);
+
+/** Elements without a closing tag */
+const HTML_VOID_ELEMENTS = new Set(["br", "hr", "img", "source", "wbr", "input", "meta", "link"]);
+
+/** @type {Record<string, "bold" | "italic" | "strikethrough" | "small">} */
+const HTML_FORMATTING = {
+	b: "bold",
+	strong: "bold",
+	i: "italic",
+	em: "italic",
+	s: "strikethrough",
+	strike: "strikethrough",
+	del: "strikethrough",
+	small: "small"
+};
+
+/**
+ * @param {string | undefined} url
+ *
+ * @returns {string | null} absolute `http(s)` URL, protocol-relative URLs are resolved with `https:`
+ */
+function htmlMediaUrl(url) {
+	const absolute = url?.startsWith("//") ? `https:${url}` : url;
+
+	return absolute && /^https?:\/\//i.test(absolute) ? absolute : null;
+}
+
+/**
+ * @typedef {{kind: "text"; text: string; formatting: NpfTextFormatting[]; subtype?: import('./types').NpfTextSubtype; indent_level?: number}
+ * 	| {kind: "media"; type: "image" | "video" | "audio"; media: string | MediaObject; alt?: string; row: number}
+ * 	| {kind: "readMore"}} HtmlToken
+ * Images with the same `row` had no text or block boundary between them
+ * @typedef {{type: "link"; url: string} | {type: "bold" | "italic" | "strikethrough" | "small"}} HtmlFormat
+ */
+
+/**
+ * Splits HTML into text blocks with formatting and media
+ *
+ * @param {string} source
+ *
+ * @returns {HtmlToken[]}
+ */
+function parseHtmlBlocks(source) {
+	/** @type {HtmlToken[]} */
+	const tokens = [];
+	/** @type {string[]} open block elements, outermost first */
+	const blocks = [];
+	/** @type {Array<{name: string; start: number; format: HtmlFormat}>} */
+	const inline = [];
+	/** @type {"video" | "audio" | null} media element waiting for its `<source>` */
+	let pendingMedia = null;
+	/** @type {string | null} element whose content is skipped */
+	let skipUntil = null;
+	let text = "";
+	/** @type {NpfTextFormatting[]} */
+	let formatting = [];
+	let row = 0;
+
+	/** @param {RegExp} pattern - trailing characters to remove */
+	const trimEnd = (pattern) => {
+		text = text.replace(pattern, "");
+		formatting = formatting
+			.map((item) => ({ ...item, end: Math.min(item.end, text.length) }))
+			.filter((item) => item.start < item.end);
+	};
+
+	/** @returns {{subtype?: import('./types').NpfTextSubtype; indent_level?: number}} */
+	const blockContext = () => {
+		for (let index = blocks.length - 1; index >= 0; index--) {
+			const name = blocks[index];
+
+			if (name === "li") {
+				const lists = blocks.slice(0, index).filter((parent) => parent === "ul" || parent === "ol");
+				return {
+					subtype: lists[lists.length - 1] === "ol" ? "ordered-list-item" : "unordered-list-item",
+					indent_level: Math.min(Math.max(lists.length - 1, 0), 7)
+				};
+			}
+			if (name === "h1") return { subtype: "heading1" };
+			if (/^h[2-6]$/.test(name)) return { subtype: "heading2" };
+			if (name === "pre") return { subtype: "chat" };
+			if (name === "blockquote") return { subtype: "indented" };
+		}
+
+		return {};
+	};
+
+	const flush = () => {
+		trimEnd(/[ \n]+$/);
+
+		// Formatting still open continues in the next block
+		for (const item of inline) {
+			if (item.start < text.length) formatting.push({ ...item.format, start: item.start, end: text.length });
+			item.start = 0;
+		}
+
+		if (text) {
+			const { subtype, indent_level } = blockContext();
+			tokens.push({
+				kind: "text",
+				text,
+				formatting,
+				...(subtype && { subtype }),
+				...(indent_level && { indent_level })
+			});
+			row++;
+		}
+
+		text = "";
+		formatting = [];
+	};
+
+	/** @param {string} chunk - decoded text */
+	const append = (chunk) => {
+		if (blocks.includes("pre")) {
+			text += chunk;
+			return;
+		}
+
+		const collapsed = chunk.replace(/[ \t\n\r\f]+/g, " ");
+		text += !text || /[ \n]$/.test(text) ? collapsed.replace(/^ /, "") : collapsed;
+	};
+
+	/**
+	 * @param {"image" | "video" | "audio"} type
+	 * @param {string | MediaObject} media
+	 * @param {string} [alt]
+	 */
+	const addMedia = (type, media, alt) => {
+		flush();
+		tokens.push({ kind: "media", type, media, ...(alt && { alt }), row });
+	};
+
+	/** @param {string} chunk - raw text between tags */
+	const addText = (chunk) => {
+		const parts = chunk.split(/\[\[MORE\]\]/i);
+
+		parts.forEach((part, index) => {
+			if (index) {
+				flush();
+				tokens.push({ kind: "readMore" });
+			}
+			append(decodeHtml(part));
+		});
+	};
+
+	let lastIndex = 0;
+	for (const match of source.matchAll(HTML_TAG)) {
+		const [tag, comment, closing, rawName, rawAttributes] = match;
+		const name = rawName?.toLowerCase();
+		const between = source.slice(lastIndex, match.index);
+		lastIndex = (match.index ?? 0) + tag.length;
+
+		if (skipUntil) {
+			if (closing && name === skipUntil) skipUntil = null;
+			continue;
+		}
+		addText(between);
+
+		if (comment !== undefined) {
+			if (/^\s*more\s*$/i.test(comment)) {
+				flush();
+				tokens.push({ kind: "readMore" });
+			}
+			continue;
+		}
+
+		/** @type {Record<string, string>} */
+		const attributes = {};
+		for (const [, key, ...values] of (rawAttributes ?? "").matchAll(HTML_ATTRIBUTE)) {
+			attributes[key.toLowerCase()] = decodeHtml(values.find((value) => value !== undefined) ?? "");
+		}
+
+		if (closing) {
+			if (HTML_BLOCK_ELEMENTS.has(name)) {
+				flush();
+				row++;
+				const index = blocks.lastIndexOf(name);
+				if (index !== -1) blocks.splice(index);
+			} else if (name === "video" || name === "audio") {
+				pendingMedia = null;
+			} else {
+				const index = inline.map((item) => item.name).lastIndexOf(name);
+				if (index !== -1) {
+					const [item] = inline.splice(index, 1);
+					if (item.start < text.length)
+						formatting.push({ ...item.format, start: item.start, end: text.length });
+				}
+			}
+			continue;
+		}
+
+		if (name === "script" || name === "style") {
+			skipUntil = name;
+		} else if (HTML_BLOCK_ELEMENTS.has(name)) {
+			flush();
+			row++;
+			if (!HTML_VOID_ELEMENTS.has(name)) blocks.push(name);
+		} else if (name === "br") {
+			trimEnd(/ +$/);
+			if (text) text += "\n";
+		} else if (name === "img") {
+			const url = htmlMediaUrl(attributes.src);
+			const width = Number(attributes["data-orig-width"] ?? attributes.width);
+			const height = Number(attributes["data-orig-height"] ?? attributes.height);
+
+			if (url) addMedia("image", width > 0 && height > 0 ? { url, width, height } : url, attributes.alt);
+		} else if (name === "video" || name === "audio") {
+			const url = htmlMediaUrl(attributes.src);
+
+			if (url) addMedia(name, name === "video" ? { url, type: "video/mp4" } : url);
+			else pendingMedia = name;
+		} else if (name === "source") {
+			const url = htmlMediaUrl(attributes.src);
+
+			if (url && pendingMedia) {
+				addMedia(pendingMedia, pendingMedia === "video" ? { url, type: attributes.type || "video/mp4" } : url);
+				pendingMedia = null;
+			}
+		} else if (name === "iframe") {
+			const url = htmlMediaUrl(attributes.src);
+
+			if (url) addMedia("video", url);
+			skipUntil = "iframe";
+		} else if (name === "a" || HTML_FORMATTING[name]) {
+			/** @type {HtmlFormat | null} */
+			const format =
+				name === "a"
+					? attributes.href
+						? { type: "link", url: attributes.href }
+						: null
+					: { type: HTML_FORMATTING[name] };
+			if (format) inline.push({ name, start: text.length, format });
+		}
+	}
+
+	if (!skipUntil) addText(source.slice(lastIndex));
+	flush();
+
+	return tokens;
+}
+
+/**
+ * Adds blocks parsed from HTML to the builder, adjacent images are put in one row
+ *
+ * @param {NpfBuilder} builder
+ * @param {string} source
+ * @param {import('./types').NpfTextSubtype} [subtype] - subtype of text blocks without their own
+ */
+function addHtml(builder, source, subtype) {
+	/** @type {number[]} */
+	let imageRow = [];
+	let lastRow = -1;
+
+	const flushRow = () => {
+		if (imageRow.length > 1) builder.row(imageRow);
+		imageRow = [];
+	};
+
+	for (const token of parseHtmlBlocks(source)) {
+		if (token.kind !== "media" || token.type !== "image" || token.row !== lastRow) flushRow();
+
+		if (token.kind === "readMore") {
+			if (builder.length) builder.readMore();
+		} else if (token.kind === "text") {
+			const { text, formatting, indent_level } = token;
+			builder.text(text, { subtype: token.subtype ?? subtype, indent_level, formatting });
+		} else {
+			if (token.type === "image") {
+				imageRow.push(builder.length);
+				lastRow = token.row;
+			}
+			builder[token.type](token.media, token.alt ? { alt: token.alt } : {});
+		}
+	}
+
+	flushRow();
+}
+
+/**
+ * Fluent builder of NPF post content and layout
+ *
+ * Blocks are indexed in the order they are added, starting from 0. The result of {@link NpfBuilder#build}
+ * or the builder itself can be passed to `createPost` and `editPost`.
+ *
+ * @see {@link https://www.tumblr.com/docs/npf|NPF specification}
+ *
+ * @example
+ * await client.createPost(
+ * 	blogName,
+ * 	npf()
+ * 		.heading("Weekend")
+ * 		.text("Look at this", { bold: [0, 4] })
+ * 		.image(fs.createReadStream("first.jpg"), { alt: "First" })
+ * 		.image(fs.createReadStream("second.jpg"), { alt: "Second" })
+ * 		.row([2, 3])
+ * 		.readMore()
+ * 		.text("More photos later")
+ * );
+ */
+class NpfBuilder {
+	/** @type {NpfContentBlock[]} */
+	#content = [];
+
+	/** @type {Array<{blocks: number[]; mode?: {type: string}}>} */
+	#rows = [];
+
+	/** @type {number | undefined} */
+	#truncateAfter;
+
+	/** @type {import('./types').NpfLayoutAsk | undefined} */
+	#ask;
+
+	/**
+	 * Number of added blocks, the index of the next block
+	 *
+	 * @type {number}
+	 */
+	get length() {
+		return this.#content.length;
+	}
+
+	/**
+	 * Adds a content block as is
+	 *
+	 * @param  {NpfContentBlock} block
+	 *
+	 * @return {this}
+	 */
+	block(block) {
+		if (!block || typeof block.type !== "string") throw new TypeError("Content block must have a type.");
+
+		this.#content.push(block);
+		return this;
+	}
+
+	/**
+	 * Adds a text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options] - subtype, indentation and formatting ranges
+	 *
+	 * @return {this}
+	 */
+	text(text, options = {}) {
+		if (typeof text !== "string") throw new TypeError("Text must be a string.");
+
+		const formatting = buildFormatting(text, options);
+
+		return this.block({
+			type: "text",
+			...(options.subtype && { subtype: options.subtype }),
+			text,
+			...(options.indent_level && { indent_level: options.indent_level }),
+			...(formatting.length && { formatting })
+		});
+	}
+
+	/**
+	 * Adds a `heading1` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	heading(text, options) {
+		return this.text(text, { ...options, subtype: "heading1" });
+	}
+
+	/**
+	 * Adds a `heading2` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	subheading(text, options) {
+		return this.text(text, { ...options, subtype: "heading2" });
+	}
+
+	/**
+	 * Adds a `quote` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	quote(text, options) {
+		return this.text(text, { ...options, subtype: "quote" });
+	}
+
+	/**
+	 * Adds an `indented` text block, used for block quotes
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	indented(text, options) {
+		return this.text(text, { ...options, subtype: "indented" });
+	}
+
+	/**
+	 * Adds a `chat` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	chat(text, options) {
+		return this.text(text, { ...options, subtype: "chat" });
+	}
+
+	/**
+	 * Adds a `quirky` text block
+	 *
+	 * @param  {string} text
+	 * @param  {import('./types').NpfTextOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	quirky(text, options) {
+		return this.text(text, { ...options, subtype: "quirky" });
+	}
+
+	/**
+	 * Adds a text block per list item
+	 *
+	 * @param  {ReadonlyArray<string | [string, import('./types').NpfTextOptions]>} items - texts or texts with options
+	 * @param  {{ordered?: boolean; indent_level?: number}} [options]
+	 *
+	 * @return {this}
+	 */
+	list(items, options = {}) {
+		const subtype = options.ordered ? "ordered-list-item" : "unordered-list-item";
+
+		for (const item of items) {
+			const [text, itemOptions] = typeof item === "string" ? [item, {}] : item;
+			this.text(text, { indent_level: options.indent_level, ...itemOptions, subtype });
+		}
+
+		return this;
+	}
+
+	/**
+	 * Adds an image block
+	 *
+	 * @param  {import('./types').MediaUploadSource | MediaObject | ReadonlyArray<MediaObject>} media - media to upload, image URL for Tumblr to fetch or existing media objects
+	 * @param  {import('./types').NpfImageOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	image(media, options = {}) {
+		const { alt, ...rest } = options;
+
+		return this.block({
+			type: "image",
+			media: isRemoteUrl(media) ? [{ url: media }] : isMediaObject(media) ? [media] : media,
+			...(alt !== undefined && { alt_text: alt }),
+			...rest
+		});
+	}
+
+	/**
+	 * Adds a link block
+	 *
+	 * @param  {string} url
+	 * @param  {import('./types').NpfLinkOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	link(url, options = {}) {
+		return this.block({ type: "link", url, ...options });
+	}
+
+	/**
+	 * Adds an audio block
+	 *
+	 * @param  {import('./types').MediaUploadSource | MediaObject} media - media to upload, URL of the audio to embed or existing media object
+	 * @param  {import('./types').NpfAudioOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	audio(media, options = {}) {
+		return this.block({
+			type: "audio",
+			...(isRemoteUrl(media) ? { url: media } : { media }),
+			...options
+		});
+	}
+
+	/**
+	 * Adds a video block
+	 *
+	 * @param  {import('./types').MediaUploadSource | MediaObject} media - media to upload, URL of the video to embed or existing media object
+	 * @param  {import('./types').NpfVideoOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	video(media, options = {}) {
+		return this.block({
+			type: "video",
+			...(isRemoteUrl(media) ? { url: media } : { media }),
+			...options
+		});
+	}
+
+	/**
+	 * Adds a paywall block
+	 *
+	 * @param  {import('./types').NpfPaywallOptions} [options]
+	 *
+	 * @return {this}
+	 */
+	paywall(options = {}) {
+		return this.block({ type: "paywall", subtype: "cta", ...options });
+	}
+
+	/**
+	 * Adds a poll block
+	 *
+	 * @param  {string} question
+	 * @param  {ReadonlyArray<string>} answers
+	 * @param  {{expireAfter?: number}} [options] - `expireAfter` in seconds, 7 days by default
+	 *
+	 * @return {this}
+	 */
+	poll(question, answers, options = {}) {
+		if (!Array.isArray(answers) || answers.length < 2) throw new TypeError("Poll must have at least 2 answers.");
+
+		return this.block({
+			type: "poll",
+			client_id: crypto.randomUUID(),
+			question,
+			answers: answers.map((answer) => ({ client_id: crypto.randomUUID(), answer_text: answer })),
+			settings: {
+				multiple_choice: false,
+				close_status: "closed-after",
+				expire_after: options.expireAfter ?? 7 * 24 * 60 * 60,
+				source: "tumblr"
+			}
+		});
+	}
+
+	/**
+	 * Adds blocks parsed from Markdown
+	 *
+	 * Supports headings, paragraphs, ordered and unordered lists, block quotes (as `indented` text), fenced code
+	 * (as `chat` text), links, images, bold, italic, strikethrough and `<!-- more -->` or `[[MORE]]` breaks.
+	 * Adjacent images are put in one row.
+	 *
+	 * @param  {string} source
+	 *
+	 * @return {this}
+	 */
+	markdown(source) {
+		for (const token of parseMarkdownBlocks(source)) {
+			if (token.kind === "readMore") {
+				if (this.#content.length) this.readMore();
+			} else if (token.kind === "code") {
+				this.chat(token.text);
+			} else if (token.kind === "text") {
+				const { text, formatting } = parseInlineMarkdown(token.markdown);
+				if (text.trim())
+					this.text(text, { subtype: token.subtype, indent_level: token.indent_level, formatting });
+			} else {
+				this.#markdownParagraph(token.markdown, token.subtype);
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Adds blocks parsed from HTML, e.g. the body of a legacy post
+	 *
+	 * Supports paragraphs, headings (`h3`–`h6` as `heading2`), ordered and unordered lists, block quotes (as
+	 * `indented` text), `pre` (as `chat` text), links, bold, italic, strikethrough, small, line breaks, images,
+	 * video, audio and iframe embeds, and `<!-- more -->` or `[[MORE]]` breaks. Adjacent images are put in one
+	 * row, other elements keep only their text.
+	 *
+	 * @param  {string} source
+	 *
+	 * @return {this}
+	 */
+	html(source) {
+		addHtml(this, source);
+		return this;
+	}
+
+	/**
+	 * Adds a paragraph, splitting out its images into image blocks
+	 *
+	 * @param {string} markdown
+	 * @param {import('./types').NpfTextSubtype} [subtype]
+	 */
+	#markdownParagraph(markdown, subtype) {
+		/** @type {number[]} */
+		let imageRow = [];
+		let lastIndex = 0;
+
+		const flushRow = () => {
+			if (imageRow.length > 1) this.row(imageRow);
+			imageRow = [];
+		};
+
+		/** @param {string} part */
+		const addText = (part) => {
+			const { text, formatting } = parseInlineMarkdown(part.trim());
+			if (!text.trim()) return;
+
+			flushRow();
+			this.text(text, { subtype, formatting });
+		};
+
+		for (const match of markdown.matchAll(MARKDOWN_IMAGE)) {
+			addText(markdown.slice(lastIndex, match.index));
+			imageRow.push(this.#content.length);
+			this.image(match[2], { alt: parseInlineMarkdown(match[1]).text });
+			lastIndex = (match.index ?? 0) + match[0].length;
+		}
+
+		addText(markdown.slice(lastIndex));
+		flushRow();
+	}
+
+	/**
+	 * Displays blocks side by side in one row of the `rows` layout
+	 *
+	 * Blocks not put in any row are displayed in their own rows in order.
+	 *
+	 * @param  {ReadonlyArray<number>} blocks - block indexes
+	 * @param  {{type: string}} [mode] - display mode, e.g. `{ type: "carousel" }`
+	 *
+	 * @return {this}
+	 */
+	row(blocks, mode) {
+		if (!Array.isArray(blocks) || !blocks.length) throw new TypeError("Row must have at least one block.");
+
+		for (const index of blocks) {
+			if (!Number.isInteger(index) || index < 0) throw new TypeError(`Invalid block index ${index} in row.`);
+			if (this.#rows.some((row) => row.blocks.includes(index))) {
+				throw new TypeError(`Block ${index} is already in another row.`);
+			}
+		}
+
+		this.#rows.push({ blocks: [...blocks], ...(mode && { mode }) });
+		return this;
+	}
+
+	/**
+	 * Puts the "Read more" break after the last added block
+	 *
+	 * @return {this}
+	 */
+	readMore() {
+		if (!this.#content.length) throw new TypeError("Read more must follow at least one block.");
+
+		this.#truncateAfter = this.#content.length - 1;
+		return this;
+	}
+
+	/**
+	 * Marks blocks as the ask in an answer post. Ask blocks must be the first blocks of the post.
+	 *
+	 * @param  {ReadonlyArray<number>} blocks - block indexes
+	 * @param  {{uuid: string; name?: string; url?: string}} [blog] - asking blog, anonymous if omitted
+	 *
+	 * @return {this}
+	 */
+	ask(blocks, blog) {
+		if (!Array.isArray(blocks) || !blocks.every((index, position) => index === position)) {
+			throw new TypeError("Ask blocks must be the first blocks of the post, in order.");
+		}
+
+		this.#ask = {
+			type: "ask",
+			blocks: [...blocks],
+			...(blog && { attribution: { type: "blog", blog } })
+		};
+		return this;
+	}
+
+	/**
+	 * @return {{content: NpfContentBlock[]; layout: NpfLayoutBlock[]}} `content` and `layout` post params
+	 */
+	build() {
+		const count = this.#content.length;
+
+		for (const index of [...this.#rows.flatMap((row) => row.blocks), ...(this.#ask?.blocks ?? [])]) {
+			if (index >= count) throw new TypeError(`Layout refers to block ${index}, but there are only ${count}.`);
+		}
+
+		/** @type {NpfLayoutBlock[]} */
+		const layout = [];
+
+		if (this.#rows.length || this.#truncateAfter !== undefined) {
+			/** @type {Array<{blocks: number[]; mode?: {type: string}}>} */
+			const display = [];
+
+			for (let index = 0; index < count; index++) {
+				const row = this.#rows.find((candidate) => candidate.blocks.includes(index));
+				if (!row) display.push({ blocks: [index] });
+				else if (!display.includes(row)) display.push(row);
+			}
+
+			layout.push({
+				type: "rows",
+				display: display.map((row) => ({ ...row, blocks: [...row.blocks] })),
+				...(this.#truncateAfter !== undefined && { truncate_after: this.#truncateAfter })
+			});
+		}
+
+		if (this.#ask) layout.push(this.#ask);
+
+		return { content: [...this.#content], layout };
+	}
+
+	/**
+	 * @return {{content: NpfContentBlock[]; layout: NpfLayoutBlock[]}}
+	 */
+	toJSON() {
+		return this.build();
+	}
+}
+
+/**
+ * Creates an {@link NpfBuilder}
+ *
+ * @return {NpfBuilder}
+ */
+function npf() {
+	return new NpfBuilder();
+}
+
+/**
+ * Parses Markdown into NPF content and layout
+ *
+ * @see {@link NpfBuilder#markdown}
+ *
+ * @param {string} source
+ *
+ * @return {NpfBuilder} builder with the parsed blocks, can be passed to `createPost`, rendered or continued
+ */
+function markdownToNpf(source) {
+	return new NpfBuilder().markdown(source);
+}
+
+/**
+ * Parses HTML into NPF content and layout
+ *
+ * @see {@link NpfBuilder#html}
+ *
+ * @param {string} source
+ *
+ * @return {NpfBuilder} builder with the parsed blocks, can be passed to `createPost`, rendered or continued
+ */
+function htmlToNpf(source) {
+	return new NpfBuilder().html(source);
+}
+
+/**
+ * @param {unknown} value - date string or Unix timestamp in seconds
+ *
+ * @returns {string | undefined} ISO 8601 date
+ */
+function isoDate(value) {
+	if (value === undefined || value === null || value === "") return undefined;
+
+	const date = new Date(typeof value === "number" ? value * 1000 : String(value));
+	return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * @param {unknown} url
+ *
+ * @returns {MediaObject[] | undefined} poster media of a link, audio or video block
+ */
+function posterOf(url) {
+	return typeof url === "string" && url ? [{ url }] : undefined;
+}
+
+/**
+ * Converts a legacy post, fetched from the API or given as params of the deprecated legacy methods, to NPF
+ * post params for `createPost` and `editPost`
+ *
+ * HTML of bodies, captions and answers is parsed with {@link NpfBuilder#html}, or with
+ * {@link NpfBuilder#markdown} for params with `format: "markdown"`. Photosets keep their layout, answers are
+ * marked with the `ask` layout. Tags, state, slug, source URL and dates are carried over.
+ *
+ * Legacy answers only have the name of the asking blog, while NPF asks are attributed by uuid. Answers are
+ * anonymous unless `askingUuid` is given.
+ *
+ * @example
+ * const { posts } = await client.blogPosts(blogName, { id: postId });
+ * await client.editPost(blogName, postId, legacyToNpf(posts[0]));
+ *
+ * @param  {import('./types').LegacyPost | import('./types').LegacyPostParams} post
+ * @param  {{askingUuid?: string}} [options] - uuid of the blog that asked, for answer posts
+ *
+ * @return {import('./types').NpfPostParams}
+ */
+function legacyToNpf(post, options = {}) {
+	if (typeof post !== "object" || post === null || typeof post.type !== "string") {
+		throw new TypeError("Legacy post must be an object with a type.");
+	}
+
+	/** @type {Record<string, any>} */
+	const legacy = post;
+	// Fetched posts always have HTML, only params may be Markdown
+	const fetched = typeof legacy.timestamp === "number" || typeof legacy.id_string === "string";
+	const builder = new NpfBuilder();
+
+	/**
+	 * @param {unknown} source
+	 * @param {import('./types').NpfTextSubtype} [subtype]
+	 */
+	const addBody = (source, subtype) => {
+		if (typeof source !== "string" || !source.trim()) return;
+
+		if (!fetched && legacy.format === "markdown") {
+			const start = builder.length;
+			builder.markdown(source);
+			if (subtype) {
+				// Markdown blocks are built already, only the subtype of plain paragraphs is changed
+				for (const block of builder.build().content.slice(start)) {
+					if (block.type === "text" && !block.subtype) block.subtype = subtype;
+				}
+			}
+		} else {
+			addHtml(builder, source, subtype);
+		}
+	};
+
+	/** @param {unknown} title */
+	const addTitle = (title) => {
+		if (typeof title === "string" && title.trim()) builder.heading(decodeHtml(title.trim()));
+	};
+
+	/** @param {ReadonlyArray<any>} sources */
+	const addUploads = (sources) => {
+		const type = /** @type {"image" | "video" | "audio"} */ (legacy.type === "photo" ? "image" : legacy.type);
+		for (const source of sources) builder[type](source);
+	};
+
+	const uploads = [legacy.data ?? []].flat();
+	if (typeof legacy.data64 === "string") uploads.push(Buffer.from(legacy.data64, "base64"));
+
+	switch (legacy.type) {
+		case "text":
+			addTitle(legacy.title);
+			addBody(legacy.body);
+			break;
+
+		case "photo": {
+			const first = builder.length;
+			const attribution =
+				legacy.link_url || legacy.link ? { type: "link", url: legacy.link_url ?? legacy.link } : null;
+
+			if (fetched) {
+				for (const photo of legacy.photos ?? []) {
+					const sizes = [
+						{ ...photo.original_size, has_original_dimensions: true },
+						...(photo.alt_sizes ?? [])
+					];
+					builder.image(
+						sizes.filter((size, index) => !index || size.url !== photo.original_size?.url),
+						{ ...(photo.caption && { caption: photo.caption }), ...(attribution && { attribution }) }
+					);
+				}
+			} else {
+				if (legacy.source) builder.image(legacy.source, attribution ? { attribution } : {});
+				addUploads(uploads);
+			}
+
+			// Photoset layout lists the number of photos in each row, e.g. "132"
+			const counts = String(legacy.photoset_layout ?? "")
+				.split("")
+				.map(Number);
+			if (counts.reduce((sum, count) => sum + count, 0) === builder.length - first) {
+				let index = first;
+				for (const count of counts) {
+					if (count > 1) builder.row(Array.from({ length: count }, (_, offset) => index + offset));
+					index += count;
+				}
+			}
+
+			addBody(legacy.caption);
+			break;
+		}
+
+		case "quote":
+			addBody(fetched ? legacy.text : legacy.quote, "quote");
+			if (typeof legacy.source === "string" && legacy.source.trim()) addBody(`— ${legacy.source.trim()}`);
+			break;
+
+		case "link":
+			if (legacy.url) {
+				builder.link(legacy.url, {
+					...(legacy.title && { title: decodeHtml(legacy.title) }),
+					...(legacy.excerpt && { description: legacy.excerpt }),
+					...(legacy.author && { author: legacy.author }),
+					...(legacy.publisher && { site_name: legacy.publisher }),
+					...(posterOf(legacy.link_image ?? legacy.thumbnail) && {
+						poster: posterOf(legacy.link_image ?? legacy.thumbnail)
+					})
+				});
+			}
+			addBody(legacy.description);
+			break;
+
+		case "chat": {
+			addTitle(legacy.title);
+
+			const lines = fetched
+				? (legacy.dialogue ?? []).map((/** @type {any} */ line) => [line.label ?? "", line.phrase ?? ""])
+				: String(legacy.conversation ?? "")
+						.split(/\r?\n/)
+						.filter((line) => line.trim())
+						.map((line) => /^([^:]{1,50}:)\s*(.*)$/.exec(line.trim())?.slice(1) ?? ["", line.trim()]);
+
+			for (const [label, phrase] of lines) {
+				const text = label ? `${label} ${phrase}` : phrase;
+				builder.chat(text, label ? { bold: [0, label.length] } : {});
+			}
+			break;
+		}
+
+		case "audio": {
+			const url = fetched ? (legacy.audio_source_url ?? legacy.audio_url) : legacy.external_url;
+			const options = {
+				...(legacy.audio_type && { provider: legacy.audio_type }),
+				...(legacy.track_name && { title: legacy.track_name }),
+				...(legacy.artist && { artist: legacy.artist }),
+				...(legacy.album && { album: legacy.album }),
+				...(posterOf(legacy.album_art) && { poster: posterOf(legacy.album_art) }),
+				...(typeof legacy.player === "string" && legacy.player && { embed_html: legacy.player })
+			};
+
+			if (url) builder.audio(url, options);
+			addUploads(uploads);
+			addBody(legacy.caption);
+			break;
+		}
+
+		case "video": {
+			const poster = posterOf(legacy.thumbnail_url);
+			const players = Array.isArray(legacy.player) ? legacy.player : [];
+			const embed = players[players.length - 1]?.embed_code;
+
+			if (fetched && legacy.video_type === "tumblr" && legacy.video_url) {
+				builder.video({ url: legacy.video_url, type: "video/mp4" }, poster ? { poster } : {});
+			} else if (fetched && (legacy.permalink_url || embed)) {
+				builder.block({
+					type: "video",
+					...(legacy.permalink_url && { url: legacy.permalink_url }),
+					...(legacy.video_type && { provider: legacy.video_type }),
+					...(embed && { embed_html: embed }),
+					...(poster && { poster })
+				});
+			} else if (typeof legacy.embed === "string" && legacy.embed.trim()) {
+				const embedCode = legacy.embed.trim();
+				if (/^https?:\/\//i.test(embedCode)) builder.video(embedCode);
+				else builder.block({ type: "video", embed_html: embedCode });
+			}
+
+			addUploads(uploads);
+			addBody(legacy.caption);
+			break;
+		}
+
+		case "answer": {
+			addBody(legacy.question);
+			const asked = builder.length;
+			if (asked) {
+				const { askingUuid } = options;
+				builder.ask(
+					Array.from({ length: asked }, (_, index) => index),
+					askingUuid
+						? {
+								uuid: askingUuid,
+								...(legacy.asking_name && { name: legacy.asking_name }),
+								...(legacy.asking_url && { url: legacy.asking_url })
+							}
+						: undefined
+				);
+			}
+			addBody(legacy.answer);
+			break;
+		}
+
+		default:
+			throw new TypeError(`Unknown legacy post type "${legacy.type}".`);
+	}
+
+	const tags = typeof legacy.tags === "string" ? legacy.tags.split(",") : (legacy.tags ?? []);
+	const date = fetched ? isoDate(legacy.timestamp) : isoDate(legacy.date);
+	const publishOn = fetched ? isoDate(legacy.scheduled_publish_time) : isoDate(legacy.publish_on);
+
+	return {
+		...builder.build(),
+		...(legacy.state && { state: legacy.state }),
+		...(tags.length && {
+			tags: tags.map((/** @type {string} */ tag) => tag.trim()).filter(Boolean)
+		}),
+		...(date && { date }),
+		...(publishOn && { publish_on: publishOn }),
+		...(legacy.slug && { slug: legacy.slug }),
+		...(legacy.source_url && { source_url: legacy.source_url })
+	};
+}
+
+/**
+ * @param {any} url
+ *
+ * @returns {string | null} the URL if it's safe to link or embed
+ */
+function safeUrl(url) {
+	if (typeof url !== "string") return null;
+
+	try {
+		return ["http:", "https:", "mailto:"].includes(new URL(url).protocol) ? url : null;
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * @param {any} value
+ *
+ * @returns {string}
+ */
+function escapeHtml(value) {
+	return String(value ?? "").replace(
+		/[&<>"']/g,
+		(char) =>
+			/** @type {Record<string, string>} */ ({
+				"&": "&amp;",
+				"<": "&lt;",
+				">": "&gt;",
+				'"': "&quot;",
+				"'": "&#39;"
+			})[char]
+	);
+}
+
+/**
+ * @param {any} value
+ *
+ * @returns {string}
+ */
+function escapeMarkdown(value) {
+	return String(value ?? "")
+		.replace(/[\\`*_~[\]<>]/g, "\\$&")
+		.replace(/^(\s*)(#|[-+](?=\s))/gm, "$1\\$2")
+		.replace(/^(\s*\d+)([.)])(?=\s)/gm, "$1\\$2");
+}
+
+/**
+ * @param {string} url
+ *
+ * @returns {string} URL usable as a Markdown link destination
+ */
+function markdownUrl(url) {
+	return url.replace(
+		/[ ()]/g,
+		(char) => /** @type {Record<string, string>} */ ({ " ": "%20", "(": "%28", ")": "%29" })[char]
+	);
+}
+
+/**
+ * Splits text into runs with the same formatting, grouped by link
+ *
+ * @param {string} text
+ * @param {ReadonlyArray<NpfTextFormatting>} [formatting]
+ *
+ * @returns {Array<{href: string | null; mention: boolean; runs: Array<{text: string; formats: NpfTextFormatting[]}>}>}
+ */
+function textRuns(text, formatting = []) {
+	/** @param {number} index */
+	const clamp = (index) => Math.min(Math.max(index, 0), text.length);
+	const points = [
+		...new Set([0, text.length, ...formatting.flatMap(({ start, end }) => [clamp(start), clamp(end)])])
+	].sort((a, b) => a - b);
+
+	/** @type {Array<{href: string | null; mention: boolean; runs: Array<{text: string; formats: NpfTextFormatting[]}>}>} */
+	const groups = [];
+
+	for (let index = 0; index < points.length - 1; index++) {
+		const [start, end] = [points[index], points[index + 1]];
+		const formats = formatting.filter((format) => format.start <= start && format.end >= end);
+		const link = formats.find((format) => format.type === "link" || format.type === "mention");
+		const href = safeUrl(link?.type === "link" ? link.url : link?.type === "mention" ? link.blog.url : null);
+		const last = groups[groups.length - 1];
+		const run = { text: text.slice(start, end), formats };
+
+		if (last && last.href === href) last.runs.push(run);
+		else groups.push({ href, mention: link?.type === "mention", runs: [run] });
+	}
+
+	return groups;
+}
+
+/**
+ * @param {any} media - media object or array of media objects
+ *
+ * @returns {MediaObject | null} the original size media with a safe URL
+ */
+function pickMedia(media) {
+	const candidates = (Array.isArray(media) ? media : [media]).filter((item) => safeUrl(item?.url));
+
+	return candidates.find((item) => item.has_original_dimensions) ?? candidates[0] ?? null;
+}
+
+/**
+ * Resolves the display order of blocks from the layout
+ *
+ * @param {ReadonlyArray<NpfContentBlock>} content
+ * @param {ReadonlyArray<NpfLayoutBlock>} [layout]
+ *
+ * @returns {{ask: import('./types').NpfLayoutAsk | undefined; rows: number[][]; truncateAfter: number | undefined}}
+ */
+function resolveLayout(content, layout = []) {
+	const ask = /** @type {import('./types').NpfLayoutAsk | undefined} */ (layout.find((item) => item.type === "ask"));
+	const rows = /** @type {import('./types').NpfLayoutRows | undefined} */ (
+		layout.find((item) => item.type === "rows")
+	);
+	const placed = new Set(ask?.blocks ?? []);
+	/** @type {number[][]} */
+	const display = [];
+
+	for (const row of rows?.display ?? []) {
+		const blocks = row.blocks.filter((index) => index < content.length && !placed.has(index));
+		for (const index of blocks) placed.add(index);
+		if (blocks.length) display.push(blocks);
+	}
+
+	content.forEach((_, index) => {
+		if (!placed.has(index)) display.push([index]);
+	});
+
+	return { ask, rows: display, truncateAfter: rows?.truncate_after };
+}
+
+/**
+ * @typedef {object} NpfRenderer
+ * @property {(block: NpfContentBlock) => string} block
+ * @property {(items: Array<{block: NpfContentBlock; ordered: boolean; level: number}>) => string} list
+ * @property {(blocks: string[]) => string} row
+ * @property {(body: string, attribution: any) => string} ask
+ * @property {string} readMore
+ * @property {string} separator
+ */
+
+/**
+ * Renders blocks in layout order, grouping list items into lists
+ *
+ * @param {ReadonlyArray<NpfContentBlock>} content
+ * @param {number[][]} rows
+ * @param {NpfRenderer} renderer
+ * @param {number} [truncateAfter]
+ *
+ * @returns {string}
+ */
+function renderRows(content, rows, renderer, truncateAfter) {
+	/** @type {string[]} */
+	const parts = [];
+	/** @type {Array<{block: NpfContentBlock; ordered: boolean; level: number}>} */
+	let listItems = [];
+
+	const flushList = () => {
+		if (listItems.length) parts.push(renderer.list(listItems));
+		listItems = [];
+	};
+
+	for (const row of rows) {
+		const block = content[row[0]];
+
+		if (row.length === 1 && block.type === "text" && /^(un)?ordered-list-item$/.test(block.subtype ?? "")) {
+			listItems.push({ block, ordered: block.subtype === "ordered-list-item", level: block.indent_level ?? 0 });
+		} else {
+			flushList();
+			const rendered = row.map((index) => renderer.block(content[index])).filter(Boolean);
+			if (rendered.length) parts.push(rendered.length === 1 ? rendered[0] : renderer.row(rendered));
+		}
+
+		if (truncateAfter !== undefined && row.includes(truncateAfter)) {
+			flushList();
+			parts.push(renderer.readMore);
+		}
+	}
+
+	flushList();
+
+	return parts.join(renderer.separator);
+}
+
+/**
+ * @param {import('./types').NpfRenderable | NpfBuilder} source
+ *
+ * @returns {import('./types').NpfRenderable}
+ */
+function toRenderable(source) {
+	return source instanceof NpfBuilder ? source.build() : source;
+}
+
+/**
+ * @param {import('./types').NpfRenderable} post
+ * @param {NpfRenderer} renderer
+ *
+ * @returns {string}
+ */
+function renderBody({ content = [], layout }, renderer) {
+	const { ask, rows, truncateAfter } = resolveLayout(content, layout);
+	/** @type {string[]} */
+	const parts = [];
+
+	if (ask?.blocks.length) {
+		const askRows = ask.blocks.filter((index) => index < content.length).map((index) => [index]);
+		parts.push(renderer.ask(renderRows(content, askRows, renderer), ask.attribution));
+	}
+
+	parts.push(renderRows(content, rows, renderer, truncateAfter));
+
+	return parts.filter(Boolean).join(renderer.separator);
+}
+
+/** @type {Record<string, string>} */
+const HTML_TEXT_TAGS = { heading1: "h1", heading2: "h2", indented: "blockquote" };
+
+/**
+ * @param {NpfContentBlock} block
+ *
+ * @returns {string}
+ */
+function renderHtmlText({ text = "", formatting }) {
+	return textRuns(text, formatting)
+		.map(({ href, mention, runs }) => {
+			const inner = runs
+				.map(({ text: runText, formats }) => {
+					const types = new Set(formats.map((format) => format.type));
+					let html = escapeHtml(runText).replace(/\n/g, "<br>");
+
+					const color = formats.find((format) => format.type === "color");
+					if (color?.type === "color" && /^#[0-9a-f]{3,8}$/i.test(color.hex)) {
+						html = `<span style="color: ${color.hex}">${html}</span>`;
+					}
+					if (types.has("small")) html = `<small>${html}</small>`;
+					if (types.has("strikethrough")) html = `<s>${html}</s>`;
+					if (types.has("italic")) html = `<em>${html}</em>`;
+					if (types.has("bold")) html = `<strong>${html}</strong>`;
+
+					return html;
+				})
+				.join("");
+
+			return href ? `<a href="${escapeHtml(href)}"${mention ? ' class="npf-mention"' : ""}>${inner}</a>` : inner;
+		})
+		.join("");
+}
+
+/** @type {NpfRenderer} */
+const HTML_RENDERER = {
+	block(block) {
+		switch (block.type) {
+			case "text": {
+				const tag = HTML_TEXT_TAGS[block.subtype ?? ""];
+				if (tag) return `<${tag}>${renderHtmlText(block)}</${tag}>`;
+				if (block.subtype) return `<p class="npf-${escapeHtml(block.subtype)}">${renderHtmlText(block)}</p>`;
+				return `<p>${renderHtmlText(block)}</p>`;
+			}
+
+			case "image": {
+				const media = pickMedia(block.media);
+				if (!media) return "";
+
+				const size = media.width && media.height ? ` width="${media.width}" height="${media.height}"` : "";
+				const caption = block.caption ? `<figcaption>${escapeHtml(block.caption)}</figcaption>` : "";
+				return `<figure class="npf-image"><img src="${escapeHtml(media.url)}" alt="${escapeHtml(block.alt_text)}"${size}>${caption}</figure>`;
+			}
+
+			case "link": {
+				const href = safeUrl(block.url);
+				if (!href) return "";
+
+				const description = block.description ? `<p>${escapeHtml(block.description)}</p>` : "";
+				return `<div class="npf-link"><a href="${escapeHtml(href)}">${escapeHtml(block.title || block.display_url || href)}</a>${description}</div>`;
+			}
+
+			case "audio":
+			case "video": {
+				const media = pickMedia(block.media);
+				const title = [block.title, block.artist].filter(Boolean).join(" – ");
+
+				if (media) {
+					const poster = block.type === "video" ? pickMedia(block.poster) : null;
+					const posterAttribute = poster ? ` poster="${escapeHtml(poster.url)}"` : "";
+					const caption = title ? `<figcaption>${escapeHtml(title)}</figcaption>` : "";
+					return `<figure class="npf-${block.type}"><${block.type} controls src="${escapeHtml(media.url)}"${posterAttribute}></${block.type}>${caption}</figure>`;
+				}
+
+				// Embeds are not rendered, their HTML can't be sanitized
+				const href = safeUrl(block.url);
+				if (!href) return "";
+				return `<p class="npf-${block.type}"><a href="${escapeHtml(href)}">${escapeHtml(title || block.provider || href)}</a></p>`;
+			}
+
+			case "paywall": {
+				const href = safeUrl(block.url);
+				const title = escapeHtml(block.title || "Support");
+				const text = block.text ? `<p>${escapeHtml(block.text)}</p>` : "";
+				return `<div class="npf-paywall">${href ? `<a href="${escapeHtml(href)}">${title}</a>` : title}${text}</div>`;
+			}
+
+			case "poll": {
+				const answers = (block.answers ?? [])
+					.map((/** @type {any} */ answer) => `<li>${escapeHtml(answer.answer_text)}</li>`)
+					.join("");
+				return `<div class="npf-poll"><p>${escapeHtml(block.question)}</p><ul>${answers}</ul></div>`;
+			}
+
+			default:
+				return "";
+		}
+	},
+
+	list(items) {
+		let html = "";
+		/** @type {string[]} */
+		const open = [];
+
+		for (const { block, ordered, level } of items) {
+			const tag = ordered ? "ol" : "ul";
+			// Nested lists go one level deeper at most, inside the previous item
+			const depth = Math.min(level, open.length) + 1;
+
+			while (open.length > depth) html += `</li></${open.pop()}>`;
+			if (open.length === depth) {
+				if (open[open.length - 1] === tag) {
+					html += "</li>";
+				} else {
+					html += `</li></${open.pop()}><${tag}>`;
+					open.push(tag);
+				}
+			}
+			while (open.length < depth) {
+				html += `<${tag}>`;
+				open.push(tag);
+			}
+
+			html += `<li>${renderHtmlText(block)}`;
+		}
+
+		while (open.length) html += `</li></${open.pop()}>`;
+
+		return html;
+	},
+
+	row(blocks) {
+		return `<div class="npf-row">${blocks.join("")}</div>`;
+	},
+
+	ask(body, attribution) {
+		const blog = attribution?.blog;
+		const href = safeUrl(blog?.url);
+		const name = blog?.name ? escapeHtml(blog.name) : "Anonymous";
+		const asker = href ? `<a href="${escapeHtml(href)}">${name}</a>` : name;
+
+		return `<div class="npf-ask"><p class="npf-ask-header">${asker} asked:</p>\n${body}\n</div>`;
+	},
+
+	readMore: "<!-- more -->",
+
+	separator: "\n"
+};
+
+/**
+ * @param {NpfContentBlock} block
+ *
+ * @returns {string}
+ */
+function renderMarkdownText({ text = "", formatting }) {
+	return textRuns(text, formatting)
+		.map(({ href, runs }) => {
+			const inner = runs
+				.map(({ text: runText, formats }) => {
+					// Emphasis can't start or end with whitespace
+					const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(runText) ?? ["", "", runText, ""];
+					if (!core) return runText;
+
+					const types = new Set(formats.map((format) => format.type));
+					let markdown = escapeMarkdown(core);
+
+					if (types.has("strikethrough")) markdown = `~~${markdown}~~`;
+					if (types.has("italic")) markdown = `*${markdown}*`;
+					if (types.has("bold")) markdown = `**${markdown}**`;
+
+					return leading + markdown + trailing;
+				})
+				.join("");
+
+			return href ? `[${inner}](${markdownUrl(href)})` : inner;
+		})
+		.join("")
+		.replace(/\n/g, "\\\n");
+}
+
+/**
+ * @param {string} markdown
+ *
+ * @returns {string} Markdown as a block quote
+ */
+function quoteMarkdown(markdown) {
+	return markdown.replace(/^/gm, (_, offset) =>
+		markdown[offset] === "\n" || offset === markdown.length ? ">" : "> "
+	);
+}
+
+/** @type {NpfRenderer} */
+const MARKDOWN_RENDERER = {
+	block(block) {
+		switch (block.type) {
+			case "text":
+				switch (block.subtype) {
+					case "heading1":
+						return `# ${renderMarkdownText(block)}`;
+					case "heading2":
+						return `## ${renderMarkdownText(block)}`;
+					case "quote":
+					case "indented":
+						return quoteMarkdown(renderMarkdownText(block));
+					case "chat":
+						return `\`\`\`\n${block.text ?? ""}\n\`\`\``;
+					default:
+						return renderMarkdownText(block);
+				}
+
+			case "image": {
+				const media = pickMedia(block.media);
+				if (!media) return "";
+
+				const caption = block.caption ? `\n*${escapeMarkdown(block.caption)}*` : "";
+				return `![${escapeMarkdown(block.alt_text)}](${markdownUrl(media.url)})${caption}`;
+			}
+
+			case "link": {
+				const href = safeUrl(block.url);
+				if (!href) return "";
+
+				const description = block.description ? `\n${escapeMarkdown(block.description)}` : "";
+				return `[${escapeMarkdown(block.title || block.display_url || href)}](${markdownUrl(href)})${description}`;
+			}
+
+			case "audio":
+			case "video": {
+				const href = safeUrl(pickMedia(block.media)?.url ?? block.url);
+				if (!href) return "";
+
+				const title = [block.title, block.artist].filter(Boolean).join(" – ") || block.provider;
+				const label = `${block.type === "audio" ? "Audio" : "Video"}${title ? `: ${title}` : ""}`;
+				return `[${escapeMarkdown(label)}](${markdownUrl(href)})`;
+			}
+
+			case "paywall": {
+				const href = safeUrl(block.url);
+				const title = escapeMarkdown(block.title || "Support");
+				const text = block.text ? `\n${escapeMarkdown(block.text)}` : "";
+				return `${href ? `[${title}](${markdownUrl(href)})` : title}${text}`;
+			}
+
+			case "poll": {
+				const answers = (block.answers ?? [])
+					.map((/** @type {any} */ answer) => `- ${escapeMarkdown(answer.answer_text)}`)
+					.join("\n");
+				return `**${escapeMarkdown(block.question)}**\n\n${answers}`;
+			}
+
+			default:
+				return "";
+		}
+	},
+
+	list(items) {
+		/** @type {Array<{ordered: boolean; count: number}>} */
+		const counters = [];
+
+		return items
+			.map(({ block, ordered, level }) => {
+				counters.length = level + 1;
+				if (counters[level]?.ordered !== ordered) counters[level] = { ordered, count: 0 };
+				const marker = ordered ? `${++counters[level].count}.` : "-";
+
+				return `${"    ".repeat(level)}${marker} ${renderMarkdownText(block)}`;
+			})
+			.join("\n");
+	},
+
+	row(blocks) {
+		return blocks.join(" ");
+	},
+
+	ask(body, attribution) {
+		const blog = attribution?.blog;
+		const href = safeUrl(blog?.url);
+		const name = blog?.name ? escapeMarkdown(blog.name) : "Anonymous";
+		const asker = href ? `[${name}](${markdownUrl(href)})` : name;
+
+		return quoteMarkdown(`**${asker} asked:**\n\n${body}`);
+	},
+
+	readMore: "<!-- more -->",
+
+	separator: "\n\n"
+};
+
+/**
+ * Renders NPF post with its reblog trail to sanitized HTML
+ *
+ * Text is escaped, only `http(s)` and `mailto` URLs are kept, embeds are replaced with links.
+ * Elements have `npf-*` classes for styling.
+ *
+ * @param  {import('./types').NpfRenderable | NpfBuilder} source - post from the API, post params or builder
+ * @param  {import('./types').NpfRenderOptions} [options]
+ *
+ * @return {string}
+ */
+function npfToHtml(source, options = {}) {
+	const post = toRenderable(source);
+	const trail = options.trail === false ? [] : (post.trail ?? []);
+	const parts = trail.map((item) => {
+		const name = escapeHtml(item.blog?.name ?? item.broken_blog_name ?? "");
+		const href = safeUrl(item.blog?.url);
+		const header = href ? `<a href="${escapeHtml(href)}">${name}</a>` : name;
+
+		return `<div class="npf-reblog"><p class="npf-reblog-header">${header}:</p>\n${renderBody(item, HTML_RENDERER)}\n</div>`;
+	});
+
+	parts.push(renderBody(post, HTML_RENDERER));
+
+	return parts.filter(Boolean).join("\n");
+}
+
+/**
+ * Renders NPF post with its reblog trail to Markdown
+ *
+ * Reblogged and asked content is quoted. Formatting without Markdown syntax (color, small) is dropped.
+ *
+ * @param  {import('./types').NpfRenderable | NpfBuilder} source - post from the API, post params or builder
+ * @param  {import('./types').NpfRenderOptions} [options]
+ *
+ * @return {string}
+ */
+function npfToMarkdown(source, options = {}) {
+	const post = toRenderable(source);
+	const trail = options.trail === false ? [] : (post.trail ?? []);
+	const parts = trail.map((item) => {
+		const name = escapeMarkdown(item.blog?.name ?? item.broken_blog_name ?? "");
+		const href = safeUrl(item.blog?.url);
+		const header = href ? `[${name}](${markdownUrl(href)})` : name;
+
+		return `${header}:\n\n${quoteMarkdown(renderBody(item, MARKDOWN_RENDERER))}`;
+	});
+
+	parts.push(renderBody(post, MARKDOWN_RENDERER));
+
+	return parts.filter(Boolean).join("\n\n");
+}
+
+module.exports = {
+	NpfBuilder,
+	npf,
+	markdownToNpf,
+	htmlToNpf,
+	legacyToNpf,
+	npfToHtml,
+	npfToMarkdown
+};
@@ -0,0 +1,243 @@
+/*!
+ * Post scheduling for @serguun42/tumblr.js
+ */
+
+const { NpfBuilder } = require("./npf");
+
+/**
+ * @typedef {import('./types').ScheduleSlots} ScheduleSlots
+ * @typedef {import('./types').ScheduledPost} ScheduledPost
+ * @typedef {import('./types').NpfPostParams} NpfPostParams
+ */
+
+/** @type {ReadonlyArray<string>} */
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/** @type {Record<string, ReadonlyArray<number>>} */
+const DAY_SETS = {
+	daily: [0, 1, 2, 3, 4, 5, 6],
+	weekdays: [1, 2, 3, 4, 5],
+	weekends: [0, 6]
+};
+
+/**
+ * ISO 8601 date and time with a UTC offset or `Z`, e.g. `2024-05-01T09:00:00+02:00`
+ */
+const ISO_DATE_WITH_ZONE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Slots closer than this to a queued post are taken by it, unless `minGap` is given
+ */
+const DEFAULT_MIN_GAP = 30 * 60 * 1000;
+
+/**
+ * Slots are looked for this far ahead, unless `until` is given
+ */
+const DEFAULT_HORIZON = 366 * 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {unknown} value - `Date` or ISO 8601 string with a timezone
+ * @param {string} name - name of the value in errors
+ *
+ * @returns {number} time in milliseconds
+ */
+function toTime(value, name) {
+	if (typeof value === "string" && !ISO_DATE_WITH_ZONE.test(value.trim())) {
+		throw new TypeError(
+			`${name} must be a Date or an ISO 8601 string with a timezone, e.g. "2024-05-01T09:00:00+02:00".`
+		);
+	}
+
+	const time = value instanceof Date ? value.getTime() : typeof value === "string" ? Date.parse(value) : NaN;
+	if (Number.isNaN(time)) throw new TypeError(`Invalid ${name} date.`);
+
+	return time;
+}
+
+/**
+ * Validates the publish date of a queued post
+ *
+ * @param {unknown} value - `Date` or ISO 8601 string with a timezone
+ *
+ * @returns {string} ISO 8601 date in UTC
+ */
+function toPublishOn(value) {
+	const time = toTime(value, "publish_on");
+	if (time <= Date.now()) throw new RangeError("publish_on must be in the future.");
+
+	return new Date(time).toISOString();
+}
+
+/**
+ * @param {string} timeZone
+ *
+ * @returns {Intl.DateTimeFormat} formatter of numeric date and time parts in the time zone
+ */
+function zoneFormatter(timeZone) {
+	try {
+		return new Intl.DateTimeFormat("en-US", {
+			timeZone,
+			hourCycle: "h23",
+			year: "numeric",
+			month: "numeric",
+			day: "numeric",
+			hour: "numeric",
+			minute: "numeric",
+			second: "numeric"
+		});
+	} catch (err) {
+		throw new TypeError(`Invalid timeZone "${timeZone}".`);
+	}
+}
+
+/**
+ * @param {number} time
+ * @param {Intl.DateTimeFormat} formatter
+ *
+ * @returns {{year: number; month: number; day: number; local: number}} local date, `local` is the local
+ * time written as UTC
+ */
+function zonedParts(time, formatter) {
+	/** @type {Record<string, number>} */
+	const parts = {};
+	for (const { type, value } of formatter.formatToParts(new Date(time))) parts[type] = Number(value);
+
+	const { year, month, day } = parts;
+	// Some engines format midnight as 24 with h23
+	const local = Date.UTC(year, month - 1, day, parts.hour % 24, parts.minute, parts.second);
+
+	return { year, month, day, local };
+}
+
+/**
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ * @param {number} day
+ * @param {number} minutes - minutes since local midnight
+ * @param {Intl.DateTimeFormat} formatter
+ *
+ * @returns {number} time of the local date and time. Times skipped by a DST change are moved forward,
+ * repeated ones resolve to the first occurrence.
+ */
+function zonedTime(year, month, day, minutes, formatter) {
+	const local = Date.UTC(year, month - 1, day, 0, minutes);
+	/** @param {number} time */
+	const offset = (time) => zonedParts(time, formatter).local - Math.floor(time / 1000) * 1000;
+
+	// Offsets half a day around cover both sides of a DST change, a repeated time matches both of them
+	const before = local - offset(local - DAY / 2);
+	const after = local - offset(local + DAY / 2);
+	const matches = [before, after].filter((time) => zonedParts(time, formatter).local === local);
+
+	// A skipped time matches neither, the offset from before the change moves it forward
+	return matches.length ? Math.min(...matches) : before;
+}
+
+/**
+ * @param {ScheduleSlots} slots
+ *
+ * @returns {{days: Set<number>; times: number[]; formatter: Intl.DateTimeFormat}} weekdays with 0 for Sunday
+ * and times in minutes since local midnight
+ */
+function resolveSlots(slots) {
+	if (typeof slots !== "object" || slots === null) throw new TypeError("slots must be an object.");
+
+	const { days = "daily", times, timeZone = "UTC" } = slots;
+
+	if (!Array.isArray(times) || !times.length) {
+		throw new TypeError('slots times must be a non-empty array of "HH:MM" times.');
+	}
+	const minutes = times.map((time) => {
+		const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(typeof time === "string" ? time.trim() : "");
+		if (!match) throw new TypeError(`Invalid slot time "${time}", expected "HH:MM".`);
+
+		return Number(match[1]) * 60 + Number(match[2]);
+	});
+
+	const dayList =
+		typeof days === "string"
+			? DAY_SETS[days]
+			: Array.isArray(days)
+				? days.map((day) => (typeof day === "string" ? WEEKDAYS.indexOf(day) : day))
+				: undefined;
+	if (!dayList?.length || dayList.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+		throw new TypeError(
+			'slots days must be "daily", "weekdays", "weekends" or an array of weekdays, e.g. ["mon", "thu"].'
+		);
+	}
+
+	return {
+		days: new Set(dayList),
+		times: [...new Set(minutes)].sort((a, b) => a - b),
+		formatter: zoneFormatter(timeZone)
+	};
+}
+
+/**
+ * Assigns posts to the earliest free slots, in order
+ *
+ * @param {string} blogIdentifier
+ * @param {ReadonlyArray<NpfPostParams | NpfBuilder>} posts
+ * @param {ScheduleSlots} slots
+ * @param {{start?: Date | string; until?: Date | string; minGap?: number; taken: ReadonlyArray<number>}} options
+ * `taken` are times of queued posts in milliseconds
+ *
+ * @returns {ScheduledPost[]}
+ */
+function planSchedule(blogIdentifier, posts, slots, options) {
+	if (!Array.isArray(posts)) throw new TypeError("posts must be an array of post params or NPF builders.");
+
+	const { days, times, formatter } = resolveSlots(slots);
+	const { minGap = DEFAULT_MIN_GAP, taken } = options;
+
+	if (typeof minGap !== "number" || !(minGap > 0)) {
+		throw new TypeError("minGap option must be a positive number of milliseconds.");
+	}
+
+	const now = Date.now();
+	const from = Math.max(options.start === undefined ? now : toTime(options.start, "start"), now);
+	const until = options.until === undefined ? from + DEFAULT_HORIZON : toTime(options.until, "until");
+
+	/** @type {ScheduledPost[]} */
+	const plan = [];
+	const first = zonedParts(from, formatter);
+
+	for (let offset = 0; plan.length < posts.length; offset++) {
+		// Calendar days are walked in UTC, only their year, month and day are used
+		const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+		if (date.getTime() > until + DAY) {
+			throw new RangeError(
+				`Only ${plan.length} of ${posts.length} posts fit into free slots until ${new Date(until).toISOString()}.`
+			);
+		}
+		if (!days.has(date.getUTCDay())) continue;
+
+		for (const minutes of times) {
+			const time = zonedTime(
+				date.getUTCFullYear(),
+				date.getUTCMonth() + 1,
+				date.getUTCDate(),
+				minutes,
+				formatter
+			);
+			if (time <= from || time > until) continue;
+			if (taken.some((queued) => Math.abs(queued - time) < minGap)) continue;
+
+			const post = posts[plan.length];
+			const params = post instanceof NpfBuilder ? post.build() : post;
+			const publishOn = new Date(time);
+
+			plan.push({
+				publishOn,
+				args: [blogIdentifier, { ...params, state: "queue", publish_on: publishOn.toISOString() }]
+			});
+			if (plan.length === posts.length) break;
+		}
+	}
+
+	return plan;
+}
+
+module.exports = { planSchedule, toPublishOn };
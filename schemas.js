@@ -0,0 +1,298 @@
+/*!
+ * Response shapes of the Tumblr API for @serguun42/tumblr.js
+ */
+
+/**
+ * @typedef {import('./types').SchemaIssue} SchemaIssue
+ * @typedef {(value: any, path: string, issues: SchemaIssue[]) => void} Schema
+ * Checks the value and adds mismatches to `issues`
+ */
+
+/**
+ * @param {unknown} value
+ *
+ * @returns {string}
+ */
+function describe(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+
+	return typeof value;
+}
+
+/**
+ * @param {"string" | "number" | "boolean"} type
+ *
+ * @returns {Schema}
+ */
+function primitive(type) {
+	return (value, path, issues) => {
+		if (typeof value !== type) issues.push({ path, message: `expected ${type}, got ${describe(value)}` });
+	};
+}
+
+const string = primitive("string");
+const number = primitive("number");
+const boolean = primitive("boolean");
+
+/**
+ * Missing and `null` values are accepted
+ *
+ * @param {Schema} schema
+ *
+ * @returns {Schema}
+ */
+function optional(schema) {
+	return (value, path, issues) => {
+		if (value !== undefined && value !== null) schema(value, path, issues);
+	};
+}
+
+/**
+ * @param {...Schema} schemas
+ *
+ * @returns {Schema}
+ */
+function oneOf(...schemas) {
+	return (value, path, issues) => {
+		/** @type {SchemaIssue[][]} */
+		const attempts = schemas.map((schema) => {
+			/** @type {SchemaIssue[]} */
+			const attemptIssues = [];
+			schema(value, path, attemptIssues);
+			return attemptIssues;
+		});
+
+		if (attempts.some((attemptIssues) => !attemptIssues.length)) return;
+
+		issues.push({ path, message: attempts.map(([issue]) => issue.message).join(" or ") });
+	};
+}
+
+/**
+ * @param {Schema} schema
+ *
+ * @returns {Schema}
+ */
+function arrayOf(schema) {
+	return (value, path, issues) => {
+		if (!Array.isArray(value)) {
+			issues.push({ path, message: `expected array, got ${describe(value)}` });
+			return;
+		}
+
+		for (const [index, item] of value.entries()) schema(item, `${path}[${index}]`, issues);
+	};
+}
+
+/**
+ * Unknown properties are accepted, the API adds new ones all the time
+ *
+ * @param {Record<string, Schema>} [shape]
+ *
+ * @returns {Schema}
+ */
+function object(shape = {}) {
+	return (value, path, issues) => {
+		if (typeof value !== "object" || value === null || Array.isArray(value)) {
+			issues.push({ path, message: `expected object, got ${describe(value)}` });
+			return;
+		}
+
+		for (const [key, schema] of Object.entries(shape)) schema(value[key], `${path}.${key}`, issues);
+	};
+}
+
+const ID = oneOf(string, number);
+
+const PAGINATION_LINKS = optional(
+	object({
+		next: optional(object({ href: string, query_params: object() })),
+		prev: optional(object({ href: string, query_params: object() }))
+	})
+);
+
+const BLOG_SUMMARY = object({
+	name: string,
+	title: optional(string),
+	description: optional(string),
+	url: optional(string),
+	uuid: optional(string),
+	updated: optional(number)
+});
+
+const BLOG_INFO = object({
+	name: string,
+	title: string,
+	description: string,
+	url: string,
+	uuid: string,
+	updated: number,
+	posts: optional(number),
+	likes: optional(number),
+	avatar: optional(arrayOf(object({ width: number, height: number, url: string })))
+});
+
+const CONTENT = arrayOf(object({ type: string }));
+const LAYOUT = arrayOf(object({ type: string }));
+
+const POST_FIELDS = {
+	id: number,
+	id_string: string,
+	blog_name: string,
+	blog: BLOG_SUMMARY,
+	post_url: string,
+	timestamp: number,
+	tags: arrayOf(string),
+	reblog_key: string,
+	note_count: optional(number)
+};
+
+const NPF_POST = object({
+	...POST_FIELDS,
+	content: CONTENT,
+	layout: LAYOUT,
+	trail: arrayOf(
+		object({
+			blog: optional(BLOG_SUMMARY),
+			post: optional(object({ id: ID })),
+			content: CONTENT,
+			layout: optional(LAYOUT)
+		})
+	)
+});
+
+const LEGACY_POST = object({
+	...POST_FIELDS,
+	type: string,
+	trail: optional(arrayOf(object({ post: optional(object({ id: ID })) })))
+});
+
+/** @type {Schema} */
+const POST = (value, path, issues) => (value?.type === "blocks" ? NPF_POST : LEGACY_POST)(value, path, issues);
+
+const LIKED_POST = /** @type {Schema} */ (
+	(value, path, issues) => {
+		POST(value, path, issues);
+		number(value?.liked_timestamp, `${path}.liked_timestamp`, issues);
+	}
+);
+
+const NOTE = object({ type: string, timestamp: number, blog_name: string, tags: optional(arrayOf(string)) });
+
+const NOTIFICATION = object({ type: string, timestamp: number });
+
+const POSTS_RESPONSE = object({ posts: arrayOf(POST), _links: PAGINATION_LINKS });
+
+const LIKES_RESPONSE = object({ liked_posts: arrayOf(LIKED_POST), liked_count: number, _links: PAGINATION_LINKS });
+
+const POST_WRITE_RESPONSE = object({ id: ID });
+
+const USER_LIMIT = object({ limit: number, remaining: number, reset_at: number });
+
+/**
+ * Expected responses by request method and path, blog identifiers and post IDs match any path segment
+ *
+ * @type {ReadonlyArray<[method: string, path: RegExp, schema: Schema]>}
+ */
+const RESPONSE_SCHEMAS = [
+	["GET", /^\/v2\/blog\/[^/]+\/info$/, object({ blog: BLOG_INFO })],
+	["GET", /^\/v2\/blog\/[^/]+\/avatar(?:\/\d+)?$/, object({ avatar_url: string })],
+	["GET", /^\/v2\/blog\/[^/]+\/likes$/, LIKES_RESPONSE],
+	[
+		"GET",
+		/^\/v2\/blog\/[^/]+\/followers$/,
+		object({
+			total_users: number,
+			users: arrayOf(object({ name: string, url: string, updated: number, following: boolean }))
+		})
+	],
+	[
+		"GET",
+		/^\/v2\/blog\/[^/]+\/posts(?:\/(?:text|quote|link|answer|video|audio|photo|chat))?$/,
+		object({ blog: BLOG_INFO, posts: arrayOf(POST), total_posts: number, _links: PAGINATION_LINKS })
+	],
+	["GET", /^\/v2\/blog\/[^/]+\/posts\/(?:queue|draft|submission)$/, POSTS_RESPONSE],
+	["GET", /^\/v2\/blog\/[^/]+\/posts\/\d+$/, POST],
+	[
+		"GET",
+		/^\/v2\/blog\/[^/]+\/notes$/,
+		object({
+			notes: arrayOf(NOTE),
+			rollup_notes: optional(arrayOf(NOTE)),
+			total_notes: number,
+			_links: PAGINATION_LINKS
+		})
+	],
+	[
+		"GET",
+		/^\/v2\/blog\/[^/]+\/notifications$/,
+		object({ notifications: arrayOf(NOTIFICATION), _links: PAGINATION_LINKS })
+	],
+	["GET", /^\/v2\/blog\/[^/]+\/blocks$/, object({ blocked_tumblelogs: arrayOf(BLOG_SUMMARY) })],
+	["POST", /^\/v2\/blog\/[^/]+\/posts$/, POST_WRITE_RESPONSE],
+	["PUT", /^\/v2\/blog\/[^/]+\/posts\/\d+$/, POST_WRITE_RESPONSE],
+	["POST", /^\/v2\/blog\/[^/]+\/post(?:\/edit|\/reblog|\/delete)?$/, POST_WRITE_RESPONSE],
+	[
+		"GET",
+		/^\/v2\/user\/info$/,
+		object({
+			user: object({
+				name: string,
+				likes: number,
+				following: number,
+				blogs: arrayOf(object({ name: string, uuid: string, url: string, primary: optional(boolean) }))
+			})
+		})
+	],
+	[
+		"GET",
+		/^\/v2\/user\/limits$/,
+		object({
+			user: object({
+				posts: optional(USER_LIMIT),
+				follows: optional(USER_LIMIT),
+				likes: optional(USER_LIMIT)
+			})
+		})
+	],
+	["GET", /^\/v2\/user\/dashboard$/, POSTS_RESPONSE],
+	["GET", /^\/v2\/user\/likes$/, LIKES_RESPONSE],
+	[
+		"GET",
+		/^\/v2\/user\/following$/,
+		object({ total_blogs: number, blogs: arrayOf(BLOG_SUMMARY), _links: PAGINATION_LINKS })
+	],
+	["POST", /^\/v2\/user\/follow$/, object({ blog: BLOG_SUMMARY })],
+	["GET", /^\/v2\/tagged$/, arrayOf(POST)]
+];
+
+/**
+ * Finds the expected shape of the response of a request
+ *
+ * @param {string} method
+ * @param {string} pathname
+ *
+ * @returns {Schema | null} `null` for unknown endpoints
+ */
+function responseSchemaFor(method, pathname) {
+	const entry = RESPONSE_SCHEMAS.find(([entryMethod, path]) => entryMethod === method && path.test(pathname));
+
+	return entry ? entry[2] : null;
+}
+
+/**
+ * @param {Schema} schema
+ * @param {unknown} value
+ *
+ * @returns {SchemaIssue[]}
+ */
+function validateSchema(schema, value) {
+	/** @type {SchemaIssue[]} */
+	const issues = [];
+	schema(value, "response", issues);
+
+	return issues;
+}
+
+module.exports = { responseSchemaFor, validateSchema };
@@ -0,0 +1,154 @@
+import { IncomingHttpHeaders } from "node:http";
+import { Transport } from "./types";
+
+export interface RecordTransportOptions {
+	/** Directory to save fixture files to, created if missing */
+	dir: string;
+	/** Transport sending the actual requests, defaults to `httpTransport` */
+	transport?: Transport;
+}
+
+export interface ReplayTransportOptions {
+	/** Directory with fixture files saved by `recordTransport` */
+	dir: string;
+}
+
+/** Request as saved in a fixture, without credentials */
+export interface FixtureRequest {
+	method: string;
+	/** Path with sorted query, `api_key` removed */
+	path: string;
+	/** Body fields, media replaced with `"[media]"` */
+	body: Record<string, any> | null;
+}
+
+export interface Fixture {
+	request: FixtureRequest;
+	responses: Array<{
+		statusCode: number;
+		headers: IncomingHttpHeaders;
+		body: string;
+	}>;
+}
+
+export interface FakeTumblrServerOptions {
+	/** Name of the authenticating user and their primary blog, defaults to `"tester"` */
+	user?: string;
+	/** Blogs to create, defaults to the user's blog only */
+	blogs?: string[];
+}
+
+export interface FakeBlog {
+	info: Record<string, any>;
+	/** Posts of every state, newest first */
+	posts: Array<Record<string, any>>;
+	followers: Array<Record<string, any>>;
+	likes: Array<{ post: Record<string, any>; liked_timestamp: number }>;
+	/** Names of blocked blogs, newest first. Anonymous askers are blocked as `"anonymous"`. */
+	blocks: string[];
+}
+
+/**
+ * Creates a transport sending requests with another transport and saving responses to fixture files
+ *
+ * Every distinct request is saved to its own file in `dir`. Repeated requests within one run append
+ * responses to the same file, so they are replayed in the same order. Credentials are never saved.
+ *
+ * @param {RecordTransportOptions} options
+ *
+ * @returns {Transport}
+ */
+export function recordTransport(options: RecordTransportOptions): Transport;
+/**
+ * Creates a transport answering requests with responses saved by {@link recordTransport}
+ *
+ * Responses of repeated requests are replayed in the recorded order, the last one is repeated after that.
+ * Requests without a fixture are rejected.
+ *
+ * @param {ReplayTransportOptions} options
+ *
+ * @returns {Transport}
+ */
+export function replayTransport(options: ReplayTransportOptions): Transport;
+/**
+ * In-memory fake of the Tumblr API for integration tests
+ *
+ * Implements user, limits, blog, post, notes, block, like, follow and tagged endpoints over plain HTTP on localhost.
+ * Any credentials are accepted, the authenticating user is always the same.
+ *
+ * @example
+ * const server = new FakeTumblrServer({ user: "tester", blogs: ["tester", "staff"] });
+ * await server.listen();
+ * const client = new Client({ baseUrl: server.url, consumer_key: "any" });
+ * await client.createPost("tester", { content: [{ type: "text", text: "Hello" }] });
+ * await server.close();
+ */
+export class FakeTumblrServer {
+	/**
+	 * @param {FakeTumblrServerOptions} [options]
+	 */
+	constructor(options?: FakeTumblrServerOptions);
+	/**
+	 * Blogs by name
+	 */
+	readonly blogs: Map<string, FakeBlog>;
+	/**
+	 * Name of the authenticating user, owner of the first blog
+	 */
+	readonly user: string;
+	/**
+	 * Names of blogs the user follows
+	 */
+	following: Set<string>;
+	/**
+	 * Posts the user liked, newest first
+	 */
+	likes: Array<{ post: Record<string, any>; liked_timestamp: number }>;
+	/**
+	 * Daily limits of the user, decremented by created posts, follows and likes. Exhausted limits fail with 429.
+	 */
+	limits: Record<string, import("./types").UserLimit>;
+	/**
+	 * Log of handled requests
+	 */
+	requests: Array<{ method: string; path: string; body: Record<string, any> | null }>;
+	/**
+	 * Base URL to pass as `baseUrl` client option, available after {@link FakeTumblrServer#listen}
+	 */
+	get url(): string;
+	/**
+	 * @param {number} [port] - defaults to a random free port
+	 *
+	 * @return {Promise<string>} base URL
+	 */
+	listen(port?: number): Promise<string>;
+	/**
+	 * @return {Promise<void>}
+	 */
+	close(): Promise<void>;
+	/**
+	 * Adds a blog or returns the existing one
+	 *
+	 * @param {string} name
+	 * @param {Record<string, any>} [info] - additional blog info fields
+	 *
+	 * @return {FakeBlog}
+	 */
+	addBlog(name: string, info?: Record<string, any>): FakeBlog;
+	/**
+	 * Adds a post to a blog as if it was created through the API
+	 *
+	 * @param {string} blogName
+	 * @param {Record<string, any>} params - NPF post fields, e.g. `content`, `tags`, `state`
+	 *
+	 * @return {Record<string, any>} created post
+	 */
+	addPost(blogName: string, params: Record<string, any>): Record<string, any>;
+	/**
+	 * @param {string} identifier - blog name, hostname or UUID
+	 *
+	 * @return {FakeBlog | undefined}
+	 */
+	getBlog(identifier: string): FakeBlog | undefined;
+	#private;
+}
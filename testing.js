@@ -0,0 +1,940 @@
+/*!
+ * Offline testing helpers for @serguun42/tumblr.js
+ */
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const http = require("node:http");
+const path = require("node:path");
+const { URL } = require("node:url");
+const { httpTransport } = require("./tumblr");
+
+/**
+ * @typedef {import('./types').MiddlewareContext} MiddlewareContext
+ * @typedef {import('./types').MiddlewareResponse} MiddlewareResponse
+ * @typedef {import('./types').Transport} Transport
+ * @typedef {import('./testing').FixtureRequest} FixtureRequest
+ * @typedef {import('./testing').Fixture} Fixture
+ */
+
+/**
+ * Describes the request independently of credentials, so the same request always matches the same fixture
+ *
+ * @param {MiddlewareContext} ctx
+ *
+ * @returns {FixtureRequest}
+ */
+function describeRequest({ url, method, body }) {
+	const requestUrl = new URL(url);
+	requestUrl.searchParams.delete("api_key");
+	requestUrl.searchParams.sort();
+
+	/** @type {Record<string, any> | null} */
+	const fields = body
+		? Object.fromEntries(
+				[...body.entries()].map(([key, value]) => [
+					key,
+					// Media can't be serialized, only the fact it was uploaded matters
+					typeof value === "object" && value !== null && !Array.isArray(value) ? "[media]" : value
+				])
+			)
+		: null;
+
+	return { method, path: requestUrl.pathname + requestUrl.search, body: fields };
+}
+
+/**
+ * @param {FixtureRequest} request
+ *
+ * @returns {string} fixture file name
+ */
+function fixtureFileName(request) {
+	const hash = crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex").slice(0, 12);
+	const readablePath = request.path
+		.split("?")[0]
+		.replace(/[^a-zA-Z0-9]+/g, "_")
+		.slice(0, 80);
+
+	return `${request.method}${readablePath}-${hash}.json`;
+}
+
+/**
+ * @param {string} body
+ *
+ * @returns {any} parsed JSON or `undefined`
+ */
+function parseJson(body) {
+	try {
+		return JSON.parse(body);
+	} catch (err) {
+		return undefined;
+	}
+}
+
+/**
+ * Creates a transport sending requests with another transport and saving responses to fixture files
+ *
+ * Every distinct request is saved to its own file in `dir`. Repeated requests within one run append
+ * responses to the same file, so they are replayed in the same order. Credentials are never saved.
+ *
+ * @param {import('./testing').RecordTransportOptions} options
+ *
+ * @returns {Transport}
+ */
+function recordTransport({ dir, transport = httpTransport }) {
+	/** @type {Map<string, Fixture>} */
+	const fixtures = new Map();
+	/** @type {Map<string, Promise<void>>} */
+	const writes = new Map();
+
+	return async (ctx) => {
+		const response = await transport(ctx);
+		const request = describeRequest(ctx);
+		const fileName = fixtureFileName(request);
+
+		const fixture = fixtures.get(fileName) ?? { request, responses: [] };
+		fixtures.set(fileName, fixture);
+		fixture.responses.push({ statusCode: response.statusCode, headers: response.headers, body: response.body });
+
+		// Writes of the same file are chained, so the last one always has all responses
+		const write = (writes.get(fileName) ?? Promise.resolve()).then(async () => {
+			await fs.mkdir(dir, { recursive: true });
+			await fs.writeFile(path.join(dir, fileName), JSON.stringify(fixture, null, "\t") + "\n");
+		});
+		writes.set(fileName, write);
+		await write;
+
+		return response;
+	};
+}
+
+/**
+ * Creates a transport answering requests with responses saved by {@link recordTransport}
+ *
+ * Responses of repeated requests are replayed in the recorded order, the last one is repeated after that.
+ * Requests without a fixture are rejected.
+ *
+ * @param {import('./testing').ReplayTransportOptions} options
+ *
+ * @returns {Transport}
+ */
+function replayTransport({ dir }) {
+	/** @type {Map<string, Promise<Fixture | null>>} */
+	const fixtures = new Map();
+	/** @type {Map<string, number>} */
+	const counters = new Map();
+
+	return async (ctx) => {
+		const request = describeRequest(ctx);
+		const fileName = fixtureFileName(request);
+
+		if (!fixtures.has(fileName)) {
+			fixtures.set(
+				fileName,
+				fs
+					.readFile(path.join(dir, fileName), "utf8")
+					.then((content) => /** @type {Fixture} */ (JSON.parse(content)))
+					.catch((err) => {
+						if (err?.code === "ENOENT") return null;
+						throw err;
+					})
+			);
+		}
+
+		const fixture = await fixtures.get(fileName);
+		if (!fixture?.responses.length) {
+			throw new Error(`No recorded fixture for ${request.method} ${request.path} (${path.join(dir, fileName)})`);
+		}
+
+		const index = counters.get(fileName) ?? 0;
+		counters.set(fileName, index + 1);
+
+		const response = fixture.responses[Math.min(index, fixture.responses.length - 1)];
+
+		return { ...response, data: parseJson(response.body) };
+	};
+}
+
+/**
+ * Splits multipart/form-data body into fields and files
+ *
+ * @param {Buffer} body
+ * @param {string} boundary
+ *
+ * @returns {{fields: Record<string, string>; files: Record<string, {filename?: string; contentType?: string; data: Buffer}>}}
+ */
+function parseMultipart(body, boundary) {
+	/** @type {Record<string, string>} */
+	const fields = {};
+	/** @type {Record<string, {filename?: string; contentType?: string; data: Buffer}>} */
+	const files = {};
+	const delimiter = Buffer.from(`--${boundary}`);
+
+	let start = body.indexOf(delimiter);
+	while (start !== -1) {
+		const partStart = start + delimiter.length + 2; // skip CRLF after the delimiter
+		const end = body.indexOf(delimiter, partStart);
+		if (end === -1) break;
+
+		const part = body.subarray(partStart, end - 2); // drop CRLF before the next delimiter
+		const headersEnd = part.indexOf("\r\n\r\n");
+		if (headersEnd !== -1) {
+			const headers = part.subarray(0, headersEnd).toString("utf8");
+			const data = part.subarray(headersEnd + 4);
+			const name = /name="([^"]*)"/i.exec(headers)?.[1];
+			const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+			const contentType = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+
+			if (name && (filename || (contentType && contentType !== "application/json"))) {
+				files[name] = { filename, contentType, data };
+			} else if (name) {
+				fields[name] = data.toString("utf8");
+			}
+		}
+
+		start = end;
+	}
+
+	return { fields, files };
+}
+
+/**
+ * @returns {number} Unix timestamp in seconds a day from now
+ */
+function nextDay() {
+	return Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+}
+
+/**
+ * Name under which {@link FakeTumblrServer} keeps blocks of anonymous askers and submitters
+ */
+const FAKE_ANONYMOUS_BLOCK = "anonymous";
+
+/**
+ * In-memory fake of the Tumblr API for integration tests
+ *
+ * Implements user, limits, blog, post, notes, block, like, follow and tagged endpoints over plain HTTP on localhost.
+ * Any credentials are accepted, the authenticating user is always the same.
+ *
+ * @example
+ * const server = new FakeTumblrServer({ user: "tester", blogs: ["tester", "staff"] });
+ * await server.listen();
+ * const client = new Client({ baseUrl: server.url, consumer_key: "any" });
+ * await client.createPost("tester", { content: [{ type: "text", text: "Hello" }] });
+ * await server.close();
+ */
+class FakeTumblrServer {
+	/** @type {http.Server} */
+	#server;
+
+	/** @type {string | null} */
+	#url = null;
+
+	#nextPostId = 700000000000;
+
+	/**
+	 * Blogs by name
+	 * @type {Map<string, import('./testing').FakeBlog>}
+	 * @readonly
+	 */
+	blogs = new Map();
+
+	/**
+	 * Name of the authenticating user, owner of the first blog
+	 * @type {string}
+	 * @readonly
+	 */
+	user;
+
+	/**
+	 * Names of blogs the user follows
+	 * @type {Set<string>}
+	 */
+	following = new Set();
+
+	/**
+	 * Posts the user liked, newest first
+	 * @type {Array<{post: Record<string, any>; liked_timestamp: number}>}
+	 */
+	likes = [];
+
+	/**
+	 * Daily limits of the user, decremented by created posts, follows and likes. Exhausted limits fail with 429.
+	 * @type {Record<string, import('./types').UserLimit>}
+	 */
+	limits = {
+		posts: { description: "Total posts per day", limit: 250, remaining: 250, reset_at: nextDay() },
+		follows: { description: "Blogs followed per day", limit: 200, remaining: 200, reset_at: nextDay() },
+		likes: { description: "Posts liked per day", limit: 1000, remaining: 1000, reset_at: nextDay() }
+	};
+
+	/**
+	 * Log of handled requests
+	 * @type {Array<{method: string; path: string; body: Record<string, any> | null}>}
+	 */
+	requests = [];
+
+	/**
+	 * @param {import('./testing').FakeTumblrServerOptions} [options]
+	 */
+	constructor(options) {
+		this.user = options?.user ?? "tester";
+
+		for (const name of options?.blogs ?? [this.user]) this.addBlog(name);
+		if (!this.blogs.has(this.user)) this.addBlog(this.user);
+
+		this.#server = http.createServer((req, res) => {
+			this.#handle(req, res).catch((err) => {
+				this.#send(res, 500, { meta: { status: 500, msg: "Internal Server Error" }, response: [], errors: [] });
+				this.#server.emit("error", err);
+			});
+		});
+	}
+
+	/**
+	 * Base URL to pass as `baseUrl` client option, available after {@link FakeTumblrServer#listen}
+	 *
+	 * @type {string}
+	 */
+	get url() {
+		if (!this.#url) throw new Error("FakeTumblrServer is not listening.");
+
+		return this.#url;
+	}
+
+	/**
+	 * @param {number} [port] - defaults to a random free port
+	 *
+	 * @return {Promise<string>} base URL
+	 */
+	listen(port = 0) {
+		return new Promise((resolve, reject) => {
+			this.#server.once("error", reject);
+			this.#server.listen(port, "127.0.0.1", () => {
+				this.#server.off("error", reject);
+				const address = /** @type {import('node:net').AddressInfo} */ (this.#server.address());
+				this.#url = `http://127.0.0.1:${address.port}`;
+				resolve(this.#url);
+			});
+		});
+	}
+
+	/**
+	 * @return {Promise<void>}
+	 */
+	close() {
+		return new Promise((resolve, reject) => {
+			this.#server.close((err) => (err ? reject(err) : resolve()));
+			this.#server.closeAllConnections?.();
+		});
+	}
+
+	/**
+	 * Adds a blog or returns the existing one
+	 *
+	 * @param {string} name
+	 * @param {Record<string, any>} [info] - additional blog info fields
+	 *
+	 * @return {import('./testing').FakeBlog}
+	 */
+	addBlog(name, info) {
+		const existing = this.blogs.get(name);
+		if (existing) {
+			Object.assign(existing.info, info);
+			return existing;
+		}
+
+		const blog = {
+			info: {
+				name,
+				title: name,
+				description: "",
+				url: `https://${name}.tumblr.com/`,
+				uuid: `t:${crypto.createHash("md5").update(name).digest("base64url").slice(0, 22)}`,
+				updated: 0,
+				ask: false,
+				...info
+			},
+			posts: [],
+			followers: [],
+			likes: [],
+			blocks: []
+		};
+		this.blogs.set(name, blog);
+
+		return blog;
+	}
+
+	/**
+	 * Adds a post to a blog as if it was created through the API
+	 *
+	 * @param {string} blogName
+	 * @param {Record<string, any>} params - NPF post fields, e.g. `content`, `tags`, `state`
+	 *
+	 * @return {Record<string, any>} created post
+	 */
+	addPost(blogName, params) {
+		const blog = this.addBlog(blogName);
+		const id = this.#nextPostId++;
+		const timestamp = params.date ? Math.floor(Date.parse(params.date) / 1000) : Math.floor(Date.now() / 1000);
+
+		const post = {
+			object_type: "post",
+			type: "blocks",
+			id,
+			id_string: String(id),
+			blog_name: blog.info.name,
+			blog: { name: blog.info.name, title: blog.info.title, url: blog.info.url, uuid: blog.info.uuid },
+			post_url: `${blog.info.url}post/${id}`,
+			slug: params.slug ?? "",
+			date: new Date(timestamp * 1000)
+				.toISOString()
+				.replace("T", " ")
+				.replace(/\.\d+Z$/, " GMT"),
+			timestamp,
+			state: params.state ?? "published",
+			tags: typeof params.tags === "string" ? params.tags.split(",").filter(Boolean) : (params.tags ?? []),
+			reblog_key: crypto.randomBytes(6).toString("base64url"),
+			note_count: 0,
+			content: params.content ?? [],
+			layout: params.layout ?? [],
+			trail: this.#reblogTrail(params),
+			...(params.state === "queue" &&
+				params.publish_on && { scheduled_publish_time: Math.floor(Date.parse(params.publish_on) / 1000) }),
+			...(params.parent_post_id && {
+				parent_post_id: params.parent_post_id,
+				parent_tumblelog_uuid: params.parent_tumblelog_uuid
+			})
+		};
+
+		// New queued posts go to the end of the queue, other posts are listed newest first
+		if (post.state === "queue") blog.posts.push(post);
+		else blog.posts.unshift(post);
+		blog.info.updated = Math.max(blog.info.updated, timestamp);
+
+		return post;
+	}
+
+	/**
+	 * Trail of a reblog: the trail of the parent post followed by the parent post itself
+	 *
+	 * @param {Record<string, any>} params - NPF post fields
+	 *
+	 * @returns {Array<Record<string, any>>}
+	 */
+	#reblogTrail(params) {
+		const parent = params.parent_post_id
+			? this.#allPosts().find((post) => post.id_string === String(params.parent_post_id))
+			: undefined;
+		if (!parent || params.hide_trail === true || params.hide_trail === "true") return [];
+
+		const excluded = Array.isArray(params.exclude_trail_items) ? params.exclude_trail_items.map(Number) : [];
+
+		return [
+			...parent.trail,
+			{ post: { id: parent.id_string }, blog: parent.blog, content: parent.content, layout: parent.layout }
+		].filter((_, index) => !excluded.includes(index));
+	}
+
+	/**
+	 * @param {string} identifier - blog name, hostname or UUID
+	 *
+	 * @return {import('./testing').FakeBlog | undefined}
+	 */
+	getBlog(identifier) {
+		const name = decodeURIComponent(identifier)
+			.replace(/^https?:\/\//, "")
+			.replace(/\/$/, "")
+			.replace(/\.tumblr\.com$/, "");
+
+		return this.blogs.get(name) ?? [...this.blogs.values()].find((blog) => blog.info.uuid === name);
+	}
+
+	/**
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	async #handle(req, res) {
+		const url = new URL(req.url ?? "/", "http://localhost");
+		const query = Object.fromEntries(url.searchParams.entries());
+		const body = await this.#readBody(req);
+		/** @type {Record<string, any>} */
+		const params = { ...query, ...body };
+		const method = req.method ?? "GET";
+
+		this.requests.push({ method, path: url.pathname + url.search, body });
+
+		/**
+		 * @param {any} response
+		 * @param {number} [status]
+		 */
+		const ok = (response, status = 200) =>
+			this.#send(res, status, { meta: { status, msg: status === 201 ? "Created" : "OK" }, response });
+		/**
+		 * @param {number} status
+		 * @param {string} msg
+		 */
+		const fail = (status, msg) =>
+			this.#send(res, status, {
+				meta: { status, msg },
+				response: [],
+				errors: [{ title: msg, code: 0, detail: msg }]
+			});
+
+		const segments = url.pathname.split("/").filter(Boolean);
+		if (segments[0] !== "v2") return fail(404, "Not Found");
+
+		if (segments[1] === "user") return this.#handleUser(method, segments[2], params, ok, fail);
+
+		if (segments[1] === "tagged" && method === "GET") {
+			if (!params.tag) return fail(400, "Bad Request");
+			const before = Number(params.before) || Infinity;
+			const posts = this.#allPosts()
+				.filter(
+					(post) => post.state === "published" && post.tags.includes(params.tag) && post.timestamp < before
+				)
+				.slice(0, this.#limit(params));
+			return ok(posts);
+		}
+
+		if (segments[1] === "blog" && segments[2]) {
+			const blog = this.getBlog(segments[2]);
+			if (!blog) return fail(404, "Not Found");
+			return this.#handleBlog(method, blog, segments.slice(3), params, ok, fail);
+		}
+
+		return fail(404, "Not Found");
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string | undefined} endpoint
+	 * @param {Record<string, any>} params
+	 * @param {(response: any, status?: number) => void} ok
+	 * @param {(status: number, msg: string) => void} fail
+	 */
+	#handleUser(method, endpoint, params, ok, fail) {
+		const key = `${method} ${endpoint}`;
+
+		switch (key) {
+			case "GET info":
+				return ok({
+					user: {
+						name: this.user,
+						likes: this.likes.length,
+						following: this.following.size,
+						default_post_format: "html",
+						blogs: [{ ...this.getBlog(this.user)?.info, primary: true, admin: true }]
+					}
+				});
+
+			case "GET limits":
+				for (const name of Object.keys(this.limits)) this.#resetLimit(name);
+				return ok({ user: this.limits });
+
+			case "GET dashboard": {
+				const sinceId = Number(params.since_id) || 0;
+				const posts = this.#allPosts()
+					.filter(
+						(post) =>
+							post.state === "published" &&
+							post.id > sinceId &&
+							(post.blog_name === this.user || this.following.has(post.blog_name))
+					)
+					.slice(Number(params.offset) || 0)
+					.slice(0, this.#limit(params));
+				return ok({ posts });
+			}
+
+			case "GET likes": {
+				const before = Number(params.before) || Infinity;
+				const likes = this.likes
+					.filter((like) => like.liked_timestamp < before)
+					.slice(Number(params.offset) || 0)
+					.slice(0, this.#limit(params));
+				return ok({
+					liked_posts: likes.map(({ post, liked_timestamp }) => ({ ...post, liked_timestamp })),
+					liked_count: this.likes.length
+				});
+			}
+
+			case "GET following": {
+				const blogs = [...this.following]
+					.map((name) => this.getBlog(name)?.info)
+					.filter(Boolean)
+					.slice(Number(params.offset) || 0)
+					.slice(0, this.#limit(params));
+				return ok({ total_blogs: this.following.size, blogs });
+			}
+
+			case "POST follow":
+			case "POST unfollow": {
+				const blog = this.getBlog(params.url ?? params.email ?? "");
+				if (!blog) return fail(404, "Not Found");
+
+				const self = this.getBlog(this.user)?.info;
+				if (endpoint === "follow") {
+					if (!this.#useLimit("follows")) return fail(429, "Limit Exceeded");
+					this.following.add(blog.info.name);
+					if (self && !blog.followers.some((follower) => follower.name === self.name)) {
+						blog.followers.unshift({
+							name: self.name,
+							url: self.url,
+							updated: self.updated,
+							following: true
+						});
+					}
+					return ok({ blog: blog.info });
+				}
+
+				this.following.delete(blog.info.name);
+				blog.followers = blog.followers.filter((follower) => follower.name !== this.user);
+				return ok([]);
+			}
+
+			case "POST like":
+			case "POST unlike": {
+				const post = this.#allPosts().find((candidate) => candidate.id_string === String(params.id));
+				if (!post || post.reblog_key !== params.reblog_key) return fail(404, "Not Found");
+				if (endpoint === "like" && !this.#useLimit("likes")) return fail(429, "Limit Exceeded");
+
+				this.likes = this.likes.filter((like) => like.post !== post);
+				if (endpoint === "like") this.likes.unshift({ post, liked_timestamp: Math.floor(Date.now() / 1000) });
+				return ok([]);
+			}
+
+			default:
+				return fail(404, "Not Found");
+		}
+	}
+
+	/**
+	 * Counts an action against its daily limit
+	 *
+	 * @param {string} name
+	 *
+	 * @returns {boolean} `false` if the limit is used up
+	 */
+	#useLimit(name) {
+		const limit = this.#resetLimit(name);
+		if (!limit) return true;
+		if (limit.remaining <= 0) return false;
+
+		limit.remaining--;
+		return true;
+	}
+
+	/**
+	 * Restores the limit if its reset time has passed
+	 *
+	 * @param {string} name
+	 *
+	 * @returns {import('./types').UserLimit | undefined}
+	 */
+	#resetLimit(name) {
+		const limit = this.limits[name];
+		if (limit && limit.reset_at * 1000 <= Date.now()) {
+			limit.remaining = limit.limit;
+			limit.reset_at = nextDay();
+		}
+
+		return limit;
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {import('./testing').FakeBlog} blog
+	 * @param {string[]} segments path segments after the blog identifier
+	 * @param {Record<string, any>} params
+	 * @param {(response: any, status?: number) => void} ok
+	 * @param {(status: number, msg: string) => void} fail
+	 */
+	#handleBlog(method, blog, segments, params, ok, fail) {
+		const [endpoint, sub, action] = segments;
+
+		if (method === "GET" && endpoint === "info") return ok({ blog: blog.info });
+
+		if (method === "GET" && endpoint === "avatar") {
+			return ok({ avatar_url: `https://api.tumblr.com/v2/blog/${blog.info.name}/avatar/${sub ?? 64}` });
+		}
+
+		if (method === "GET" && endpoint === "likes") {
+			const before = Number(params.before) || Infinity;
+			const likes = blog.likes
+				.filter((like) => like.liked_timestamp < before)
+				.slice(Number(params.offset) || 0)
+				.slice(0, this.#limit(params));
+			return ok({
+				liked_posts: likes.map(({ post, liked_timestamp }) => ({ ...post, liked_timestamp })),
+				liked_count: blog.likes.length
+			});
+		}
+
+		if (method === "GET" && endpoint === "followers") {
+			const users = blog.followers.slice(Number(params.offset) || 0).slice(0, this.#limit(params));
+			return ok({ total_users: blog.followers.length, users });
+		}
+
+		if (method === "GET" && endpoint === "notes") {
+			const post = blog.posts.find((candidate) => candidate.id_string === String(params.id));
+			if (!post) return fail(404, "Not Found");
+
+			// Likes of the authenticating user are the only notes the fake knows about
+			const before = Number(params.before_timestamp) || Infinity;
+			const likes = this.likes.filter((like) => like.post === post);
+			const notes = likes
+				.filter((like) => like.liked_timestamp < before)
+				.slice(0, this.#limit(params))
+				.map((like) => ({ type: "like", timestamp: like.liked_timestamp, blog_name: this.user }));
+			return ok({
+				notes: params.mode === "conversation" || params.mode === "reblogs_with_tags" ? [] : notes,
+				total_notes: likes.length,
+				total_likes: likes.length,
+				total_reblogs: 0
+			});
+		}
+
+		if (method === "GET" && endpoint === "notifications") return ok({ notifications: [] });
+
+		if (endpoint === "blocks") return this.#handleBlocks(method, blog, sub, params, ok, fail);
+
+		if (method === "POST" && endpoint === "post" && sub === "delete") {
+			const index = blog.posts.findIndex((post) => post.id_string === String(params.id));
+			if (index === -1) return fail(404, "Not Found");
+
+			const [post] = blog.posts.splice(index, 1);
+			return ok({ id: post.id, id_string: post.id_string });
+		}
+
+		if (endpoint !== "posts") return fail(404, "Not Found");
+
+		if (method === "POST" && sub === "queue" && (action === "reorder" || action === "shuffle")) {
+			const queue = blog.posts.filter((post) => post.state === "queue");
+
+			if (action === "shuffle") {
+				for (let index = queue.length - 1; index > 0; index--) {
+					const other = crypto.randomInt(index + 1);
+					[queue[index], queue[other]] = [queue[other], queue[index]];
+				}
+			} else {
+				const from = queue.findIndex((post) => post.id_string === String(params.post_id));
+				const after = String(params.insert_after ?? "0");
+				if (from === -1 || (after !== "0" && !queue.some((post) => post.id_string === after))) {
+					return fail(404, "Not Found");
+				}
+
+				const [moved] = queue.splice(from, 1);
+				queue.splice(queue.findIndex((post) => post.id_string === after) + 1, 0, moved);
+			}
+
+			// Queued posts take the slots of each other, other posts keep their positions
+			let next = 0;
+			blog.posts = blog.posts.map((post) => (post.state === "queue" ? queue[next++] : post));
+			return ok([]);
+		}
+
+		if (method === "POST" && !sub) {
+			if (!Array.isArray(params.content)) return fail(400, "Bad Request");
+
+			if (params.parent_post_id) {
+				const parent = this.#allPosts().find((post) => post.id_string === String(params.parent_post_id));
+				if (!parent || parent.reblog_key !== params.reblog_key) return fail(400, "Bad Request");
+			}
+			if (!this.#useLimit("posts")) return fail(429, "Limit Exceeded");
+
+			const post = this.addPost(blog.info.name, params);
+			return ok({ id: post.id, id_string: post.id_string, state: post.state, display_text: "Posted" }, 201);
+		}
+
+		if (method === "PUT" && sub) {
+			const post = blog.posts.find((candidate) => candidate.id_string === sub);
+			if (!post) return fail(404, "Not Found");
+
+			for (const field of ["content", "layout", "state", "slug"]) {
+				if (params[field] !== undefined) post[field] = params[field];
+			}
+			if (params.tags !== undefined) {
+				post.tags = typeof params.tags === "string" ? params.tags.split(",").filter(Boolean) : params.tags;
+			}
+			if (params.date) post.timestamp = Math.floor(Date.parse(params.date) / 1000);
+
+			return ok({ id: post.id, id_string: post.id_string, state: post.state, display_text: "Edited" });
+		}
+
+		if (method !== "GET") return fail(404, "Not Found");
+
+		/** @type {Record<string, string>} */
+		const statesByEndpoint = { queue: "queue", draft: "draft", submission: "submission" };
+		const state = sub ? statesByEndpoint[sub] : undefined;
+
+		if (sub && !state && /^\d+$/.test(sub)) {
+			const post = blog.posts.find((candidate) => candidate.id_string === sub);
+			return post ? ok(post) : fail(404, "Not Found");
+		}
+
+		let posts = blog.posts.filter((post) => post.state === (state ?? "published"));
+
+		if (params.id) posts = posts.filter((post) => post.id_string === String(params.id));
+		if (params.tag) {
+			// Tags match case-insensitively, all of them when there are several
+			const tags = [params.tag].flat().map((tag) => String(tag).toLowerCase());
+			posts = posts.filter((post) =>
+				tags.every((tag) => post.tags.some((/** @type {string} */ postTag) => postTag.toLowerCase() === tag))
+			);
+		}
+		if (params.before_id) posts = posts.filter((post) => post.id < Number(params.before_id));
+
+		const page = posts.slice(Number(params.offset) || 0).slice(0, this.#limit(params));
+
+		return ok(state ? { posts: page } : { blog: blog.info, posts: page, total_posts: posts.length });
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {import('./testing').FakeBlog} blog
+	 * @param {string | undefined} sub
+	 * @param {Record<string, any>} params
+	 * @param {(response: any, status?: number) => void} ok
+	 * @param {(status: number, msg: string) => void} fail
+	 */
+	#handleBlocks(method, blog, sub, params, ok, fail) {
+		/** @param {string} name */
+		const block = (name) => {
+			const blocked = this.getBlog(name)?.info.name ?? name;
+			if (!blog.blocks.includes(blocked)) blog.blocks.unshift(blocked);
+		};
+
+		if (method === "GET" && !sub) {
+			const names = blog.blocks.slice(Number(params.offset) || 0).slice(0, this.#limit(params));
+			return ok({
+				blocked_tumblelogs: names.map((name) => this.blogs.get(name)?.info ?? { name, title: name })
+			});
+		}
+
+		if (method === "POST" && sub === "bulk") {
+			if (!params.blocked_tumblelogs) return fail(400, "Bad Request");
+			String(params.blocked_tumblelogs).split(",").filter(Boolean).forEach(block);
+			return ok([]);
+		}
+
+		if (method === "POST" && !sub) {
+			if (params.blocked_tumblelog) {
+				block(String(params.blocked_tumblelog));
+				return ok([]);
+			}
+
+			const post = blog.posts.find((candidate) => candidate.id_string === String(params.post_id));
+			if (!post) return fail(404, "Not Found");
+
+			// Authors of anonymous asks and submissions are tracked under a single name
+			const ask = post.layout.find((/** @type {any} */ layout) => layout.type === "ask");
+			block(ask?.attribution?.blog?.name ?? post.post_author ?? FAKE_ANONYMOUS_BLOCK);
+			return ok([]);
+		}
+
+		if (method === "DELETE" && !sub) {
+			const unblocked = params.anonymous_only === "true" ? FAKE_ANONYMOUS_BLOCK : params.blocked_tumblelog;
+			if (!unblocked) return fail(400, "Bad Request");
+
+			const name = this.getBlog(unblocked)?.info.name ?? unblocked;
+			blog.blocks = blog.blocks.filter((blocked) => blocked !== name);
+			return ok([]);
+		}
+
+		return fail(404, "Not Found");
+	}
+
+	/**
+	 * All posts of all blogs, newest first
+	 *
+	 * @returns {Array<Record<string, any>>}
+	 */
+	#allPosts() {
+		return [...this.blogs.values()].flatMap((blog) => blog.posts).sort((a, b) => b.id - a.id);
+	}
+
+	/**
+	 * @param {Record<string, any>} params
+	 *
+	 * @returns {number}
+	 */
+	#limit(params) {
+		const limit = Number(params.limit) || 20;
+
+		return Math.min(Math.max(limit, 1), 50);
+	}
+
+	/**
+	 * Reads JSON, urlencoded or multipart body. Uploaded media is replaced with a fake media object.
+	 *
+	 * @param {http.IncomingMessage} req
+	 *
+	 * @returns {Promise<Record<string, any> | null>}
+	 */
+	async #readBody(req) {
+		/** @type {Buffer[]} */
+		const chunks = [];
+		for await (const chunk of req) chunks.push(chunk);
+
+		const raw = Buffer.concat(chunks);
+		if (!raw.length) return null;
+
+		const contentType = req.headers["content-type"] ?? "";
+
+		if (contentType.startsWith("application/json")) return parseJson(raw.toString("utf8")) ?? null;
+
+		if (contentType.startsWith("application/x-www-form-urlencoded")) {
+			return Object.fromEntries(new URLSearchParams(raw.toString("utf8")).entries());
+		}
+
+		const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+		if (contentType.startsWith("multipart/form-data") && boundary) {
+			const { fields, files } = parseMultipart(raw, boundary[1] ?? boundary[2]);
+			/** @type {Record<string, any>} */
+			const params = fields.json ? (parseJson(fields.json) ?? {}) : { ...fields };
+
+			// NPF media blocks reference uploaded parts by identifier
+			/**
+			 * @param {any} value
+			 * @returns {any}
+			 */
+			const replaceMedia = (value) => {
+				if (Array.isArray(value)) return value.map(replaceMedia);
+				if (!value || typeof value !== "object") return value;
+
+				const file = typeof value.identifier === "string" ? files[value.identifier] : undefined;
+				if (file) {
+					return {
+						url: `${this.#url}/media/${crypto.createHash("sha1").update(file.data).digest("hex")}`,
+						type: file.contentType,
+						width: 0,
+						height: 0
+					};
+				}
+
+				return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, replaceMedia(nested)]));
+			};
+
+			return replaceMedia(params);
+		}
+
+		return null;
+	}
+
+	/**
+	 * @param {http.ServerResponse} res
+	 * @param {number} status
+	 * @param {any} payload
+	 */
+	#send(res, status, payload) {
+		const body = JSON.stringify(payload);
+		res.writeHead(status, { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) });
+		res.end(body);
+	}
+}
+
+module.exports = {
+	recordTransport,
+	replayTransport,
+	FakeTumblrServer
+};
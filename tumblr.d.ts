@@ -1,5 +1,101 @@
 export class TumblrError extends Error {
-	declare code: number;
+	/**
+	 * @param {number} code
+	 * @param {string} message
+	 * @param {import('./types').TumblrErrorDetails} [details]
+	 */
+	constructor(code: number, message: string, details?: import("./types").TumblrErrorDetails);
+	/**
+	 * HTTP status code of the response, 0 if there was no response
+	 */
+	code: number;
+	/**
+	 * `meta` object of the response
+	 */
+	meta: Record<string, any> | null;
+	/**
+	 * `errors` array of the response, with subcodes and details
+	 */
+	errors: ReadonlyArray<import("./types").TumblrApiError>;
+	/**
+	 * Headers of the response
+	 */
+	headers: import("node:http").IncomingHttpHeaders;
+	/**
+	 * Method and URL (without API key) of the failed request
+	 */
+	request: import("./types").TumblrErrorRequest | null;
+}
+/**
+ * Invalid or missing credentials, or not enough permissions (401, 403)
+ */
+export class TumblrAuthError extends TumblrError {}
+/**
+ * Requested blog, post or endpoint does not exist (404)
+ */
+export class TumblrNotFoundError extends TumblrError {}
+/**
+ * Request parameters were rejected (400)
+ */
+export class TumblrValidationError extends TumblrError {}
+/**
+ * Too many requests (429)
+ */
+export class TumblrRateLimitError extends TumblrError {
+	/**
+	 * Delay in milliseconds the API asked to wait for with the `Retry-After` header
+	 */
+	retryAfter: number | null;
+	/**
+	 * Rate limit state from the `X-Ratelimit-*` headers of the response
+	 */
+	rateLimit: import("./types").RateLimitState | null;
+}
+/**
+ * Response body is not a valid Tumblr API JSON
+ */
+export class TumblrParseError extends TumblrError {
+	/**
+	 * Raw response body
+	 */
+	body: string;
+}
+/**
+ * Response doesn't match the expected shape, with `validateResponses` enabled
+ */
+export class TumblrSchemaError extends TumblrError {
+	/**
+	 * Mismatched values with their paths
+	 */
+	issues: ReadonlyArray<import("./types").SchemaIssue>;
+	/**
+	 * Response data that failed the validation
+	 */
+	response: unknown;
+}
+/**
+ * Daily quota of the action is used up, the request was not sent. Thrown with the `quotas` option.
+ */
+export class TumblrQuotaError extends TumblrError {
+	/**
+	 * Action of the request
+	 */
+	action: import("./types").QuotaAction;
+	/**
+	 * Quota state when the request was rejected
+	 */
+	quota: import("./types").QuotaState | null;
+}
+/**
+ * Request failed without a response, e.g. with a socket error. Original error is in `cause`.
+ */
+export class TumblrNetworkError extends TumblrError {
+	/**
+	 * @param {Error} cause original error
+	 * @param {import('./types').TumblrErrorDetails} [details]
+	 */
+	constructor(cause: Error, details?: import("./types").TumblrErrorDetails);
+	cause: Error & { code?: string };
 }
 
 export class Client {
@@ -21,42 +117,136 @@ export class Client {
 	 * @readonly
 	 */
 	readonly version: typeof Client.version;
+	/**
+	 * Bulk edits and deletions of posts, emitting `progress` events
+	 *
+	 * @type {BulkOperations}
+	 * @readonly
+	 */
+	readonly bulk: BulkOperations;
 	/**
 	 * Base URL to API requests
 	 * @type {string}
 	 * @readonly
 	 */
 	readonly baseUrl: string;
+	/**
+	 * Last rate limit state reported by the API with `X-Ratelimit-*` headers
+	 *
+	 * @type {import('./types').RateLimitState | null}
+	 */
+	get rateLimit(): import("./types").RateLimitState | null;
+	/**
+	 * Daily quotas tracked with the `quotas` option, `null` if they are not tracked or not seeded yet
+	 *
+	 * Quotas are shared by all clients with the same credentials and `baseUrl`.
+	 *
+	 * @type {Partial<Record<import('./types').QuotaAction, import('./types').QuotaState>> | null}
+	 */
+	get quotas(): Partial<Record<import("./types").QuotaAction, import("./types").QuotaState>> | null;
+	/**
+	 * Adds a middleware to the request pipeline
+	 *
+	 * Middlewares run in the order they were added, on every attempt of every request. Before calling
+	 * `next()` they see and may change the prepared `ctx.url`, `ctx.method`, `ctx.headers` and `ctx.body`.
+	 * After `next()` resolves, `ctx.response` holds the status, headers and parsed body. A middleware
+	 * may also set `ctx.response` itself without calling `next()`.
+	 *
+	 * Built-in authentication (API key or OAuth) is the last middleware, right before sending.
+	 *
+	 * @example
+	 * client.use(async (ctx, next) => {
+	 *   const start = Date.now();
+	 *   await next();
+	 *   console.log(ctx.method, ctx.url.pathname, ctx.response?.statusCode, Date.now() - start);
+	 * });
+	 *
+	 * @param  {import('./types').Middleware} middleware
+	 *
+	 * @return {this}
+	 */
+	use(middleware: import("./types").Middleware): this;
+	/**
+	 * Exchanges the OAuth2 refresh token for a new access token and uses it for next requests
+	 *
+	 * Called automatically when a request fails with 401. Concurrent calls share a single token request.
+	 *
+	 * @return {Promise<import('./types').OAuth2Tokens>}
+	 */
+	refreshAccessToken(): Promise<import("./types").OAuth2Tokens>;
+	/**
+	 * Deletes cached responses of requests with paths starting with the prefix, all of them by default
+	 *
+	 * Responses are invalidated after write requests automatically, this is for changes made elsewhere.
+	 *
+	 * @example
+	 * await client.invalidateCache(`/v2/blog/${blogName}/`);
+	 *
+	 * @param  {string} [pathPrefix] - API path prefix, e.g. `/v2/blog/staff/`
+	 *
+	 * @return {Promise<void>}
+	 */
+	invalidateCache(pathPrefix?: string): Promise<void>;
 	/**
 	 * Performs a GET request
 	 *
 	 * @template {any} T
 	 * @param  {string} apiPath - URL path for the request
 	 * @param  {Record<string, any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	getRequest<T extends any>(apiPath: string, params?: Record<string, any>): Promise<T>;
+	getRequest<T extends any>(
+		apiPath: string,
+		params?: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Performs a POST request
 	 *
 	 * @template {any} T
 	 * @param  {string} apiPath - URL path for the request
 	 * @param  {Record<string,any>} [params]
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>} Promise if no callback was provided
 	 */
-	postRequest<T extends any>(apiPath: string, params?: Record<string, any>): Promise<T>;
+	postRequest<T extends any>(
+		apiPath: string,
+		params?: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Performs a PUT request
 	 *
 	 * @template {any} T
 	 * @param  {string} apiPath - URL path for the request
 	 * @param  {Record<string,any>} [params]
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>} Promise if no callback was provided
 	 */
-	putRequest<T extends any>(apiPath: string, params?: Record<string, any>): Promise<T>;
+	putRequest<T extends any>(
+		apiPath: string,
+		params?: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Performs a DELETE request
+	 *
+	 * @template {any} T
+	 * @param  {string} apiPath - URL path for the request
+	 * @param  {Record<string, any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	deleteRequest<T extends any>(
+		apiPath: string,
+		params?: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Create or reblog an NPF post
 	 *
@@ -74,286 +264,1112 @@ export class Client {
 	 *   ],
 	 * });
 	 *
-	 * @template {any} T
+	 * @example
+	 * await client.createPost(blogName, npf().heading('Hello').image(fs.createReadStream('./image.jpg'), { alt: '…' }));
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams } params
+	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams | NpfBuilder} params - post params or {@link NpfBuilder}
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	createPost<T extends any>(
+	createPost<T = import("./types").PostWriteResponse>(
 		blogIdentifier: string,
-		params: import("./types").NpfReblogParams | import("./types").NpfPostParams
+		params: import("./types").NpfReblogParams | import("./types").NpfPostParams | NpfBuilder,
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Edit an NPF post
 	 *
 	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postspost-id---editing-a-post-neue-post-format|API Docs}
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostWriteResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {string} postId - Post ID
-	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams } params
+	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams | NpfBuilder} params - post params or {@link NpfBuilder}
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	editPost<T = import("./types").PostWriteResponse>(
+		blogIdentifier: string,
+		postId: string,
+		params: import("./types").NpfReblogParams | import("./types").NpfPostParams | NpfBuilder,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Reblogs a post object returned by any method, e.g. `blogPosts`, `userDashboard` or `taggedPosts`
+	 *
+	 * @example
+	 * const [post] = await client.taggedPosts('cats');
+	 * await client.reblog(blogName, post, { comment: 'So cute!', tags: ['cats'], state: 'queue' });
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL to reblog to
+	 * @param  {import('./types').ReblogSourcePost} post - post to reblog
+	 * @param  {import('./types').ReblogOptions} [options] - added content, tags, state and trail options
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	reblog<T = import("./types").PostWriteResponse>(
+		blogIdentifier: string,
+		post: import("./types").ReblogSourcePost,
+		options?: import("./types").ReblogOptions,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Publishes a draft or queued post now
+	 *
+	 * @example
+	 * for await (const draft of client.iterateBlogDrafts(blogName)) {
+	 *   if (draft.tags.includes('ready')) await client.publishPost(blogName, draft.id_string);
+	 * }
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - ID of the draft or queued post
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
 	 *
 	 * @return {Promise<T>}
 	 */
-	editPost<T extends any>(
+	publishPost<T = import("./types").PostWriteResponse>(
 		blogIdentifier: string,
 		postId: string,
-		params: import("./types").NpfReblogParams | import("./types").NpfPostParams
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
+	/**
+	 * Adds a draft to the queue, or reschedules a queued post
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - ID of the draft or queued post
+	 * @param  {{publish_on?: string | Date}} [params] - date to publish the post at instead of its queue slot
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
+	 *
+	 * @return {Promise<T>}
+	 */
+	queuePost<T = import("./types").PostWriteResponse>(
+		blogIdentifier: string,
+		postId: string,
+		params?: { publish_on?: string | Date },
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Plans posts into recurring time slots, skipping slots taken by posts already in the queue
+	 *
+	 * Posts are assigned to the earliest free slots in order. Nothing is sent, every planned post has the
+	 * `createPost` arguments queueing it at its slot.
+	 *
+	 * @example
+	 * const plan = await client.planSchedule(blogName, [firstPost, secondPost, npf().text("Third")], {
+	 *   days: "weekdays",
+	 *   times: ["09:00", "17:00"],
+	 *   timeZone: "Europe/Berlin"
+	 * });
+	 *
+	 * for (const { args } of plan) await client.createPost(...args);
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {ReadonlyArray<import('./types').NpfPostParams | NpfBuilder>} posts - posts to schedule, in order
+	 * @param  {import('./types').ScheduleSlots} slots - days, local times and time zone of the slots
+	 * @param  {import('./types').ScheduleOptions} [options] - planning options and options for queue requests
+	 *
+	 * @return {Promise<import('./types').ScheduledPost[]>}
+	 */
+	planSchedule(
+		blogIdentifier: string,
+		posts: ReadonlyArray<import("./types").NpfPostParams | NpfBuilder>,
+		slots: import("./types").ScheduleSlots,
+		options?: import("./types").ScheduleOptions
+	): Promise<import("./types").ScheduledPost[]>;
 	/**
 	 * Creates a post on the given blog.
 	 *
-	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
+	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods, `legacyToNpf` converts legacy params.
 	 *
 	 * @see {@link https://www.tumblr.com/docs/api/v2#posting|API Docs}
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostWriteResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {Record<string,any>} params
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	createLegacyPost<T extends any>(blogIdentifier: string, params: Record<string, any>): Promise<T>;
+	createLegacyPost<T = import("./types").PostWriteResponse>(
+		blogIdentifier: string,
+		params: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Edits a given post
 	 *
-	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
+	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods, `legacyToNpf` converts legacy params.
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostWriteResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {Record<string,any>} params
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	editLegacyPost<T extends any>(blogIdentifier: string, params: Record<string, any>): Promise<T>;
+	editLegacyPost<T = import("./types").PostWriteResponse>(
+		blogIdentifier: string,
+		params: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Likes a post as the authenticating user
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').EmptyResponse]
 	 * @param  {string} postId - ID of post to like
 	 * @param  {string} reblogKey - Reblog key of post to like
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	likePost<T extends any>(postId: string, reblogKey: string): Promise<T>;
+	likePost<T = import("./types").EmptyResponse>(
+		postId: string,
+		reblogKey: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Unlikes a post as the authenticating user
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').EmptyResponse]
 	 * @param  {string} postId - ID of post to like
 	 * @param  {string} reblogKey - Reblog key of post to like
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	unlikePost<T extends any>(postId: string, reblogKey: string): Promise<T>;
+	unlikePost<T = import("./types").EmptyResponse>(
+		postId: string,
+		reblogKey: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Follows a blog as the authenticating user
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').FollowBlogResponse]
 	 * @param  {{url: string}|{email:string}} params - parameters sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	followBlog<T extends any>(
+	followBlog<T = import("./types").FollowBlogResponse>(
 		params:
 			| {
 					url: string;
 			  }
 			| {
 					email: string;
-			  }
+			  },
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Unfollows a blog as the authenticating user
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').EmptyResponse]
 	 * @param  {{url: string}} params - parameters sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	unfollowBlog<T extends any>(params: { url: string }): Promise<T>;
+	unfollowBlog<T = import("./types").EmptyResponse>(
+		params: { url: string },
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Deletes a given post
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostDeleteResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {string} postId - Post ID to delete
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	deletePost<T extends any>(blogIdentifier: string, postId: string): Promise<T>;
+	deletePost<T = import("./types").PostDeleteResponse>(
+		blogIdentifier: string,
+		postId: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Reblogs a given post
 	 *
 	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostWriteResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {Record<string,any>} params - parameters sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	reblogPost<T extends any>(blogIdentifier: string, params: Record<string, any>): Promise<T>;
+	reblogPost<T = import("./types").PostWriteResponse>(
+		blogIdentifier: string,
+		params: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Gets information about a given blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').BlogInfoResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {{'fields[blogs]'?: string}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogInfo<T extends any>(
+	blogInfo<T = import("./types").BlogInfoResponse>(
 		blogIdentifier: string,
 		params?: {
 			"fields[blogs]"?: string;
-		}
+		},
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Gets the likes for a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').LikesResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {{limit?: number; offset?: number; before?: number; after?: number}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogLikes<T extends any>(
+	blogLikes<T = import("./types").LikesResponse>(
 		blogIdentifier: string,
 		params?: {
 			limit?: number;
 			offset?: number;
 			before?: number;
 			after?: number;
-		}
+		},
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Gets the followers for a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').BlogFollowersResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {{limit?: number; offset?: number}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogFollowers<T extends any>(
+	blogFollowers<T = import("./types").BlogFollowersResponse>(
 		blogIdentifier: string,
 		params?: {
 			limit?: number;
 			offset?: number;
-		}
+		},
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/** @type {import('./types').BlogPosts<Client>} */
 	blogPosts: import("./types").BlogPosts<Client>;
+	/**
+	 * Gets a single post
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postspost-id---fetching-a-post-neue-post-format|API Docs}
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - Post ID
+	 * @param  {import('./types').BlogPostParams} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogPost<T = import("./types").Post>(
+		blogIdentifier: string,
+		postId: string,
+		params?: import("./types").BlogPostParams,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Gets the queue for a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostsResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {{limit?: number; offset?: number; filter?: 'text'|'raw'}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogQueue<T extends any>(
+	blogQueue<T = import("./types").PostsResponse>(
 		blogIdentifier: string,
 		params?: {
 			limit?: number;
 			offset?: number;
 			filter?: "text" | "raw";
-		}
+		},
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Moves a queued post after another one
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postsqueuereorder---reorder-queued-posts|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - ID of the queued post to move
+	 * @param  {string} insertAfter - ID of the queued post to place it after, `'0'` moves it to the top
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	reorderQueuedPost<T = import("./types").EmptyResponse>(
+		blogIdentifier: string,
+		postId: string,
+		insertAfter: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Reorders the queue to match the given order, moving as few posts as possible
+	 *
+	 * Reads the whole queue, plans the moves with {@link planQueueReorder} and sends them one by one.
+	 *
+	 * @example
+	 * const moves = await client.reorderQueue(blogName, ['3', '1', '2']);
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {ReadonlyArray<string>} postIds - IDs of queued posts in the wanted order
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
+	 *
+	 * @return {Promise<import('./types').QueueMove[]>} applied moves
+	 */
+	reorderQueue(
+		blogIdentifier: string,
+		postIds: ReadonlyArray<string>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<import("./types").QueueMove[]>;
+	/**
+	 * Shuffles the queue of a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postsqueueshuffle---shuffle-queued-posts|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	shuffleQueue<T = import("./types").EmptyResponse>(
+		blogIdentifier: string,
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Gets the drafts for a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostsResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {{before_id?: number; filter?: PostFormatFilter}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogDrafts<T extends any>(
+	blogDrafts<T = import("./types").PostsResponse>(
 		blogIdentifier: string,
 		params?: {
 			before_id?: number;
 			filter?: import("./types").PostFormatFilter;
-		}
+		},
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Gets the submissions for a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostsResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
 	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogSubmissions<T extends any>(
+	blogSubmissions<T = import("./types").PostsResponse>(
 		blogIdentifier: string,
 		params?: {
 			offset?: number;
+			/**
+			 * Exports posts, drafts, queue, submissions and likes of a blog to JSONL files in the directory
+			 *
+			 * Every collection goes to its own `<collection>.jsonl` file with one NPF post per line. A checkpoint
+			 * is saved after every page, so running the export again into the same directory resumes it.
+			 * With `media: true` media files are downloaded to `media/<sha256>.<ext>` and media URLs in the
+			 * posts point to them, relative to the directory.
+			 *
+			 * @example
+			 * const { counts } = await client.exportBlog(blogName, "./backup", { media: true });
+			 *
+			 * @param  {string} blogIdentifier - blog name or URL
+			 * @param  {string} directory - archive directory, created if missing
+			 * @param  {import('./types').ExportOptions} [options] - collections, media downloads and options for every request
+			 *
+			 * @return {Promise<import('./types').ExportResult>}
+			 */
+			exportBlog(
+				blogIdentifier: string,
+				directory: string,
+				options?: import("./types").ExportOptions
+			): Promise<import("./types").ExportResult>;
+			/**
+			 * Creates posts of an archive written by {@link Client#exportBlog} in a blog
+			 *
+			 * Published posts keep their dates and are created from oldest to newest, then drafts, then queued
+			 * posts in the queue order. Media files of the archive are uploaded again, remote media is re-hosted.
+			 * Created posts are recorded in a mapping file of source to new post IDs, so running the import
+			 * again skips them. Reblogs are skipped, their parents can't be reblogged from the archive.
+			 *
+			 * Once a daily posting limit is hit, the import stops and reports when to run it again, or waits
+			 * for the limit to reset with `whenLimited: "wait"`.
+			 *
+			 * @example
+			 * const { created, limited } = await client.importBlog("./backup", targetBlogName);
+			 *
+			 * @param  {string} directory - archive directory
+			 * @param  {string} blogIdentifier - blog name or URL to create posts in
+			 * @param  {import('./types').ImportOptions} [options] - collections, mapping file, limit handling and options for every request
+			 *
+			 * @return {Promise<import('./types').ImportResult>}
+			 */
+			importBlog(
+				directory: string,
+				blogIdentifier: string,
+				options?: import("./types").ImportOptions
+			): Promise<import("./types").ImportResult>;
 			filter?: import("./types").PostFormatFilter;
-		}
+		},
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Gets the notes of a post
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#notes---get-notes-for-a-specific-post|API Docs}
+	 *
+	 * @example
+	 * const { notes, total_likes } = await client.blogNotes(blogName, { id: postId, mode: 'likes' });
+	 *
+	 * @template [T=import('./types').BlogNotesResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').BlogNotesParams} params - post ID, notes mode and `before_timestamp` cursor
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogNotes<T = import("./types").BlogNotesResponse>(
+		blogIdentifier: string,
+		params: import("./types").BlogNotesParams,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Gets the activity feed of a blog, newest first
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blogblog-identifiernotifications---retrieve-blogs-activity-feed|API Docs}
+	 *
+	 * @template [T=import('./types').BlogNotificationsResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').BlogNotificationsParams} [params] - `before` cursor and notification types
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogNotifications<T = import("./types").BlogNotificationsResponse>(
+		blogIdentifier: string,
+		params?: import("./types").BlogNotificationsParams,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Gets the blogs blocked by a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--retrieve-blogs-blocks|API Docs}
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{limit?: number; offset?: number}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<import('./types').BlogBlocksResponse>}
+	 */
+	blogBlocks(
+		blogIdentifier: string,
+		params?: { limit?: number; offset?: number },
+		requestOptions?: import("./types").RequestOptions
+	): Promise<import("./types").BlogBlocksResponse>;
+	/**
+	 * Blocks a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--block-a-blog|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {string} blockedBlog - name, URL or UUID of the blog to block
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blockBlog<T = import("./types").EmptyResponse>(
+		blogIdentifier: string,
+		blockedBlog: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Blocks the author of a post, including anonymous askers and submitters
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--block-a-blog|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {string} postId - ID of the post, ask or submission whose author to block
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blockPostAuthor<T = import("./types").EmptyResponse>(
+		blogIdentifier: string,
+		postId: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Blocks many blogs, sending them to the bulk endpoint in batches
+	 *
+	 * Duplicate names are blocked once. A failed batch doesn't stop the following ones, its blogs and
+	 * error are reported in `failed`. Aborting the signal or a timeout rejects.
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocksbulk--block-a-list-of-blogs|API Docs}
+	 *
+	 * @example
+	 * const { blocked, failed } = await client.blockBlogs(blogName, spamBlogs, { force: true });
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {Iterable<string>} blockedBlogs - names, URLs or UUIDs of the blogs to block
+	 * @param  {import('./types').BulkBlockOptions} [options] - batching and options for every request
+	 *
+	 * @return {Promise<import('./types').BulkBlockResult>}
+	 */
+	blockBlogs(
+		blogIdentifier: string,
+		blockedBlogs: Iterable<string>,
+		options?: import("./types").BulkBlockOptions
+	): Promise<import("./types").BulkBlockResult>;
+	/**
+	 * Unblocks a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--remove-a-block|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {string} blockedBlog - name, URL or UUID of the blog to unblock
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	unblockBlog<T = import("./types").EmptyResponse>(
+		blogIdentifier: string,
+		blockedBlog: string,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Removes all blocks of anonymous askers and submitters
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--remove-a-block|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	unblockAnonymous<T = import("./types").EmptyResponse>(
+		blogIdentifier: string,
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Gets the avatar URL for a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').BlogAvatarResponse]
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {16|24|30|40|48|64|96|128|512} [sizeOrCallback] - optional data sent with the request
+	 * @param  {16|24|30|40|48|64|96|128|512} [size] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	blogAvatar<T extends any>(
+	blogAvatar<T = import("./types").BlogAvatarResponse>(
 		blogIdentifier: string,
-		sizeOrCallback?: 16 | 24 | 30 | 40 | 48 | 64 | 96 | 128 | 512
+		size?: 16 | 24 | 30 | 40 | 48 | 64 | 96 | 128 | 512,
+		requestOptions?: import("./types").RequestOptions
 	): Promise<T>;
 	/**
 	 * Gets information about the authenticating user and their blogs
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').UserInfoResponse]
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	userInfo<T = import("./types").UserInfoResponse>(requestOptions?: import("./types").RequestOptions): Promise<T>;
+	/**
+	 * Gets daily limits of the authenticating user, e.g. posts, follows and likes left until the reset
+	 *
+	 * @template [T=import('./types').UserLimitsResponse]
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
 	 * @return {Promise<T>}
 	 */
-	userInfo<T extends any>(): Promise<T>;
+	userLimits<T = import("./types").UserLimitsResponse>(requestOptions?: import("./types").RequestOptions): Promise<T>;
 	/**
 	 * Gets the dashboard posts for the authenticating user
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').PostsResponse]
 	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	userDashboard<T extends any>(params?: Record<string, any>): Promise<T>;
+	userDashboard<T = import("./types").PostsResponse>(
+		params?: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Gets the blogs the authenticating user follows
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').UserFollowingResponse]
 	 * @param  {{limit?: number; offset?: number;}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	userFollowing<T extends any>(params?: { limit?: number; offset?: number }): Promise<T>;
+	userFollowing<T = import("./types").UserFollowingResponse>(
+		params?: { limit?: number; offset?: number },
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Gets the likes for the authenticating user
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').LikesResponse]
 	 * @param  {{limit?: number; offset?: number; before?: number; after?: number}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	userLikes<T extends any>(params?: { limit?: number; offset?: number; before?: number; after?: number }): Promise<T>;
+	userLikes<T = import("./types").LikesResponse>(
+		params?: { limit?: number; offset?: number; before?: number; after?: number },
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
 	/**
 	 * Gets posts tagged with the specified tag
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').Post[]]
 	 * @param  {string} tag - The tag on the posts you'd like to retrieve
 	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
 	 *
 	 * @return {Promise<T>}
 	 */
-	taggedPosts<T extends any>(tag: string, params?: Record<string, any>): Promise<T>;
+	taggedPosts<T = import("./types").Post[]>(
+		tag: string,
+		params?: Record<string, any>,
+		requestOptions?: import("./types").RequestOptions
+	): Promise<T>;
+	/**
+	 * Iterates over all posts of a blog
+	 *
+	 * @example
+	 * for await (const post of client.iterateBlogPosts(blogName, { npf: true }, { maxItems: 100 })) {
+	 *   console.log(post.id_string);
+	 * }
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Omit<import('./types').BlogPostsParams, 'limit'>} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogPosts<T = import("./types").Post>(
+		blogIdentifier: string,
+		params?: Omit<import("./types").BlogPostsParams, "limit">,
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the likes of a blog, from newest to oldest
+	 *
+	 * @template [T=import('./types').LikedPost]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{before?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogLikes<T = import("./types").LikedPost>(
+		blogIdentifier: string,
+		params?: { before?: number },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the followers of a blog
+	 *
+	 * @template [T=import('./types').Follower]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{offset?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogFollowers<T = import("./types").Follower>(
+		blogIdentifier: string,
+		params?: { offset?: number },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the queue of a blog
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogQueue<T = import("./types").Post>(
+		blogIdentifier: string,
+		params?: { offset?: number; filter?: import("./types").PostFormatFilter },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the drafts of a blog, from newest to oldest
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{before_id?: number; filter?: PostFormatFilter}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogDrafts<T = import("./types").Post>(
+		blogIdentifier: string,
+		params?: { before_id?: number; filter?: import("./types").PostFormatFilter },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the submissions of a blog
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogSubmissions<T = import("./types").Post>(
+		blogIdentifier: string,
+		params?: { offset?: number; filter?: import("./types").PostFormatFilter },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the notes of a post, from newest to oldest
+	 *
+	 * @example
+	 * for await (const note of client.iterateBlogNotes(blogName, { id: postId, mode: 'reblogs_with_tags' })) {
+	 *   console.log(note.blog_name, note.tags);
+	 * }
+	 *
+	 * @template [T=import('./types').Note]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Omit<import('./types').BlogNotesParams, 'before_timestamp'>} params - post ID and notes mode
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogNotes<T = import("./types").Note>(
+		blogIdentifier: string,
+		params: Omit<import("./types").BlogNotesParams, "before_timestamp">,
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the activity feed of a blog, from newest to oldest
+	 *
+	 * @template [T=import('./types').Notification]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Omit<import('./types').BlogNotificationsParams, 'before'>} [params] - notification types
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateBlogNotifications<T = import("./types").Notification>(
+		blogIdentifier: string,
+		params?: Omit<import("./types").BlogNotificationsParams, "before">,
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the blogs blocked by a blog
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{offset?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<import('./types').BlockedBlog>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<import('./types').BlockedBlog, void, undefined>}
+	 */
+	iterateBlogBlocks(
+		blogIdentifier: string,
+		params?: { offset?: number },
+		options?: import("./types").PaginationOptions<import("./types").BlockedBlog>
+	): AsyncGenerator<import("./types").BlockedBlog, void, undefined>;
+	/**
+	 * Iterates over the dashboard posts of the authenticating user
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateUserDashboard<T = import("./types").Post>(
+		params?: Record<string, any>,
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the blogs the authenticating user follows
+	 *
+	 * @template [T=import('./types').BlogInfo]
+	 * @param  {{offset?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateUserFollowing<T = import("./types").BlogInfo>(
+		params?: { offset?: number },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over the likes of the authenticating user, from newest to oldest
+	 *
+	 * @template [T=import('./types').LikedPost]
+	 * @param  {{before?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateUserLikes<T = import("./types").LikedPost>(
+		params?: { before?: number },
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Iterates over posts tagged with the specified tag, from newest to oldest
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} tag - The tag on the posts you'd like to retrieve
+	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
+	 */
+	iterateTaggedPosts<T = import("./types").Post>(
+		tag: string,
+		params?: Record<string, any>,
+		options?: import("./types").PaginationOptions<T>
+	): AsyncGenerator<T, void, undefined>;
+	/**
+	 * Watches the dashboard of the authenticating user for new posts
+	 *
+	 * @example
+	 * const watcher = client.watchDashboard({ persist: "./dashboard-cursor.json" });
+	 * watcher.on("post", (post) => console.log(post.post_url));
+	 *
+	 * @param  {import('./types').WatchOptions} [options] - polling intervals, cursor persistence and options for every request
+	 *
+	 * @return {PostWatcher}
+	 */
+	watchDashboard(options?: import("./types").WatchOptions): PostWatcher;
+	/**
+	 * Watches a blog for new posts
+	 *
+	 * @example
+	 * for await (const post of client.watchBlog(blogName)) {
+	 *   console.log(post.post_url);
+	 * }
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').WatchOptions} [options] - polling intervals, cursor persistence and options for every request
+	 *
+	 * @return {PostWatcher}
+	 */
+	watchBlog(blogIdentifier: string, options?: import("./types").WatchOptions): PostWatcher;
+	/**
+	 * Watches a tag for new posts
+	 *
+	 * Tagged posts are ordered by time, so posts appear as new once, even if tagged later.
+	 *
+	 * @param  {string} tag - tag to watch
+	 * @param  {import('./types').WatchOptions} [options] - polling intervals, cursor persistence and options for every request
+	 *
+	 * @return {PostWatcher}
+	 */
+	watchTag(tag: string, options?: import("./types").WatchOptions): PostWatcher;
 	#private;
 }
+/**
+ * Request was aborted with the signal passed in request options. The abort reason is in `cause`.
+ */
+export class TumblrAbortError extends TumblrError {}
+/**
+ * Request didn't complete within the `timeout`
+ */
+export class TumblrTimeoutError extends TumblrError {}
+/**
+ * Performs the three-legged OAuth 1.0a flow to obtain user tokens
+ *
+ * @example
+ * const authorizer = new OAuth1Authorizer({ consumer_key, consumer_secret, callbackUrl });
+ * const requestToken = await authorizer.getRequestToken();
+ * // Redirect the user to requestToken.authorizeUrl, Tumblr redirects back with `oauth_verifier`
+ * const { token, token_secret, client } = await authorizer.getAccessToken(requestToken, oauthVerifier);
+ */
+export class OAuth1Authorizer {
+	/**
+	 * @param {import('./types').OAuth1AuthorizerOptions} options - consumer credentials and options for created clients
+	 */
+	constructor(options: import("./types").OAuth1AuthorizerOptions);
+	/**
+	 * Base URL of OAuth endpoints
+	 * @type {string}
+	 * @readonly
+	 */
+	readonly oauthBaseUrl: string;
+	/**
+	 * Obtains a temporary request token, the first step of the flow
+	 *
+	 * Keep `token_secret` until the user comes back, it's needed for {@link OAuth1Authorizer#getAccessToken}.
+	 *
+	 * @return {Promise<import('./types').OAuth1RequestToken>}
+	 */
+	getRequestToken(): Promise<import("./types").OAuth1RequestToken>;
+	/**
+	 * Builds the URL to send the user to, the second step of the flow
+	 *
+	 * @param  {string} token - request token
+	 *
+	 * @return {string}
+	 */
+	getAuthorizeUrl(token: string): string;
+	/**
+	 * Exchanges the request token and verifier for an access token, the last step of the flow
+	 *
+	 * @param  {{token: string; token_secret: string}} requestToken - request token from {@link OAuth1Authorizer#getRequestToken}
+	 * @param  {string} verifier - `oauth_verifier` query parameter Tumblr redirected the user with
+	 *
+	 * @return {Promise<import('./types').OAuth1AccessToken<Client>>}
+	 */
+	getAccessToken(
+		requestToken: { token: string; token_secret: string },
+		verifier: string
+	): Promise<import("./types").OAuth1AccessToken<Client>>;
+	#private;
+}
+/**
+ * Performs the OAuth2 authorization code flow with PKCE to obtain user tokens
+ *
+ * @example
+ * const authorizer = new OAuth2Authorizer({ consumer_key, consumer_secret, redirectUri });
+ * const { authorizeUrl, state, codeVerifier } = authorizer.getAuthorizeUrl();
+ * // Redirect the user to authorizeUrl, Tumblr redirects back with `code` and `state`
+ * const { access_token, refresh_token, client } = await authorizer.getAccessToken(code, codeVerifier);
+ */
+export class OAuth2Authorizer {
+	/**
+	 * @param {import('./types').OAuth2AuthorizerOptions} options - consumer credentials and options for created clients
+	 */
+	constructor(options: import("./types").OAuth2AuthorizerOptions);
+	/**
+	 * Base URL of the authorization page
+	 * @type {string}
+	 * @readonly
+	 */
+	readonly oauthBaseUrl: string;
+	/**
+	 * Base URL of the token endpoint, the same as for API requests
+	 * @type {string}
+	 * @readonly
+	 */
+	readonly baseUrl: string;
+	/**
+	 * @type {string | undefined}
+	 * @readonly
+	 */
+	readonly redirectUri: string | undefined;
+	/**
+	 * @type {ReadonlyArray<import('./types').OAuth2Scope>}
+	 * @readonly
+	 */
+	readonly scope: ReadonlyArray<import("./types").OAuth2Scope>;
+	/**
+	 * Builds the URL to send the user to, with random `state` and PKCE challenge
+	 *
+	 * Keep `state` to check it against the one Tumblr redirects back with, and `codeVerifier` for
+	 * {@link OAuth2Authorizer#getAccessToken}.
+	 *
+	 * @param  {{state?: string; pkce?: boolean}} [params] - custom `state`, `pkce: false` to skip PKCE
+	 *
+	 * @return {import('./types').OAuth2AuthorizeRequest}
+	 */
+	getAuthorizeUrl(params?: { state?: string; pkce?: boolean }): import("./types").OAuth2AuthorizeRequest;
+	/**
+	 * Exchanges the authorization code for tokens
+	 *
+	 * @param  {string} code - `code` query parameter Tumblr redirected the user with
+	 * @param  {string} [codeVerifier] - PKCE verifier from {@link OAuth2Authorizer#getAuthorizeUrl}
+	 *
+	 * @return {Promise<import('./types').OAuth2AccessToken<Client>>}
+	 */
+	getAccessToken(code: string, codeVerifier?: string): Promise<import("./types").OAuth2AccessToken<Client>>;
+	/**
+	 * Exchanges the refresh token for new tokens
+	 *
+	 * @param  {string} refreshToken
+	 *
+	 * @return {Promise<import('./types').OAuth2Tokens>}
+	 */
+	refreshToken(refreshToken: string): Promise<import("./types").OAuth2Tokens>;
+	/**
+	 * Creates a client using stored tokens, which refreshes them when they expire
+	 *
+	 * @param  {{access_token: string; refresh_token?: string}} tokens
+	 *
+	 * @return {Client}
+	 */
+	createClient(tokens: { access_token: string; refresh_token?: string }): Client;
+	#private;
+}
+/**
+ * Sends the request over HTTP(S), the default transport
+ *
+ * @param {import('./types').MiddlewareContext} ctx
+ *
+ * @returns {Promise<import('./types').MiddlewareResponse>}
+ */
+export function httpTransport(ctx: import("./types").MiddlewareContext): Promise<import("./types").MiddlewareResponse>;
+/**
+ * Plans the fewest queue reorder calls turning the current queue order into the desired one
+ *
+ * The longest run of posts already in the desired relative order stays in place, every other post is
+ * moved right after its desired predecessor. The first desired post is moved to the top of the queue
+ * if it has to move at all. Queued posts missing from `desiredOrder` are not moved.
+ *
+ * @example
+ * planQueueReorder(['1', '2', '3', '4'], ['2', '3', '4', '1']);
+ * // [{ post_id: '1', insert_after: '4' }]
+ *
+ * @param  {ReadonlyArray<string>} currentOrder - IDs of the queued posts, next to be published first
+ * @param  {ReadonlyArray<string>} desiredOrder - IDs of queued posts in the wanted order
+ *
+ * @return {import('./types').QueueMove[]} moves to apply in order
+ */
+export function planQueueReorder(
+	currentOrder: ReadonlyArray<string>,
+	desiredOrder: ReadonlyArray<string>
+): import("./types").QueueMove[];
 /**
  * Creates a Tumblr Client
  *
@@ -364,4 +1380,25 @@ export class Client {
  * @see {@link Client}
  */
 export function createClient(options?: import("./types").Options): Client;
+import { NpfBuilder } from "./npf";
+import { npf } from "./npf";
+import { markdownToNpf } from "./npf";
+import { htmlToNpf } from "./npf";
+import { legacyToNpf } from "./npf";
+import { npfToHtml } from "./npf";
+import { npfToMarkdown } from "./npf";
+import { MemoryCacheStore } from "./cache";
+import { BulkOperations } from "./bulk";
+import { PostWatcher } from "./watch";
+export {
+	NpfBuilder,
+	npf,
+	markdownToNpf,
+	htmlToNpf,
+	legacyToNpf,
+	npfToHtml,
+	npfToMarkdown,
+	MemoryCacheStore,
+	PostWatcher
+};
 //# sourceMappingURL=tumblr.d.ts.map
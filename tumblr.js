@@ -4,761 +4,3483 @@
  */
 
 const FormData = require("form-data");
+const crypto = require("node:crypto");
 const http = require("node:http");
 const https = require("node:https");
-const { URL } = require("node:url");
+const path = require("node:path");
+const { URL, fileURLToPath } = require("node:url");
 const oauth = require("oauth");
-const { ReadStream } = require("node:fs");
+const { ReadStream, createReadStream, promises: fsPromises } = require("node:fs");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { NpfBuilder, npf, markdownToNpf, htmlToNpf, legacyToNpf, npfToHtml, npfToMarkdown } = require("./npf");
+const { responseSchemaFor, validateSchema } = require("./schemas");
+const { MemoryCacheStore, ResponseCache, normalizePath } = require("./cache");
+const { RequestScheduler, QuotaTracker, quotaActionFor } = require("./limits");
+const { BulkOperations } = require("./bulk");
+const archive = require("./archive");
+const { PostWatcher } = require("./watch");
+const schedule = require("./schedule");
 
 const API_BASE_URL = "https://api.tumblr.com"; // deliberately no trailing slash
+const OAUTH_BASE_URL = "https://www.tumblr.com";
+
+/**
+ * @typedef {import('./types').TumblrErrorDetails} TumblrErrorDetails
+ */
 
 class TumblrError extends Error {
+	name = "TumblrError";
+
+	/**
+	 * HTTP status code of the response, 0 if there was no response
+	 */
 	code = 500;
 
+	/**
+	 * `meta` object of the response
+	 * @type {Record<string, any> | null}
+	 */
+	meta = null;
+
+	/**
+	 * `errors` array of the response, with subcodes and details
+	 * @type {ReadonlyArray<import('./types').TumblrApiError>}
+	 */
+	errors = [];
+
+	/**
+	 * Headers of the response
+	 * @type {import('node:http').IncomingHttpHeaders}
+	 */
+	headers = {};
+
+	/**
+	 * Method and URL (without API key) of the failed request
+	 * @type {import('./types').TumblrErrorRequest | null}
+	 */
+	request = null;
+
 	/**
 	 * @param {number} code
 	 * @param {string} message
+	 * @param {TumblrErrorDetails} [details]
 	 */
-	constructor(code, message) {
+	constructor(code, message, details) {
 		super(message);
 		if (Number.isInteger(code)) this.code = code;
+		if (details?.meta) this.meta = details.meta;
+		if (Array.isArray(details?.errors)) this.errors = details.errors;
+		if (details?.headers) this.headers = details.headers;
+		if (details?.request) this.request = details.request;
 	}
 }
 
-class Client {
+/**
+ * Invalid or missing credentials, or not enough permissions (401, 403)
+ */
+class TumblrAuthError extends TumblrError {
+	name = "TumblrAuthError";
+}
+
+/**
+ * Requested blog, post or endpoint does not exist (404)
+ */
+class TumblrNotFoundError extends TumblrError {
+	name = "TumblrNotFoundError";
+}
+
+/**
+ * Request parameters were rejected (400)
+ */
+class TumblrValidationError extends TumblrError {
+	name = "TumblrValidationError";
+}
+
+/**
+ * Too many requests (429)
+ */
+class TumblrRateLimitError extends TumblrError {
+	name = "TumblrRateLimitError";
+
 	/**
-	 * Package version
-	 * @readonly
+	 * Delay in milliseconds the API asked to wait for with the `Retry-After` header
+	 * @type {number | null}
 	 */
-	static version = "4.2.0";
+	retryAfter = null;
 
 	/**
-	 * @typedef {import('./types').PostFormatFilter} PostFormatFilter
-	 * @typedef {Map<string, ReadonlyArray<string>|string>} RequestData
-	 * @typedef {{readonly auth:'none'}} NoneAuthCredentials
-	 * @typedef {{readonly auth:'apiKey'; readonly apiKey:string}} ApiKeyCredentials
-	 * @typedef {{readonly auth:'oauth1'; readonly consumer_key: string; readonly consumer_secret: string; readonly token: string; readonly token_secret: string }} OAuth1Credentials
-	 * @typedef {NoneAuthCredentials|ApiKeyCredentials|OAuth1Credentials} Credentials
+	 * Rate limit state from the `X-Ratelimit-*` headers of the response
+	 * @type {import('./types').RateLimitState | null}
 	 */
+	rateLimit = null;
+}
 
-	/** @type {Credentials} */
-	#credentials = { auth: "none" };
+/**
+ * Daily quota of the action is used up, the request was not sent. Thrown with the `quotas` option.
+ */
+class TumblrQuotaError extends TumblrError {
+	name = "TumblrQuotaError";
 
-	/** @type {oauth.OAuth | null} */
-	#oauthClient = null;
+	/**
+	 * Action of the request
+	 * @type {import('./types').QuotaAction}
+	 */
+	action = "posts";
 
 	/**
-	 * Creates a Tumblr API client using the given options
-	 *
-	 * @param  {import('./types').Options} [options] - client options
+	 * Quota state when the request was rejected
+	 * @type {import('./types').QuotaState | null}
 	 */
-	constructor(options) {
-		/**
-		 * Package version
-		 *
-		 * @type {typeof Client.version}
-		 * @readonly
-		 */
-		this.version = Client.version;
+	quota = null;
+}
 
-		try {
-			const url = new URL(options?.baseUrl ?? API_BASE_URL);
+/**
+ * Response body is not a valid Tumblr API JSON
+ */
+class TumblrParseError extends TumblrError {
+	name = "TumblrParseError";
 
-			if (url.pathname !== "/") {
-				throw "pathname";
-			}
+	/**
+	 * Raw response body
+	 */
+	body = "";
+}
 
-			// url.searchParams.size is buggy in node 16, we have to look at keys
-			if ([...url.searchParams.keys()].length) {
-				throw "search";
-			}
+/**
+ * Response doesn't match the expected shape, with `validateResponses` enabled
+ */
+class TumblrSchemaError extends TumblrError {
+	name = "TumblrSchemaError";
 
-			if (url.username) {
-				throw "username";
-			}
+	/**
+	 * Mismatched values with their paths
+	 * @type {ReadonlyArray<import('./types').SchemaIssue>}
+	 */
+	issues = [];
 
-			if (url.password) {
-				throw "password";
-			}
+	/**
+	 * Response data that failed the validation
+	 * @type {unknown}
+	 */
+	response;
+}
 
-			if (url.hash) {
-				throw "hash";
-			}
+/**
+ * Request failed without a response, e.g. with a socket error. Original error is in `cause`.
+ */
+class TumblrNetworkError extends TumblrError {
+	name = "TumblrNetworkError";
 
-			/**
-			 * Base URL to API requests
-			 * @type {string}
-			 * @readonly
-			 */
-			this.baseUrl = url.toString();
-		} catch (err) {
-			switch (err) {
-				case "pathname":
-					throw new TypeError("baseUrl option must not include a pathname.");
+	/** @type {Error & {code?: string}} */
+	cause;
 
-				case "search":
-					throw new TypeError("baseUrl option must not include search params (query).");
+	/**
+	 * @param {Error & {code?: string}} cause original error
+	 * @param {TumblrErrorDetails} [details]
+	 */
+	constructor(cause, details) {
+		super(0, cause.message, details);
+		this.cause = cause;
+	}
+}
 
-				case "username":
-					throw new TypeError("baseUrl option must not include username.");
+/**
+ * Request was aborted with the signal passed in request options. The abort reason is in `cause`.
+ */
+class TumblrAbortError extends TumblrError {
+	name = "TumblrAbortError";
+}
 
-				case "password":
-					throw new TypeError("baseUrl option must not include password.");
+/**
+ * Request didn't complete within the `timeout`
+ */
+class TumblrTimeoutError extends TumblrError {
+	name = "TumblrTimeoutError";
+}
 
-				case "hash":
-					throw new TypeError("baseUrl option must not include hash.");
+/**
+ * @param {AbortSignal} signal - aborted signal
+ * @param {import('./types').TumblrErrorRequest} [request]
+ *
+ * @returns {TumblrAbortError | TumblrTimeoutError} error the client aborted with, so a timeout stays a timeout
+ * for middleware, otherwise `TumblrAbortError` caused by the abort reason
+ */
+function abortErrorOf(signal, request) {
+	const reason = signal.reason;
+	if (reason instanceof TumblrAbortError || reason instanceof TumblrTimeoutError) return reason;
 
-				default:
-					throw new TypeError("Invalid baseUrl option provided.");
-			}
-		}
+	return Object.assign(new TumblrAbortError(0, "Request aborted", { request }), { cause: reason });
+}
 
-		if (options) {
-			// If we have any of the optional credentials, we should have all of them.
-			if (
-				/** @type {const} */ (["consumer_secret", "token_secret", "token"]).some((propertyName) =>
-					Object.prototype.hasOwnProperty.call(options, propertyName)
-				)
-			) {
-				if (!options.consumer_key || typeof options.consumer_key !== "string") {
-					throw new TypeError(
-						`Provide consumer_key or all oauth credentials. Invalid consumer_key provided.`
-					);
+/**
+ * @param {number} statusCode
+ *
+ * @returns {typeof TumblrError}
+ */
+function errorClassForStatus(statusCode) {
+	switch (statusCode) {
+		case 400:
+			return TumblrValidationError;
+
+		case 401:
+		case 403:
+			return TumblrAuthError;
+
+		case 404:
+			return TumblrNotFoundError;
+
+		case 429:
+			return TumblrRateLimitError;
+
+		default:
+			return TumblrError;
+	}
+}
+
+/**
+ * Request context for errors, without the API key
+ *
+ * @param {{url: URL; method: 'GET'|'POST'|'PUT'|'DELETE'}} ctx
+ *
+ * @returns {import('./types').TumblrErrorRequest}
+ */
+function requestContextOf({ url, method }) {
+	const requestUrl = new URL(url);
+	requestUrl.searchParams.delete("api_key");
+
+	return { method, url: requestUrl.toString() };
+}
+
+/**
+ * Sends the request over HTTP(S), the default transport
+ *
+ * @param {import('./types').MiddlewareContext} ctx
+ *
+ * @returns {Promise<import('./types').MiddlewareResponse>}
+ */
+function httpTransport({ url, method, headers, body: data, signal }) {
+	/** @type {(value: import('./types').MiddlewareResponse) => void} */
+	let resolve;
+	/** @type {(reason?: any) => void} */
+	let reject;
+
+	/** @type {Promise<import('./types').MiddlewareResponse>} */
+	const promise = new Promise((promiseResolve, promiseReject) => {
+		resolve = promiseResolve;
+		reject = promiseReject;
+	});
+
+	let responseData = "";
+
+	const httpModel = url.protocol === "http:" ? http : https;
+
+	const request = httpModel.request(url, { method, headers });
+
+	/** @type {FormData | undefined} */
+	let form;
+	/** @type {import('node:stream').Readable[]} */
+	const openedStreams = [];
+
+	if (data) {
+		// We use multipart/form-data if we have media to upload
+		// We may also send JSON data in a multipart/form-data JSON field
+		if (data.has("data") || data.has("data64") || data.has("json")) {
+			form = new FormData();
+
+			for (const [key, value] of data.entries()) {
+				// NPF endpoints use a special "json" field
+				if (key === "json" && typeof value === "string") {
+					form.append(key, value, { contentType: "application/json" });
+					continue;
 				}
-				if (!options.consumer_secret || typeof options.consumer_secret !== "string") {
-					throw new TypeError(
-						`Provide consumer_key or all oauth credentials. Invalid consumer_secret provided.`
-					);
+
+				if (value instanceof MediaUpload) {
+					const content = value.open();
+					if (!Buffer.isBuffer(content)) openedStreams.push(content);
+					form.append(key, content, { filename: value.filename, contentType: value.contentType });
+					continue;
 				}
-				if (!options.token || typeof options.token !== "string") {
-					throw new TypeError(`Provide consumer_key or all oauth credentials. Invalid token provided.`);
+
+				// Transform array values to our expected form-data format:
+				// key: [ 'a', 'b' ]
+				// key[0]=a
+				// key[1]=b
+				if (Array.isArray(value)) {
+					for (const [index, arrValue] of (Array.isArray(value) ? value : [value]).entries()) {
+						form.append(`${key}[${index}]`, arrValue);
+					}
+					continue;
 				}
-				if (!options.token_secret || typeof options.token_secret !== "string") {
-					throw new TypeError(
-						`Provide consumer_key or all oauth credentials. Invalid token_secret provided.`
-					);
+
+				// Some types of of values error when form-data appends them
+				// or when they're piped into the request buffer.
+				if (typeof value === "boolean") {
+					form.append(key, JSON.stringify(value));
+					continue;
 				}
 
-				this.#credentials = {
-					auth: "oauth1",
-					consumer_key: options.consumer_key,
-					consumer_secret: options.consumer_secret,
-					token: options.token,
-					token_secret: options.token_secret
-				};
+				form.append(key, value);
 			}
 
-			// consumer_key can be provided alone to use for api_key authentication
-			else if (options.consumer_key) {
-				if (typeof options.consumer_key !== "string") {
-					throw new TypeError("You must provide a consumer_key.");
-				}
-				this.#credentials = { auth: "apiKey", apiKey: options.consumer_key };
+			for (const [key, value] of Object.entries(form.getHeaders())) {
+				request.setHeader(key, value);
+			}
+
+			form.pipe(request);
+		} else {
+			// Otherwise, we'll JSON encode the body
+			const requestBody = JSON.stringify(Object.fromEntries(data.entries()));
+			request.setHeader("Content-Type", "application/json");
+			request.setHeader("Content-Length", Buffer.byteLength(requestBody));
+			request.write(requestBody);
+		}
+	}
+
+	let responseEnded = false;
+
+	request.on("response", (response) => {
+		response.setEncoding("utf8");
+
+		response.on("data", (chunk) => {
+			responseData += chunk;
+		});
+
+		response.on("end", () => {
+			if (responseEnded) return;
+			responseEnded = true;
+
+			/** @type {any} */
+			let parsedData;
+			try {
+				parsedData = JSON.parse(responseData);
+			} catch (err) {
+				parsedData = undefined;
 			}
+
+			resolve({
+				statusCode: /** @type {number} */ (response.statusCode),
+				headers: response.headers,
+				body: responseData,
+				data: parsedData
+			});
+		});
+	});
+
+	request.on("error", (e) => {
+		if (responseEnded) return;
+		responseEnded = true;
+
+		reject(new TumblrNetworkError(e, { request: requestContextOf({ url, method }) }));
+	});
+
+	const onAbort = () => {
+		if (responseEnded) return;
+		responseEnded = true;
+
+		form?.destroy();
+		// Media streams are not destroyed along with the form
+		for (const value of [...(data?.values() ?? []), ...openedStreams]) {
+			const stream = /** @type {any} */ (value);
+			if (typeof stream.destroy === "function") stream.destroy();
 		}
+		request.destroy();
 
-		/** @type {oauth.OAuth | null} */
-		this.#oauthClient =
-			this.#credentials.auth === "oauth1"
-				? new oauth.OAuth(
-						"",
-						"",
-						this.#credentials.consumer_key,
-						this.#credentials.consumer_secret,
-						"1.0",
-						null,
-						"HMAC-SHA1"
-					)
-				: null;
+		reject(abortErrorOf(signal, requestContextOf({ url, method })));
+	};
+
+	signal.addEventListener("abort", onAbort, { once: true });
+	promise.finally(() => signal.removeEventListener("abort", onAbort)).catch(() => {});
+
+	if (form) form.on("end", () => request.end());
+	else request.end();
+
+	return promise;
+}
+
+/** Size and format limits of uploaded media by kind */
+const MEDIA_LIMITS = {
+	image: { maxSize: 20 * 1024 * 1024, types: ["image/jpeg", "image/png", "image/gif", "image/webp"] },
+	video: { maxSize: 500 * 1024 * 1024, types: ["video/mp4", "video/quicktime"] },
+	audio: { maxSize: 10 * 1024 * 1024, types: ["audio/mpeg"] }
+};
+
+/** @type {Record<string, string>} */
+const MEDIA_TYPES_BY_EXTENSION = {
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".png": "image/png",
+	".gif": "image/gif",
+	".webp": "image/webp",
+	".mp4": "video/mp4",
+	".m4v": "video/mp4",
+	".mov": "video/quicktime",
+	".mp3": "audio/mpeg"
+};
+
+/**
+ * Media prepared for a multipart upload
+ */
+class MediaUpload {
+	/**
+	 * Content to upload, `null` when it's read from `path`
+	 * @type {Buffer | import('node:stream').Readable | null}
+	 */
+	data = null;
+
+	/**
+	 * File read on every attempt, so the upload can be retried
+	 * @type {string | null}
+	 */
+	path = null;
+
+	/** @type {string} */
+	filename = "";
+
+	/** @type {string} */
+	contentType = "";
+
+	/** @type {number} */
+	size = 0;
+
+	/**
+	 * @return {Buffer | import('node:stream').Readable} content for the form
+	 */
+	open() {
+		return this.path
+			? createReadStream(this.path)
+			: /** @type {Buffer | import('node:stream').Readable} */ (this.data);
+	}
+
+	/**
+	 * Whether the content can be sent again
+	 *
+	 * @type {boolean}
+	 */
+	get replayable() {
+		return Boolean(this.path) || Buffer.isBuffer(this.data);
+	}
+}
+
+/**
+ * @param {any} value
+ *
+ * @returns {boolean} whether value is something to upload, rather than an existing media object
+ */
+function isMediaSource(value) {
+	return (
+		typeof value === "string" ||
+		value instanceof URL ||
+		value instanceof Uint8Array ||
+		(typeof Blob !== "undefined" && value instanceof Blob) ||
+		typeof value?.pipe === "function"
+	);
+}
+
+/**
+ * Detects the media type from the first bytes of the content
+ *
+ * @param {Buffer} head
+ *
+ * @returns {string | null}
+ */
+function sniffMediaType(head) {
+	/**
+	 * @param {number} start
+	 * @param {number} end
+	 */
+	const ascii = (start, end) => head.subarray(start, end).toString("latin1");
+
+	if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "image/jpeg";
+	if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+	if (ascii(0, 4) === "GIF8") return "image/gif";
+	if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+	if (ascii(4, 8) === "ftyp")
+		return ascii(8, 10) === "qt" ? "video/quicktime" : ascii(8, 11) === "M4A" ? "audio/mp4" : "video/mp4";
+	if (ascii(0, 3) === "ID3" || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+
+	return null;
+}
+
+/**
+ * Reads the whole stream, failing once it's larger than the limit
+ *
+ * @param {AsyncIterable<any> & {destroy?: () => void}} stream
+ * @param {number} maxSize
+ * @param {string} description for the error message
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function readMediaStream(stream, maxSize, description) {
+	/** @type {Buffer[]} */
+	const chunks = [];
+	let size = 0;
+
+	for await (const chunk of stream) {
+		const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+		size += buffer.length;
+		if (size > maxSize) {
+			stream.destroy?.();
+			throw new RangeError(`${description} is larger than ${maxSize / 1024 / 1024} MB upload limit.`);
+		}
+		chunks.push(buffer);
+	}
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Downloads media to re-host it, following redirects
+ *
+ * @param {URL} url
+ * @param {number} maxSize
+ * @param {AbortSignal} [signal]
+ * @param {number} [redirects] - redirects left to follow
+ *
+ * @returns {Promise<{data: Buffer; contentType: string | undefined; url: URL}>}
+ */
+function downloadMedia(url, maxSize, signal, redirects = 5) {
+	return new Promise((resolve, reject) => {
+		const request = (url.protocol === "http:" ? http : https).get(url, { signal }, (response) => {
+			const statusCode = response.statusCode ?? 0;
+			const { location } = response.headers;
+
+			if (statusCode >= 300 && statusCode < 400 && location && redirects > 0) {
+				response.resume();
+				downloadMedia(new URL(location, url), maxSize, signal, redirects - 1).then(resolve, reject);
+				return;
+			}
+
+			if (statusCode < 200 || statusCode >= 300) {
+				response.resume();
+				reject(new Error(`Failed to download media from ${url.href}: HTTP ${statusCode}.`));
+				return;
+			}
+
+			if (Number(response.headers["content-length"]) > maxSize) {
+				response.destroy();
+				reject(new RangeError(`Media at ${url.href} is larger than ${maxSize / 1024 / 1024} MB upload limit.`));
+				return;
+			}
+
+			readMediaStream(response, maxSize, `Media at ${url.href}`).then(
+				(data) => resolve({ data, contentType: response.headers["content-type"]?.split(";")[0], url }),
+				reject
+			);
+		});
+
+		request.on("error", (err) => {
+			reject(signal?.aborted ? abortErrorOf(signal) : new TumblrNetworkError(err));
+		});
+	});
+}
+
+/**
+ * Reads the content of any supported media source, detects its type and checks upload limits
+ *
+ * Files, including `fs.ReadStream`s of them, are streamed from disk when uploading. Other streams, Blobs and
+ * URLs are buffered, up to the upload limit, since their type and size must be known before sending.
+ *
+ * @param {any} source - file path, `http(s)`/`file` URL, Buffer, Uint8Array, Blob or Readable
+ * @param {keyof MEDIA_LIMITS} kind
+ * @param {AbortSignal} [signal]
+ *
+ * @returns {Promise<MediaUpload>}
+ */
+async function prepareMediaUpload(source, kind, signal) {
+	const limits = MEDIA_LIMITS[kind];
+	const upload = new MediaUpload();
+	/** @type {string | undefined} */
+	let declaredType;
+	/** @type {Buffer} */
+	let head = Buffer.alloc(0);
+
+	if (typeof source === "string" && /^https?:\/\//i.test(source)) source = new URL(source);
+	if (source instanceof URL && source.protocol === "file:") source = fileURLToPath(source);
+
+	if (typeof source === "string" || (source instanceof ReadStream && typeof source.path === "string")) {
+		const filePath = String(typeof source === "string" ? source : source.path);
+		const file = await fsPromises.open(filePath, "r");
+		try {
+			upload.size = (await file.stat()).size;
+			head = (await file.read(Buffer.alloc(16), 0, 16, 0)).buffer;
+		} finally {
+			await file.close();
+		}
+
+		upload.filename = path.basename(filePath);
+		if (typeof source === "string") upload.path = filePath;
+		else upload.data = source;
+	} else if (source instanceof URL) {
+		if (source.protocol !== "http:" && source.protocol !== "https:") {
+			throw new TypeError(`Unsupported media URL protocol ${source.protocol}`);
+		}
+
+		const downloaded = await downloadMedia(source, limits.maxSize, signal);
+		upload.data = downloaded.data;
+		upload.filename = path.basename(decodeURIComponent(downloaded.url.pathname));
+		declaredType = downloaded.contentType;
+	} else if (source instanceof Uint8Array) {
+		upload.data = Buffer.from(source.buffer, source.byteOffset, source.byteLength);
+	} else if (typeof Blob !== "undefined" && source instanceof Blob) {
+		upload.data = Buffer.from(await source.arrayBuffer());
+		upload.filename = /** @type {any} */ (source).name ?? "";
+		declaredType = source.type;
+	} else if (typeof source?.[Symbol.asyncIterator] === "function") {
+		upload.data = await readMediaStream(source, limits.maxSize, `${kind} stream`);
+		upload.filename = typeof source.path === "string" ? path.basename(source.path) : "";
+	} else {
+		throw new TypeError("Unsupported media source. Use a file path, URL, Buffer, Blob or Readable stream.");
+	}
+
+	if (Buffer.isBuffer(upload.data)) {
+		upload.size = upload.data.length;
+		head = upload.data;
+	}
+
+	upload.contentType =
+		sniffMediaType(head) ??
+		(declaredType && declaredType !== "application/octet-stream" ? declaredType : undefined) ??
+		MEDIA_TYPES_BY_EXTENSION[path.extname(upload.filename).toLowerCase()] ??
+		"application/octet-stream";
+
+	const description = upload.filename ? `Media ${upload.filename}` : `${kind[0].toUpperCase()}${kind.slice(1)}`;
+
+	if (!limits.types.includes(upload.contentType)) {
+		throw new TypeError(
+			`${description} has unsupported type ${upload.contentType}, ${kind} uploads must be ${limits.types.join(", ")}.`
+		);
+	}
+
+	if (upload.size > limits.maxSize) {
+		throw new RangeError(
+			`${description} is ${(upload.size / 1024 / 1024).toFixed(1)} MB, larger than ${limits.maxSize / 1024 / 1024} MB upload limit.`
+		);
+	}
+
+	if (!upload.filename) {
+		const extension = Object.keys(MEDIA_TYPES_BY_EXTENSION).find(
+			(key) => MEDIA_TYPES_BY_EXTENSION[key] === upload.contentType
+		);
+		upload.filename = `${kind}${extension}`;
+	}
+
+	return upload;
+}
+
+/**
+ * Delay before posting again after a rate limit error without a reset time
+ */
+const POSTING_LIMIT_RETRY_DELAY = 15 * 60 * 1000;
+
+/**
+ * How long to wait before posting again after hitting a limit
+ *
+ * @param {unknown} err
+ *
+ * @returns {number | null} milliseconds, `null` if the error is not about a limit
+ */
+function postingLimitDelay(err) {
+	if (err instanceof TumblrQuotaError) return Math.max((err.quota?.resetAt.getTime() ?? 0) - Date.now(), 0);
+
+	if (err instanceof TumblrRateLimitError) {
+		if (err.retryAfter !== null) return err.retryAfter;
+
+		const exhausted = [err.rateLimit?.perHour, err.rateLimit?.perDay].find((window) => window?.remaining === 0);
+		return exhausted ? exhausted.reset * 1000 : POSTING_LIMIT_RETRY_DELAY;
+	}
+
+	return null;
+}
+
+/**
+ * Maximum number of blogs the bulk block endpoint accepts at once
+ */
+const BULK_BLOCK_LIMIT = 100;
+
+/** @type {Required<import('./types').RetryOptions>} */
+const DEFAULT_RETRY_OPTIONS = {
+	maxAttempts: 3,
+	baseDelay: 1000,
+	maxDelay: 30000,
+	jitter: true,
+	statuses: [408, 429, 500, 502, 503, 504],
+	errorCodes: ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"],
+	// POST requests are not idempotent, e.g. retrying createPost may create the post twice
+	methods: ["GET", "PUT", "DELETE"]
+};
+
+/**
+ * Parses `Retry-After` header value, either delay in seconds or HTTP date
+ *
+ * @param {string | string[] | undefined} header
+ *
+ * @returns {number | null} delay in milliseconds
+ */
+function parseRetryAfter(header) {
+	if (typeof header !== "string" || !header) return null;
+
+	const seconds = Number(header);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+	const date = Date.parse(header);
+	if (Number.isNaN(date)) return null;
+
+	return Math.max(0, date - Date.now());
+}
+
+/**
+ * @typedef {(query: Record<string, any>, items: any[], response: any) => Record<string, any> | null} PageCursor
+ * Computes query params for the next page from the current one, `null` means there are no more pages
+ */
+
+/**
+ * Cursors for the different pagination styles of Tumblr API list endpoints
+ * @type {Record<'offset'|'likedTimestamp'|'beforeId'|'timestamp'|'beforeTimestamp', PageCursor>}
+ */
+const PAGE_CURSORS = {
+	offset: (query, items, response) => {
+		const offset = (Number(query.offset) || 0) + items.length;
+		const total = response?.total_posts ?? response?.total_users ?? response?.total_blogs;
+
+		if (Number.isInteger(total) && offset >= total) return null;
+
+		return { offset };
+	},
+	likedTimestamp: (_query, items) => {
+		const last = items[items.length - 1];
+
+		return last?.liked_timestamp ? { offset: undefined, after: undefined, before: last.liked_timestamp } : null;
+	},
+	beforeId: (_query, items) => {
+		const last = items[items.length - 1];
+		const id = last?.id_string ?? last?.id;
+
+		return id ? { before_id: id } : null;
+	},
+	timestamp: (_query, items) => {
+		const last = items[items.length - 1];
+
+		return last?.timestamp ? { before: last.timestamp } : null;
+	},
+	beforeTimestamp: (_query, items) => {
+		const last = items[items.length - 1];
+
+		return last?.timestamp ? { before_timestamp: last.timestamp } : null;
+	}
+};
+
+/**
+ * Plans the fewest queue reorder calls turning the current queue order into the desired one
+ *
+ * The longest run of posts already in the desired relative order stays in place, every other post is
+ * moved right after its desired predecessor. The first desired post is moved to the top of the queue
+ * if it has to move at all. Queued posts missing from `desiredOrder` are not moved.
+ *
+ * @example
+ * planQueueReorder(['1', '2', '3', '4'], ['2', '3', '4', '1']);
+ * // [{ post_id: '1', insert_after: '4' }]
+ *
+ * @param  {ReadonlyArray<string>} currentOrder - IDs of the queued posts, next to be published first
+ * @param  {ReadonlyArray<string>} desiredOrder - IDs of queued posts in the wanted order
+ *
+ * @return {import('./types').QueueMove[]} moves to apply in order
+ */
+function planQueueReorder(currentOrder, desiredOrder) {
+	const positions = new Map(currentOrder.map((id, index) => [String(id), index]));
+	const desired = desiredOrder.map(String);
+
+	if (new Set(desired).size !== desired.length) {
+		throw new TypeError("Desired queue order has duplicate post IDs");
+	}
+	const missing = desired.find((id) => !positions.has(id));
+	if (missing !== undefined) {
+		throw new TypeError(`Post ${missing} is not in the queue`);
+	}
+
+	// Longest increasing subsequence of queue positions in the desired order
+	const sequence = desired.map((id) => /** @type {number} */ (positions.get(id)));
+	/** @type {number[]} index of the smallest tail for every subsequence length */
+	const tails = [];
+	/** @type {number[]} */
+	const previous = [];
+
+	for (const [index, position] of sequence.entries()) {
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (sequence[tails[middle]] < position) low = middle + 1;
+			else high = middle;
+		}
+
+		previous[index] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = index;
+	}
+
+	const kept = new Set();
+	for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+		kept.add(index);
+	}
+
+	/** @type {import('./types').QueueMove[]} */
+	const moves = [];
+	for (const [index, id] of desired.entries()) {
+		if (!kept.has(index)) moves.push({ post_id: id, insert_after: index === 0 ? "0" : desired[index - 1] });
+	}
+
+	return moves;
+}
+
+class Client {
+	/**
+	 * Package version
+	 * @readonly
+	 */
+	static version = "4.2.0";
+
+	/**
+	 * @typedef {import('./types').PostFormatFilter} PostFormatFilter
+	 * @typedef {Map<string, ReadonlyArray<string>|string>} RequestData
+	 * @typedef {{readonly auth:'none'}} NoneAuthCredentials
+	 * @typedef {{readonly auth:'apiKey'; readonly apiKey:string}} ApiKeyCredentials
+	 * @typedef {{readonly auth:'oauth1'; readonly consumer_key: string; readonly consumer_secret: string; readonly token: string; readonly token_secret: string }} OAuth1Credentials
+	 * @typedef {{readonly auth:'oauth2'; readonly access_token: string; readonly refresh_token?: string; readonly consumer_key?: string; readonly consumer_secret?: string }} OAuth2Credentials
+	 * @typedef {NoneAuthCredentials|ApiKeyCredentials|OAuth1Credentials|OAuth2Credentials} Credentials
+	 */
+
+	/** @type {Credentials} */
+	#credentials = { auth: "none" };
+
+	/** @type {oauth.OAuth | null} */
+	#oauthClient = null;
+
+	/** @type {import('./types').RetryOptions | false} */
+	#retryOptions = {};
+
+	/** @type {number | null} */
+	#timeout = null;
+
+	#validateResponses = false;
+
+	/** @type {ResponseCache | null} */
+	#cache = null;
+
+	/** @type {RequestScheduler | null} */
+	#scheduler = null;
+
+	/** @type {Required<import('./types').QuotaOptions> | null} */
+	#quotaOptions = null;
+
+	/** @type {import('./types').Middleware[]} */
+	#middleware = [];
+
+	/** @type {import('./types').Transport} */
+	#transport = httpTransport;
+
+	/** @type {((tokens: import('./types').OAuth2Tokens) => void | Promise<void>) | null} */
+	#onTokenRefresh = null;
+
+	/** @type {Promise<import('./types').OAuth2Tokens> | null} */
+	#tokenRefresh = null;
+
+	/** @type {import('./types').RateLimitState | null} */
+	#rateLimit = null;
+
+	/**
+	 * Creates a Tumblr API client using the given options
+	 *
+	 * @param  {import('./types').Options} [options] - client options
+	 */
+	constructor(options) {
+		/**
+		 * Package version
+		 *
+		 * @type {typeof Client.version}
+		 * @readonly
+		 */
+		this.version = Client.version;
+
+		/**
+		 * Bulk edits and deletions of posts, emitting `progress` events
+		 *
+		 * @type {BulkOperations}
+		 * @readonly
+		 */
+		this.bulk = new BulkOperations(this);
+
+		try {
+			const url = new URL(options?.baseUrl ?? API_BASE_URL);
+
+			if (url.pathname !== "/") {
+				throw "pathname";
+			}
+
+			// url.searchParams.size is buggy in node 16, we have to look at keys
+			if ([...url.searchParams.keys()].length) {
+				throw "search";
+			}
+
+			if (url.username) {
+				throw "username";
+			}
+
+			if (url.password) {
+				throw "password";
+			}
+
+			if (url.hash) {
+				throw "hash";
+			}
+
+			/**
+			 * Base URL to API requests
+			 * @type {string}
+			 * @readonly
+			 */
+			this.baseUrl = url.toString();
+		} catch (err) {
+			switch (err) {
+				case "pathname":
+					throw new TypeError("baseUrl option must not include a pathname.");
+
+				case "search":
+					throw new TypeError("baseUrl option must not include search params (query).");
+
+				case "username":
+					throw new TypeError("baseUrl option must not include username.");
+
+				case "password":
+					throw new TypeError("baseUrl option must not include password.");
+
+				case "hash":
+					throw new TypeError("baseUrl option must not include hash.");
+
+				default:
+					throw new TypeError("Invalid baseUrl option provided.");
+			}
+		}
+
+		if (options) {
+			// access_token switches to OAuth2, consumer credentials are only needed to refresh it
+			if (Object.prototype.hasOwnProperty.call(options, "access_token")) {
+				if (!options.access_token || typeof options.access_token !== "string") {
+					throw new TypeError("Invalid access_token provided.");
+				}
+				if (options.token || options.token_secret) {
+					throw new TypeError("Provide either OAuth1 or OAuth2 credentials, not both.");
+				}
+				if (options.refresh_token !== undefined) {
+					if (!options.refresh_token || typeof options.refresh_token !== "string") {
+						throw new TypeError("Invalid refresh_token provided.");
+					}
+					if (typeof options.consumer_key !== "string" || typeof options.consumer_secret !== "string") {
+						throw new TypeError("Provide consumer_key and consumer_secret to refresh OAuth2 tokens.");
+					}
+				}
+				if (options.onTokenRefresh !== undefined && typeof options.onTokenRefresh !== "function") {
+					throw new TypeError("onTokenRefresh option must be a function.");
+				}
+
+				this.#credentials = {
+					auth: "oauth2",
+					access_token: options.access_token,
+					refresh_token: options.refresh_token,
+					consumer_key: options.consumer_key,
+					consumer_secret: options.consumer_secret
+				};
+				this.#onTokenRefresh = options.onTokenRefresh ?? null;
+			}
+
+			// If we have any of the optional credentials, we should have all of them.
+			else if (
+				/** @type {const} */ (["consumer_secret", "token_secret", "token"]).some((propertyName) =>
+					Object.prototype.hasOwnProperty.call(options, propertyName)
+				)
+			) {
+				if (!options.consumer_key || typeof options.consumer_key !== "string") {
+					throw new TypeError(
+						`Provide consumer_key or all oauth credentials. Invalid consumer_key provided.`
+					);
+				}
+				if (!options.consumer_secret || typeof options.consumer_secret !== "string") {
+					throw new TypeError(
+						`Provide consumer_key or all oauth credentials. Invalid consumer_secret provided.`
+					);
+				}
+				if (!options.token || typeof options.token !== "string") {
+					throw new TypeError(`Provide consumer_key or all oauth credentials. Invalid token provided.`);
+				}
+				if (!options.token_secret || typeof options.token_secret !== "string") {
+					throw new TypeError(
+						`Provide consumer_key or all oauth credentials. Invalid token_secret provided.`
+					);
+				}
+
+				this.#credentials = {
+					auth: "oauth1",
+					consumer_key: options.consumer_key,
+					consumer_secret: options.consumer_secret,
+					token: options.token,
+					token_secret: options.token_secret
+				};
+			}
+
+			// consumer_key can be provided alone to use for api_key authentication
+			else if (options.consumer_key) {
+				if (typeof options.consumer_key !== "string") {
+					throw new TypeError("You must provide a consumer_key.");
+				}
+				this.#credentials = { auth: "apiKey", apiKey: options.consumer_key };
+			}
+		}
+
+		if (options?.timeout !== undefined) {
+			if (typeof options.timeout !== "number" || !(options.timeout > 0)) {
+				throw new TypeError("timeout option must be a positive number of milliseconds.");
+			}
+			this.#timeout = options.timeout;
+		}
+
+		if (options?.validateResponses !== undefined) {
+			if (typeof options.validateResponses !== "boolean") {
+				throw new TypeError("validateResponses option must be a boolean.");
+			}
+			this.#validateResponses = options.validateResponses;
+		}
+
+		if (options?.cache !== undefined && options.cache !== false) {
+			if (options.cache !== true && (typeof options.cache !== "object" || options.cache === null)) {
+				throw new TypeError("cache option must be a boolean or an object.");
+			}
+			this.#cache = new ResponseCache(options.cache === true ? {} : options.cache);
+		}
+
+		if (options?.scheduler !== undefined) {
+			if (typeof options.scheduler !== "object" || options.scheduler === null) {
+				throw new TypeError("scheduler option must be an object.");
+			}
+			this.#scheduler = new RequestScheduler(options.scheduler);
+		}
+
+		if (options?.quotas !== undefined && options.quotas !== false) {
+			if (options.quotas !== true && (typeof options.quotas !== "object" || options.quotas === null)) {
+				throw new TypeError("quotas option must be a boolean or an object.");
+			}
+			const { whenExhausted = "reject" } = options.quotas === true ? {} : options.quotas;
+			if (whenExhausted !== "reject" && whenExhausted !== "wait") {
+				throw new TypeError('quotas whenExhausted option must be "reject" or "wait".');
+			}
+			this.#quotaOptions = { whenExhausted };
+		}
+
+		if (options?.transport !== undefined) {
+			if (typeof options.transport !== "function") {
+				throw new TypeError("transport option must be a function.");
+			}
+			this.#transport = options.transport;
+		}
+
+		if (options?.retry !== undefined) {
+			if (options.retry !== false && (typeof options.retry !== "object" || options.retry === null)) {
+				throw new TypeError("retry option must be an object or false.");
+			}
+			this.#retryOptions = options.retry;
+		}
+
+		/** @type {oauth.OAuth | null} */
+		this.#oauthClient =
+			this.#credentials.auth === "oauth1"
+				? new oauth.OAuth(
+						"",
+						"",
+						this.#credentials.consumer_key,
+						this.#credentials.consumer_secret,
+						"1.0",
+						null,
+						"HMAC-SHA1"
+					)
+				: null;
+	}
+
+	/**
+	 * Performs a GET request
+	 *
+	 * @template {any} T
+	 * @param  {string} apiPath - URL path for the request
+	 * @param  {Record<string, any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	getRequest(apiPath, params, requestOptions) {
+		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "GET", params);
+
+		return this.#makeRequest(url, "GET", requestData, requestOptions);
+	}
+
+	/**
+	 * Last rate limit state reported by the API with `X-Ratelimit-*` headers
+	 *
+	 * @type {import('./types').RateLimitState | null}
+	 */
+	get rateLimit() {
+		return this.#rateLimit;
+	}
+
+	/**
+	 * Daily quotas tracked with the `quotas` option, `null` if they are not tracked or not seeded yet
+	 *
+	 * Quotas are shared by all clients with the same credentials and `baseUrl`.
+	 *
+	 * @type {Partial<Record<import('./types').QuotaAction, import('./types').QuotaState>> | null}
+	 */
+	get quotas() {
+		if (!this.#quotaOptions || (this.#credentials.auth !== "oauth1" && this.#credentials.auth !== "oauth2")) {
+			return null;
+		}
+
+		const tracker = QuotaTracker.for(`${this.baseUrl}#${this.#credentialsIdentity()}`);
+		return tracker.seeded ? tracker.state : null;
+	}
+
+	/**
+	 * Sends the request through the cache: GET responses are served from it, writes invalidate it
+	 *
+	 * @template T
+	 *
+	 * @param {URL} url
+	 * @param {'GET'|'POST'|'PUT'|'DELETE'} method request method
+	 * @param {RequestData | null} data
+	 * @param {import('./types').RequestOptions} [requestOptions]
+	 *
+	 * @returns {Promise<T>}
+	 */
+	async #makeRequest(url, method, data, requestOptions) {
+		const cache = this.#cache;
+		if (!cache) return this.#sendRequest(url, method, data, requestOptions);
+
+		if (method !== "GET") {
+			try {
+				return await this.#sendRequest(url, method, data, requestOptions);
+			} finally {
+				// Failed writes may still have changed something
+				await cache.invalidateAfterWrite(url, data);
+			}
+		}
+
+		if (requestOptions?.cache === false) return this.#sendRequest(url, method, data, requestOptions);
+
+		// A shared request fails for everyone with the abort, timeout or retry policy of its first caller
+		const { signal, timeout, retry, validate } = requestOptions ?? {};
+		const shared = [signal, timeout, retry, validate].every((option) => option === undefined);
+
+		return cache.fetch(
+			url,
+			this.#credentialsIdentity(),
+			() => this.#sendRequest(url, method, data, requestOptions),
+			shared
+		);
+	}
+
+	/**
+	 * Hash of the credentials, responses and quotas of different users are kept separately
+	 *
+	 * @returns {string}
+	 */
+	#credentialsIdentity() {
+		const credentials = this.#credentials;
+		const secret =
+			credentials.auth === "oauth1"
+				? credentials.token
+				: credentials.auth === "oauth2"
+					? (credentials.refresh_token ?? credentials.access_token)
+					: credentials.auth === "apiKey"
+						? credentials.apiKey
+						: "";
+
+		return crypto.createHash("sha256").update(`${credentials.auth}:${secret}`).digest("hex").slice(0, 16);
+	}
+
+	/**
+	 * Deletes cached responses of requests with paths starting with the prefix, all of them by default
+	 *
+	 * Responses are invalidated after write requests automatically, this is for changes made elsewhere.
+	 *
+	 * @example
+	 * await client.invalidateCache(`/v2/blog/${blogName}/`);
+	 *
+	 * @param  {string} [pathPrefix] - API path prefix, e.g. `/v2/blog/staff/`
+	 *
+	 * @return {Promise<void>}
+	 */
+	async invalidateCache(pathPrefix = "/") {
+		await this.#cache?.invalidate([normalizePath(pathPrefix)]);
+	}
+
+	/**
+	 * Sends the request, retrying it according to the retry policy
+	 *
+	 * @template T
+	 *
+	 * @param {URL} url
+	 * @param {'GET'|'POST'|'PUT'|'DELETE'} method request method
+	 * @param {RequestData | null} data
+	 * @param {import('./types').RequestOptions} [requestOptions]
+	 *
+	 * @returns {Promise<T>}
+	 */
+	async #sendRequest(url, method, data, requestOptions) {
+		const retryPolicy = this.#resolveRetryPolicy(method, data, requestOptions?.retry);
+		const schema =
+			(requestOptions?.validate ?? this.#validateResponses) ? responseSchemaFor(method, url.pathname) : null;
+
+		const requestContext = requestContextOf({ url, method });
+
+		const timeout = requestOptions?.timeout ?? this.#timeout;
+		const userSignal = requestOptions?.signal;
+		const controller = new AbortController();
+		/** @type {TumblrAbortError | TumblrTimeoutError | null} */
+		let abortError = null;
+
+		const onAbort = () => {
+			abortError = new TumblrAbortError(0, "Request aborted", { request: requestContext });
+			abortError.cause = userSignal?.reason;
+			controller.abort(abortError);
+		};
+
+		if (userSignal?.aborted) {
+			onAbort();
+			throw abortError;
+		}
+
+		userSignal?.addEventListener("abort", onAbort, { once: true });
+
+		const timer =
+			timeout && timeout !== Infinity
+				? setTimeout(() => {
+						abortError = new TumblrTimeoutError(0, `Request timed out after ${timeout} ms`, {
+							request: requestContext
+						});
+						controller.abort(abortError);
+					}, timeout)
+				: null;
+
+		/** @type {import('./limits').QuotaReservation | null} */
+		let reservation = null;
+
+		try {
+			reservation = await this.#reserveQuota(url, method, requestContext, controller.signal);
+			const result = await this.#attemptRequest(url, method, data, retryPolicy, schema, controller.signal);
+			reservation?.commit();
+
+			return result;
+		} catch (err) {
+			reservation?.release();
+			throw abortError ?? err;
+		} finally {
+			if (timer) clearTimeout(timer);
+			userSignal?.removeEventListener("abort", onAbort);
+		}
+	}
+
+	/**
+	 * Reserves the daily quota of a counted write action, seeding quotas from `/v2/user/limits` when needed
+	 *
+	 * @param {URL} url
+	 * @param {'GET'|'POST'|'PUT'|'DELETE'} method request method
+	 * @param {import('./types').TumblrErrorRequest} requestContext
+	 * @param {AbortSignal} signal aborts waiting for the quota reset
+	 *
+	 * @returns {Promise<import('./limits').QuotaReservation | null>} `null` if the request is not counted
+	 */
+	async #reserveQuota(url, method, requestContext, signal) {
+		const action = this.#quotaOptions ? quotaActionFor(method, url.pathname) : null;
+		if (!action || (this.#credentials.auth !== "oauth1" && this.#credentials.auth !== "oauth2")) return null;
+
+		const tracker = QuotaTracker.for(`${this.baseUrl}#${this.#credentialsIdentity()}`);
+
+		for (;;) {
+			if (tracker.stale) await tracker.seed(() => this.userLimits({ cache: false }));
+
+			const reservation = tracker.reserve(action);
+			if (reservation) return reservation;
+
+			const quota = /** @type {import('./types').QuotaState} */ (tracker.get(action));
+			if (this.#quotaOptions?.whenExhausted !== "wait") {
+				const error = new TumblrQuotaError(
+					0,
+					`Daily ${action} quota of ${quota.limit} is used up until ${quota.resetAt.toISOString()}`,
+					{ request: requestContext }
+				);
+				error.action = action;
+				error.quota = quota;
+				throw error;
+			}
+
+			// Reserved actions may still fail and free the quota, so the wait is capped
+			await sleep(Math.min(Math.max(quota.resetAt.getTime() - Date.now(), 1000), 60 * 1000), undefined, {
+				signal
+			});
+		}
+	}
+
+	/**
+	 * Sends the request until it succeeds or retries run out
+	 *
+	 * @param {URL} url
+	 * @param {'GET'|'POST'|'PUT'|'DELETE'} method request method
+	 * @param {RequestData | null} data
+	 * @param {RetryPolicy | null} retryPolicy
+	 * @param {ResponseSchema | null} schema expected shape of the response data
+	 * @param {AbortSignal} signal aborts the request and delays between attempts
+	 *
+	 * @returns {Promise<any>}
+	 */
+	async #attemptRequest(url, method, data, retryPolicy, schema, signal) {
+		let tokenRefreshed = false;
+
+		for (let attempt = 1; ; attempt++) {
+			const accessToken = this.#credentials.auth === "oauth2" ? this.#credentials.access_token : null;
+
+			/** @type {import('./types').MiddlewareContext} */
+			const ctx = {
+				url: new URL(url),
+				method,
+				headers: {
+					"User-Agent": "tumblr.js/" + Client.version,
+					Accept: "application/json"
+				},
+				body: data,
+				attempt,
+				signal
+			};
+
+			/** @type {ResponseContext} */
+			let response;
+			try {
+				response = await (this.#scheduler
+					? this.#scheduler.run(() => this.#runMiddleware(ctx), signal)
+					: this.#runMiddleware(ctx));
+			} catch (err) {
+				if (signal.aborted) throw err;
+
+				const delay =
+					retryPolicy && attempt < retryPolicy.maxAttempts && this.#retryDelay(retryPolicy, attempt, err);
+				if (typeof delay !== "number") throw err;
+
+				await sleep(delay, undefined, { signal });
+				continue;
+			}
+
+			this.#updateRateLimit(response.headers);
+
+			// Expired OAuth2 token is refreshed once per request, this attempt doesn't count as a retry
+			if (response.statusCode === 401 && accessToken && !tokenRefreshed && this.#canRefreshToken()) {
+				tokenRefreshed = true;
+				attempt--;
+
+				// Another request could have refreshed the token in the meantime
+				if (this.#credentials.auth === "oauth2" && this.#credentials.access_token === accessToken) {
+					await this.refreshAccessToken();
+				}
+				continue;
+			}
+
+			if (
+				retryPolicy &&
+				attempt < retryPolicy.maxAttempts &&
+				retryPolicy.statuses.includes(response.statusCode)
+			) {
+				const delay = this.#retryDelay(retryPolicy, attempt, null, response);
+				if (typeof delay === "number") {
+					await sleep(delay, undefined, { signal });
+					continue;
+				}
+			}
+
+			return this.#parseResponse(response, requestContextOf(ctx), schema);
+		}
+	}
+
+	/**
+	 * @typedef {import('./types').MiddlewareResponse} ResponseContext
+	 * @typedef {Required<Omit<import('./types').RetryOptions, 'methods'>>} RetryPolicy
+	 * @typedef {NonNullable<ReturnType<typeof responseSchemaFor>>} ResponseSchema
+	 */
+
+	/**
+	 * Merges client and per-request retry options. Returns `null` if the request must not be retried.
+	 *
+	 * @param {'GET'|'POST'|'PUT'|'DELETE'} method request method
+	 * @param {RequestData | null} data
+	 * @param {import('./types').RetryOptions | false} [requestRetry]
+	 *
+	 * @returns {RetryPolicy | null}
+	 */
+	#resolveRetryPolicy(method, data, requestRetry) {
+		if (this.#retryOptions === false || requestRetry === false) return null;
+
+		const { methods, ...policy } = { ...DEFAULT_RETRY_OPTIONS, ...this.#retryOptions, ...requestRetry };
+		if (!methods.includes(method) || policy.maxAttempts <= 1) return null;
+
+		// Streamed uploads are consumed by the first attempt and can't be sent again
+		if (
+			data &&
+			[...data.values()].some((value) =>
+				value instanceof MediaUpload
+					? !value.replayable
+					: typeof (/** @type {any} */ (value)?.pipe) === "function"
+			)
+		) {
+			return null;
+		}
+
+		return policy;
+	}
+
+	/**
+	 * Computes the delay before the next attempt. Returns `null` if the request must not be retried.
+	 *
+	 * @param {RetryPolicy} policy
+	 * @param {number} attempt number of the failed attempt, starting at 1
+	 * @param {unknown} error error of the failed attempt
+	 * @param {ResponseContext} [response] response of the failed attempt
+	 *
+	 * @returns {number | null}
+	 */
+	#retryDelay(policy, attempt, error, response) {
+		if (!response) {
+			return error instanceof TumblrNetworkError && policy.errorCodes.includes(error.cause?.code ?? "")
+				? this.#backoffDelay(policy, attempt)
+				: null;
+		}
+
+		const retryAfter = parseRetryAfter(response.headers["retry-after"]);
+		if (retryAfter !== null) return retryAfter <= policy.maxDelay ? retryAfter : null;
+
+		if (response.statusCode === 429) {
+			// Without Retry-After, wait for the exhausted rate limit window to reset
+			const exhausted = [this.#rateLimit?.perHour, this.#rateLimit?.perDay].find(
+				(window) => window && window.remaining === 0 && Number.isFinite(window.reset)
+			);
+			if (exhausted) {
+				const delay = exhausted.reset * 1000;
+				return delay <= policy.maxDelay ? delay : null;
+			}
+		}
+
+		return this.#backoffDelay(policy, attempt);
+	}
+
+	/**
+	 * Exponential backoff with optional full jitter
+	 *
+	 * @param {RetryPolicy} policy
+	 * @param {number} attempt number of the failed attempt, starting at 1
+	 *
+	 * @returns {number}
+	 */
+	#backoffDelay(policy, attempt) {
+		const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+
+		return policy.jitter ? Math.round(Math.random() * delay) : delay;
+	}
+
+	/**
+	 * @param {import('node:http').IncomingHttpHeaders} headers
+	 */
+	#updateRateLimit(headers) {
+		/**
+		 * @param {string} window
+		 * @returns {import('./types').RateLimitWindow | undefined}
+		 */
+		const readWindow = (window) => {
+			const limit = Number(headers[`x-ratelimit-${window}-limit`]);
+			const remaining = Number(headers[`x-ratelimit-${window}-remaining`]);
+			const reset = Number(headers[`x-ratelimit-${window}-reset`]);
+
+			if (Number.isNaN(limit) && Number.isNaN(remaining)) return undefined;
+
+			return { limit, remaining, reset };
+		};
+
+		const perDay = readWindow("perday");
+		const perHour = readWindow("perhour");
+		if (!perDay && !perHour) return;
+
+		this.#rateLimit = { perDay, perHour, updatedAt: new Date() };
+	}
+
+	/**
+	 * Turns raw response into response data or throws an error
+	 *
+	 * @param {ResponseContext} response
+	 * @param {import('./types').TumblrErrorRequest} request failed request context for errors
+	 * @param {ResponseSchema | null} [schema] expected shape of the response data
+	 *
+	 * @returns {any}
+	 */
+	#parseResponse({ statusCode, headers, body, data: parsedData }, request, schema) {
+		if (parsedData === undefined) {
+			const error = new TumblrParseError(statusCode, `Cannot parse Tumblr JSON: ${body}`, { headers, request });
+			error.body = body;
+			throw error;
+		}
+
+		/** @type {TumblrErrorDetails} */
+		const details = { meta: parsedData?.meta, errors: parsedData?.errors, headers, request };
+
+		if (Number.isInteger(statusCode) && (statusCode < 200 || statusCode > 399)) {
+			const errString = parsedData?.meta?.msg ?? parsedData?.error ?? "Unknown error";
+			const ErrorClass = errorClassForStatus(statusCode);
+			const error = new ErrorClass(statusCode, errString, details);
+
+			if (error instanceof TumblrRateLimitError) {
+				error.retryAfter = parseRetryAfter(headers["retry-after"]);
+				error.rateLimit = this.#rateLimit;
+			}
+
+			throw error;
+		}
+
+		if (parsedData?.response) {
+			const issues = schema ? validateSchema(schema, parsedData.response) : [];
+			if (!issues.length) return parsedData.response;
+
+			const shown = issues
+				.slice(0, 3)
+				.map(({ path, message }) => `${path}: ${message}`)
+				.join("; ");
+			const more = issues.length > 3 ? ` and ${issues.length - 3} more` : "";
+			const error = new TumblrSchemaError(
+				statusCode,
+				`Unexpected response of ${request.method} ${new URL(request.url).pathname}: ${shown}${more}`,
+				details
+			);
+			error.issues = issues;
+			error.response = parsedData.response;
+			throw error;
+		}
+
+		const error = new TumblrParseError(
+			statusCode,
+			`Cannot read Tumblr JSON: ${JSON.stringify(body, null, 2)}`,
+			details
+		);
+		error.body = body;
+		throw error;
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	#canRefreshToken() {
+		return Boolean(
+			this.#credentials.auth === "oauth2" &&
+			this.#credentials.refresh_token &&
+			this.#credentials.consumer_key &&
+			this.#credentials.consumer_secret
+		);
+	}
+
+	/**
+	 * Exchanges the OAuth2 refresh token for a new access token and uses it for next requests
+	 *
+	 * Called automatically when a request fails with 401. Concurrent calls share a single token request.
+	 *
+	 * @return {Promise<import('./types').OAuth2Tokens>}
+	 */
+	refreshAccessToken() {
+		if (!this.#tokenRefresh) {
+			this.#tokenRefresh = this.#refreshAccessToken().finally(() => {
+				this.#tokenRefresh = null;
+			});
+		}
+
+		return this.#tokenRefresh;
+	}
+
+	/**
+	 * @return {Promise<import('./types').OAuth2Tokens>}
+	 */
+	async #refreshAccessToken() {
+		const credentials = this.#credentials;
+		if (credentials.auth !== "oauth2" || !this.#canRefreshToken()) {
+			throw new TypeError(
+				"Client needs OAuth2 refresh_token, consumer_key and consumer_secret to refresh tokens."
+			);
+		}
+
+		const tokens = await requestOAuth2Token(this.baseUrl, {
+			grant_type: "refresh_token",
+			refresh_token: /** @type {string} */ (credentials.refresh_token),
+			client_id: /** @type {string} */ (credentials.consumer_key),
+			client_secret: /** @type {string} */ (credentials.consumer_secret)
+		});
+
+		this.#credentials = {
+			...credentials,
+			access_token: tokens.access_token,
+			// Refresh token may be rotated
+			refresh_token: tokens.refresh_token ?? credentials.refresh_token
+		};
+
+		if (this.#onTokenRefresh) await this.#onTokenRefresh(tokens);
+
+		return tokens;
+	}
+
+	/**
+	 * Adds a middleware to the request pipeline
+	 *
+	 * Middlewares run in the order they were added, on every attempt of every request. Before calling
+	 * `next()` they see and may change the prepared `ctx.url`, `ctx.method`, `ctx.headers` and `ctx.body`.
+	 * After `next()` resolves, `ctx.response` holds the status, headers and parsed body. A middleware
+	 * may also set `ctx.response` itself without calling `next()`.
+	 *
+	 * Built-in authentication (API key or OAuth) is the last middleware, right before sending.
+	 *
+	 * @example
+	 * client.use(async (ctx, next) => {
+	 *   const start = Date.now();
+	 *   await next();
+	 *   console.log(ctx.method, ctx.url.pathname, ctx.response?.statusCode, Date.now() - start);
+	 * });
+	 *
+	 * @param  {import('./types').Middleware} middleware
+	 *
+	 * @return {this}
+	 */
+	use(middleware) {
+		if (typeof middleware !== "function") {
+			throw new TypeError("Middleware must be a function.");
+		}
+
+		this.#middleware.push(middleware);
+		return this;
+	}
+
+	/**
+	 * Passes the context through middlewares and sends the request
+	 *
+	 * @param {import('./types').MiddlewareContext} ctx
+	 *
+	 * @returns {Promise<ResponseContext>}
+	 */
+	async #runMiddleware(ctx) {
+		const chain = [...this.#middleware, this.#authenticate];
+
+		/**
+		 * @param {number} index
+		 * @returns {Promise<void>}
+		 */
+		const dispatch = async (index) => {
+			if (index >= chain.length) {
+				ctx.response = await this.#transport(ctx);
+				return;
+			}
+
+			let nextCalled = false;
+			await chain[index](ctx, () => {
+				if (nextCalled) throw new Error("next() called multiple times.");
+				nextCalled = true;
+
+				return dispatch(index + 1);
+			});
+		};
+
+		await dispatch(0);
+
+		if (!ctx.response) throw new TypeError("Middleware chain finished without a response.");
+
+		return ctx.response;
+	}
+
+	/**
+	 * Built-in middleware adding API key or OAuth credentials to the request
+	 *
+	 * @type {import('./types').Middleware}
+	 */
+	#authenticate = (ctx, next) => {
+		const credentials = this.#credentials;
+
+		if (credentials.auth === "apiKey") {
+			ctx.url.searchParams.set("api_key", credentials.apiKey);
+		}
+
+		if (credentials.auth === "oauth2") {
+			ctx.headers["Authorization"] = `Bearer ${credentials.access_token}`;
+		}
+
+		if (this.#oauthClient && credentials.auth === "oauth1") {
+			ctx.headers["Authorization"] = this.#oauthClient.authHeader(
+				ctx.url.toString(),
+				credentials.token,
+				credentials.token_secret,
+				ctx.method
+			);
+		}
+
+		return next();
+	};
+
+	/**
+	 * Prepare request URL and data
+	 *
+	 * GET and DELETE requests move all data into URL search.
+	 * Other requests move data to the request body.
+	 *
+	 * @param  {string} apiPath - URL path for the request
+	 * @param {'GET'|'POST'|'PUT'|'DELETE'} method request method
+	 * @param  {Record<string,any>} [params]
+	 *
+	 * @returns {[URL, null | Map<string,any>]}
+	 */
+	#prepareRequestUrlAndRequestData(apiPath, method, params) {
+		const url = new URL(apiPath, this.baseUrl);
+		// Optional params left undefined are not sent
+		const entries = params ? Object.entries(params).filter(([, value]) => value !== undefined) : [];
+
+		if (method === "GET" || method === "DELETE") {
+			if (params) {
+				for (const [key, value] of entries) {
+					if (Array.isArray(value)) {
+						// Transform array values to our expected search string format:
+						// tag: [ 'first', 'second' ]
+						// tag%5B0%5D=first&tag%5B1%5D=second
+						for (const [index, arrayValue] of value.entries()) {
+							url.searchParams.append(`${key}[${index}]`, arrayValue);
+						}
+					} else {
+						url.searchParams.set(key, value);
+					}
+				}
+			}
+			return [url, null];
+		}
+
+		const requestData = new Map(entries);
+
+		for (const [key, value] of url.searchParams.entries()) {
+			if (!requestData.has(key)) {
+				requestData.set(key, value);
+			}
+		}
+
+		// Clear the search params
+		url.search = "";
+		return [url, requestData.size ? requestData : null];
+	}
+
+	/**
+	 * Performs a POST request
+	 *
+	 * @template {any} T
+	 * @param  {string} apiPath - URL path for the request
+	 * @param  {Record<string, any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	postRequest(apiPath, params, requestOptions) {
+		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "POST", params);
+
+		return this.#makeRequest(url, "POST", requestData, requestOptions);
+	}
+
+	/**
+	 * Performs a PUT request
+	 *
+	 * @template {any} T
+	 * @param  {string} apiPath - URL path for the request
+	 * @param  {Record<string, any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	putRequest(apiPath, params, requestOptions) {
+		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "PUT", params);
+
+		return this.#makeRequest(url, "PUT", requestData, requestOptions);
+	}
+
+	/**
+	 * Performs a DELETE request
+	 *
+	 * @template {any} T
+	 * @param  {string} apiPath - URL path for the request
+	 * @param  {Record<string, any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	deleteRequest(apiPath, params, requestOptions) {
+		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "DELETE", params);
+
+		return this.#makeRequest(url, "DELETE", requestData, requestOptions);
+	}
+
+	/**
+	 * Create or reblog an NPF post
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#posts---createreblog-a-post-neue-post-format|API Docs}
+	 *
+	 * @example
+	 * await client.createPost(blogName, {
+	 *   content: [
+	 *     {
+	 *       type: 'image',
+	 *       // Node's fs module, e.g. `import fs from 'node:fs';`
+	 *       media: fs.createReadStream(new URL('./image.jpg', import.meta.url)),
+	 *       alt_text: '…',
+	 *     },
+	 *   ],
+	 * });
+	 *
+	 * @example
+	 * await client.createPost(blogName, npf().heading('Hello').image(fs.createReadStream('./image.jpg'), { alt: '…' }));
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams | NpfBuilder} params - post params or {@link NpfBuilder}
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	async createPost(blogIdentifier, params, requestOptions) {
+		const data = await this.#transformNpfParams(params, requestOptions?.signal);
+		return this.postRequest(`/v2/blog/${blogIdentifier}/posts`, data, requestOptions);
+	}
+
+	/**
+	 * Edit an NPF post
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postspost-id---editing-a-post-neue-post-format|API Docs}
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - Post ID
+	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams | NpfBuilder} params - post params or {@link NpfBuilder}
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	async editPost(blogIdentifier, postId, params, requestOptions) {
+		const data = await this.#transformNpfParams(params, requestOptions?.signal);
+		return this.putRequest(`/v2/blog/${blogIdentifier}/posts/${postId}`, data, requestOptions);
+	}
+
+	/**
+	 * Reblogs a post object returned by any method, e.g. `blogPosts`, `userDashboard` or `taggedPosts`
+	 *
+	 * @example
+	 * const [post] = await client.taggedPosts('cats');
+	 * await client.reblog(blogName, post, { comment: 'So cute!', tags: ['cats'], state: 'queue' });
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL to reblog to
+	 * @param  {import('./types').ReblogSourcePost} post - post to reblog
+	 * @param  {import('./types').ReblogOptions} [options] - added content, tags, state and trail options
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	async reblog(blogIdentifier, post, options = {}, requestOptions) {
+		const postId = post?.id_string ?? (post?.id !== undefined ? String(post.id) : undefined);
+		const parentUuid = post?.blog?.uuid;
+
+		if (!postId || !post.reblog_key || !parentUuid) {
+			throw new TypeError("Post to reblog must have an ID, a reblog_key and a blog with a uuid");
+		}
+		if (post.can_reblog === false || post.interactability_reblog === "noone") {
+			throw new TypeError(`Post ${postId} can't be reblogged`);
+		}
+		if (post.state && post.state !== "published") {
+			throw new TypeError(`Post ${postId} is not published and can't be reblogged`);
+		}
+
+		const { comment, hide_trail, exclude_trail_items, ...params } = options;
+
+		if (hide_trail && exclude_trail_items) {
+			throw new TypeError("Pass either hide_trail or exclude_trail_items, not both");
+		}
+		const trailLength = Array.isArray(post.trail) ? post.trail.length : Infinity;
+		for (const index of exclude_trail_items ?? []) {
+			if (!Number.isInteger(index) || index < 0 || index >= trailLength) {
+				throw new RangeError(`Trail item ${index} doesn't exist in post ${postId}`);
+			}
+		}
+
+		/** @type {Pick<import('./types').NpfPostParams, 'content' | 'layout'>} */
+		let added = { content: [] };
+		if (comment instanceof NpfBuilder) {
+			added = comment.build();
+		} else if (typeof comment === "string") {
+			added = {
+				content: comment
+					.split(/\n{2,}/)
+					.map((paragraph) => paragraph.trim())
+					.filter(Boolean)
+					.map((text) => ({ type: "text", text }))
+			};
+		} else if (comment) {
+			added = { content: comment };
+		}
+
+		return this.createPost(
+			blogIdentifier,
+			{
+				...params,
+				...added,
+				parent_tumblelog_uuid: parentUuid,
+				parent_post_id: postId,
+				reblog_key: post.reblog_key,
+				...(hide_trail && { hide_trail }),
+				...(exclude_trail_items?.length && { exclude_trail_items })
+			},
+			requestOptions
+		);
+	}
+
+	/**
+	 * Publishes a draft or queued post now
+	 *
+	 * @example
+	 * for await (const draft of client.iterateBlogDrafts(blogName)) {
+	 *   if (draft.tags.includes('ready')) await client.publishPost(blogName, draft.id_string);
+	 * }
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - ID of the draft or queued post
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
+	 *
+	 * @return {Promise<T>}
+	 */
+	publishPost(blogIdentifier, postId, requestOptions) {
+		return this.#changePostState(blogIdentifier, postId, { state: "published" }, requestOptions);
+	}
+
+	/**
+	 * Adds a draft to the queue, or reschedules a queued post
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - ID of the draft or queued post
+	 * @param  {{publish_on?: string | Date}} [params] - date to publish the post at instead of its queue slot
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
+	 *
+	 * @return {Promise<T>}
+	 */
+	queuePost(blogIdentifier, postId, params, requestOptions) {
+		return this.#changePostState(blogIdentifier, postId, { ...params, state: "queue" }, requestOptions);
+	}
+
+	/**
+	 * Plans posts into recurring time slots, skipping slots taken by posts already in the queue
+	 *
+	 * Posts are assigned to the earliest free slots in order. Nothing is sent, every planned post has the
+	 * `createPost` arguments queueing it at its slot.
+	 *
+	 * @example
+	 * const plan = await client.planSchedule(blogName, [firstPost, secondPost, npf().text("Third")], {
+	 *   days: "weekdays",
+	 *   times: ["09:00", "17:00"],
+	 *   timeZone: "Europe/Berlin"
+	 * });
+	 *
+	 * for (const { args } of plan) await client.createPost(...args);
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {ReadonlyArray<import('./types').NpfPostParams | NpfBuilder>} posts - posts to schedule, in order
+	 * @param  {import('./types').ScheduleSlots} slots - days, local times and time zone of the slots
+	 * @param  {import('./types').ScheduleOptions} [options] - planning options and options for queue requests
+	 *
+	 * @return {Promise<import('./types').ScheduledPost[]>}
+	 */
+	async planSchedule(blogIdentifier, posts, slots, options) {
+		const { start, until, minGap, taken = [], ...requestOptions } = options ?? {};
+
+		/** @type {number[]} */
+		const queued = taken.map((time) => new Date(time).getTime()).filter((time) => !Number.isNaN(time));
+		for await (const post of this.iterateBlogQueue(blogIdentifier, undefined, requestOptions)) {
+			if (typeof post.scheduled_publish_time === "number") queued.push(post.scheduled_publish_time * 1000);
+		}
+
+		return schedule.planSchedule(blogIdentifier, posts, slots, { start, until, minGap, taken: queued });
+	}
+
+	/**
+	 * Edits the state of a post keeping its content. NPF edits replace the whole post, so it's fetched first.
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - Post ID
+	 * @param  {Pick<import('./types').NpfPostParams, 'state' | 'publish_on'>} changes
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
+	 *
+	 * @return {Promise<any>}
+	 */
+	async #changePostState(blogIdentifier, postId, changes, requestOptions) {
+		/** @type {any} */
+		const post = await this.blogPost(blogIdentifier, postId, undefined, requestOptions);
+
+		/** @type {import('./types').NpfPostParams} */
+		const params = { content: post.content ?? [], ...changes };
+		// Fields missing from the fetched post are left out rather than sent empty
+		if (post.layout !== undefined) params.layout = post.layout;
+		if (post.tags !== undefined) params.tags = post.tags;
+		if (post.slug !== undefined) params.slug = post.slug;
+
+		return this.editPost(blogIdentifier, postId, params, requestOptions);
+	}
+
+	/**
+	 * Replaces media sources anywhere in the content, including posters and nested blocks, with upload identifiers
+	 *
+	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams | NpfBuilder} npfParams
+	 * @param  {AbortSignal} [signal] - aborts media downloads
+	 *
+	 * @return {Promise<Record<string, any>>}
+	 */
+	async #transformNpfParams(npfParams, signal) {
+		/** @type {import('./types').NpfReblogParams | import('./types').NpfPostParams} */
+		const { tags, content, ...params } = npfParams instanceof NpfBuilder ? npfParams.build() : npfParams;
+
+		/** @type {Map<string, MediaUpload>} */
+		const uploads = new Map();
+
+		/**
+		 * @param {any} media
+		 * @param {keyof MEDIA_LIMITS} kind
+		 *
+		 * @returns {Promise<any>}
+		 */
+		const transformMedia = async (media, kind) => {
+			if (Array.isArray(media)) {
+				const transformed = [];
+				for (const item of media) transformed.push(await transformMedia(item, kind));
+				return transformed;
+			}
+
+			if (!isMediaSource(media)) return media;
+
+			const upload = await prepareMediaUpload(media, kind, signal);
+			const identifier = String(uploads.size);
+			uploads.set(identifier, upload);
+
+			return { type: upload.contentType, identifier };
+		};
+
+		/**
+		 * @param {any} node
+		 * @param {keyof MEDIA_LIMITS} kind - kind of the closest block
+		 *
+		 * @returns {Promise<any>}
+		 */
+		const transformNode = async (node, kind) => {
+			if (Array.isArray(node)) {
+				const transformed = [];
+				for (const item of node) transformed.push(await transformNode(item, kind));
+				return transformed;
+			}
+
+			if (!node || typeof node !== "object" || Object.getPrototypeOf(node) !== Object.prototype) return node;
+
+			const nodeKind = node.type in MEDIA_LIMITS ? node.type : kind;
+			/** @type {Record<string, any>} */
+			const transformed = {};
+			for (const [key, value] of Object.entries(node)) {
+				if (key === "media") transformed[key] = await transformMedia(value, nodeKind);
+				else if (key === "poster") transformed[key] = await transformMedia(value, "image");
+				else transformed[key] = await transformNode(value, nodeKind);
+			}
+
+			return transformed;
+		};
+
+		const transformedTags = Array.isArray(tags) && { tags: tags.join(",") };
+
+		const transformedParams = {
+			...params,
+			...transformedTags,
+			...(params.publish_on !== undefined && { publish_on: schedule.toPublishOn(params.publish_on) }),
+			...(params.date instanceof Date && { date: params.date.toISOString() }),
+			content: await transformNode(content, "image")
+		};
+
+		const transformed = uploads.size
+			? {
+					json: JSON.stringify(transformedParams),
+					...Object.fromEntries(uploads.entries())
+				}
+			: transformedParams;
+
+		return transformed;
+	}
+
+	/**
+	 * Creates a post on the given blog.
+	 *
+	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods, `legacyToNpf` converts legacy params.
+	 *
+	 * @see {@link https://www.tumblr.com/docs/api/v2#posting|API Docs}
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Record<string,any>} params
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	createLegacyPost(blogIdentifier, params, requestOptions) {
+		return this.postRequest(`/v2/blog/${blogIdentifier}/post`, params, requestOptions);
+	}
+
+	/**
+	 * Edits a given post
+	 *
+	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods, `legacyToNpf` converts legacy params.
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Record<string,any>} params
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	editLegacyPost(blogIdentifier, params, requestOptions) {
+		return this.postRequest(`/v2/blog/${blogIdentifier}/post/edit`, params, requestOptions);
+	}
+
+	/**
+	 * Likes a post as the authenticating user
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} postId - ID of post to like
+	 * @param  {string} reblogKey - Reblog key of post to like
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	likePost(postId, reblogKey, requestOptions) {
+		return this.postRequest("/v2/user/like", { id: postId, reblog_key: reblogKey }, requestOptions);
+	}
+
+	/**
+	 * Unlikes a post as the authenticating user
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} postId - ID of post to like
+	 * @param  {string} reblogKey - Reblog key of post to like
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	unlikePost(postId, reblogKey, requestOptions) {
+		return this.postRequest("/v2/user/unlike", { id: postId, reblog_key: reblogKey }, requestOptions);
+	}
+
+	/**
+	 * Follows a blog as the authenticating user
+	 *
+	 * @template [T=import('./types').FollowBlogResponse]
+	 * @param  {{url: string}|{email:string}} params - parameters sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	followBlog(params, requestOptions) {
+		return this.postRequest("/v2/user/follow", params, requestOptions);
+	}
+
+	/**
+	 * Unfollows a blog as the authenticating user
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {{url: string}} params - parameters sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	unfollowBlog(params, requestOptions) {
+		return this.postRequest("/v2/user/unfollow", params, requestOptions);
+	}
+
+	/**
+	 * Deletes a given post
+	 *
+	 * @template [T=import('./types').PostDeleteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - Post ID to delete
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	deletePost(blogIdentifier, postId, requestOptions) {
+		return this.postRequest(`/v2/blog/${blogIdentifier}/post/delete`, { id: postId }, requestOptions);
+	}
+
+	/**
+	 * Reblogs a given post
+	 *
+	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
+	 *
+	 * @template [T=import('./types').PostWriteResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Record<string,any>} params - parameters sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	reblogPost(blogIdentifier, params, requestOptions) {
+		return this.postRequest(`/v2/blog/${blogIdentifier}/post/reblog`, params, requestOptions);
+	}
+
+	/**
+	 * Gets information about a given blog
+	 *
+	 * @template [T=import('./types').BlogInfoResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{'fields[blogs]'?: string}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogInfo(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/info`, params, requestOptions);
+	}
+
+	/**
+	 * Gets the likes for a blog
+	 *
+	 * @template [T=import('./types').LikesResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{limit?: number; offset?: number; before?: number; after?: number}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogLikes(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/likes`, params, requestOptions);
+	}
+
+	/**
+	 * Gets the followers for a blog
+	 *
+	 * @template [T=import('./types').BlogFollowersResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{limit?: number; offset?: number}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogFollowers(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/followers`, params, requestOptions);
+	}
+
+	/** @type {import('./types').BlogPosts<Client>} */
+	blogPosts = function blogPosts(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/posts`, params, requestOptions);
+	};
+
+	/**
+	 * Gets a single post
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postspost-id---fetching-a-post-neue-post-format|API Docs}
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - Post ID
+	 * @param  {import('./types').BlogPostParams} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogPost(blogIdentifier, postId, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/${postId}`, params, requestOptions);
+	}
+
+	/**
+	 * Gets the queue for a blog
+	 *
+	 * @template [T=import('./types').PostsResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{limit?: number; offset?: number; filter?: 'text'|'raw'}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogQueue(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/queue`, params, requestOptions);
+	}
+
+	/**
+	 * Moves a queued post after another one
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postsqueuereorder---reorder-queued-posts|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} postId - ID of the queued post to move
+	 * @param  {string} insertAfter - ID of the queued post to place it after, `'0'` moves it to the top
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	reorderQueuedPost(blogIdentifier, postId, insertAfter, requestOptions) {
+		return this.postRequest(
+			`/v2/blog/${blogIdentifier}/posts/queue/reorder`,
+			{ post_id: postId, insert_after: insertAfter },
+			requestOptions
+		);
+	}
+
+	/**
+	 * Reorders the queue to match the given order, moving as few posts as possible
+	 *
+	 * Reads the whole queue, plans the moves with {@link planQueueReorder} and sends them one by one.
+	 *
+	 * @example
+	 * const moves = await client.reorderQueue(blogName, ['3', '1', '2']);
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {ReadonlyArray<string>} postIds - IDs of queued posts in the wanted order
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for every request
+	 *
+	 * @return {Promise<import('./types').QueueMove[]>} applied moves
+	 */
+	async reorderQueue(blogIdentifier, postIds, requestOptions) {
+		/** @type {string[]} */
+		const currentOrder = [];
+		for await (const post of this.iterateBlogQueue(blogIdentifier, undefined, requestOptions)) {
+			currentOrder.push(String(/** @type {any} */ (post).id_string ?? /** @type {any} */ (post).id));
+		}
+
+		const moves = planQueueReorder(currentOrder, postIds);
+		for (const move of moves) {
+			await this.reorderQueuedPost(blogIdentifier, move.post_id, move.insert_after, requestOptions);
+		}
+
+		return moves;
+	}
+
+	/**
+	 * Shuffles the queue of a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postsqueueshuffle---shuffle-queued-posts|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	shuffleQueue(blogIdentifier, requestOptions) {
+		return this.postRequest(`/v2/blog/${blogIdentifier}/posts/queue/shuffle`, undefined, requestOptions);
+	}
+
+	/**
+	 * Gets the drafts for a blog
+	 *
+	 * @template [T=import('./types').PostsResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{before_id?: number; filter?: PostFormatFilter}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogDrafts(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/draft`, params, requestOptions);
+	}
+
+	/**
+	 * Gets the submissions for a blog
+	 *
+	 * @template [T=import('./types').PostsResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogSubmissions(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/submission`, params, requestOptions);
+	}
+
+	/**
+	 * Exports posts, drafts, queue, submissions and likes of a blog to JSONL files in the directory
+	 *
+	 * Every collection goes to its own `<collection>.jsonl` file with one NPF post per line. A checkpoint
+	 * is saved after every page, so running the export again into the same directory resumes it.
+	 * With `media: true` media files are downloaded to `media/<sha256>.<ext>` and media URLs in the
+	 * posts point to them, relative to the directory.
+	 *
+	 * @example
+	 * const { counts } = await client.exportBlog(blogName, "./backup", { media: true });
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {string} directory - archive directory, created if missing
+	 * @param  {import('./types').ExportOptions} [options] - collections, media downloads and options for every request
+	 *
+	 * @return {Promise<import('./types').ExportResult>}
+	 */
+	exportBlog(blogIdentifier, directory, options) {
+		return archive.exportBlog(this, downloadMedia, blogIdentifier, directory, options);
 	}
 
 	/**
-	 * Performs a GET request
+	 * Creates posts of an archive written by {@link Client#exportBlog} in a blog
 	 *
-	 * @template {any} T
-	 * @param  {string} apiPath - URL path for the request
-	 * @param  {Record<string, any>} [params] - query parameters
+	 * Published posts keep their dates and are created from oldest to newest, then drafts, then queued
+	 * posts in the queue order. Media files of the archive are uploaded again, remote media is re-hosted.
+	 * Created posts are recorded in a mapping file of source to new post IDs, so running the import
+	 * again skips them. Reblogs are skipped, their parents can't be reblogged from the archive.
 	 *
-	 * @return {Promise<T>}
+	 * Once a daily posting limit is hit, the import stops and reports when to run it again, or waits
+	 * for the limit to reset with `whenLimited: "wait"`.
+	 *
+	 * @example
+	 * const { created, limited } = await client.importBlog("./backup", targetBlogName);
+	 *
+	 * @param  {string} directory - archive directory
+	 * @param  {string} blogIdentifier - blog name or URL to create posts in
+	 * @param  {import('./types').ImportOptions} [options] - collections, mapping file, limit handling and options for every request
+	 *
+	 * @return {Promise<import('./types').ImportResult>}
 	 */
-	getRequest(apiPath, params) {
-		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "GET", params);
-
-		return this.#makeRequest(url, "GET", requestData);
+	importBlog(directory, blogIdentifier, options) {
+		return archive.importBlog(this, postingLimitDelay, directory, blogIdentifier, options);
 	}
 
 	/**
-	 * @template T
+	 * Gets the notes of a post
 	 *
-	 * @param {URL} url
-	 * @param {'GET'|'POST'|'PUT'} method request method
-	 * @param {RequestData | null} data
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#notes---get-notes-for-a-specific-post|API Docs}
 	 *
-	 * @returns {Promise<T>}
+	 * @example
+	 * const { notes, total_likes } = await client.blogNotes(blogName, { id: postId, mode: 'likes' });
+	 *
+	 * @template [T=import('./types').BlogNotesResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').BlogNotesParams} params - post ID, notes mode and `before_timestamp` cursor
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
 	 */
-	#makeRequest(url, method, data) {
-		/** @type {(value: any) => void} */
-		let resolve;
-		/** @type {(reason?: any) => void} */
-		let reject;
-
-		const promise = new Promise((promiseResolve, promiseReject) => {
-			resolve = promiseResolve;
-			reject = promiseReject;
-		});
-
-		let responseData = "";
-		/** @type {(err: Error | TumblrError | undefined, responseBody: Record<string, any> | undefined) => void} */
-		const callbackForPromise = (e, responseBody) => {
-			if (e) {
-				reject(e);
-				return;
-			}
+	blogNotes(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/notes`, params, requestOptions);
+	}
 
-			resolve(responseBody);
-		};
+	/**
+	 * Gets the activity feed of a blog, newest first
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blogblog-identifiernotifications---retrieve-blogs-activity-feed|API Docs}
+	 *
+	 * @template [T=import('./types').BlogNotificationsResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {import('./types').BlogNotificationsParams} [params] - `before` cursor and notification types
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogNotifications(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/notifications`, params, requestOptions);
+	}
 
-		const httpModel = url.protocol === "http" ? http : https;
+	/**
+	 * Gets the blogs blocked by a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--retrieve-blogs-blocks|API Docs}
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{limit?: number; offset?: number}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<import('./types').BlogBlocksResponse>}
+	 */
+	blogBlocks(blogIdentifier, params, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/blocks`, params, requestOptions);
+	}
 
-		if (this.#credentials.auth === "apiKey") {
-			url.searchParams.set("api_key", this.#credentials.apiKey);
-		}
+	/**
+	 * Blocks a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--block-a-blog|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {string} blockedBlog - name, URL or UUID of the blog to block
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blockBlog(blogIdentifier, blockedBlog, requestOptions) {
+		return this.postRequest(
+			`/v2/blog/${blogIdentifier}/blocks`,
+			{ blocked_tumblelog: blockedBlog },
+			requestOptions
+		);
+	}
 
-		const request = httpModel.request(url, { method });
-		request.setHeader("User-Agent", "tumblr.js/" + Client.version);
-		request.setHeader("Accept", "application/json");
+	/**
+	 * Blocks the author of a post, including anonymous askers and submitters
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--block-a-blog|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {string} postId - ID of the post, ask or submission whose author to block
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blockPostAuthor(blogIdentifier, postId, requestOptions) {
+		return this.postRequest(`/v2/blog/${blogIdentifier}/blocks`, { post_id: postId }, requestOptions);
+	}
 
-		if (this.#oauthClient && this.#credentials.auth === "oauth1") {
-			const authHeader = this.#oauthClient.authHeader(
-				url.toString(),
-				this.#credentials.token,
-				this.#credentials.token_secret,
-				method
-			);
-			request.setHeader("Authorization", authHeader);
+	/**
+	 * Blocks many blogs, sending them to the bulk endpoint in batches
+	 *
+	 * Duplicate names are blocked once. A failed batch doesn't stop the following ones, its blogs and
+	 * error are reported in `failed`. Aborting the signal or a timeout rejects.
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocksbulk--block-a-list-of-blogs|API Docs}
+	 *
+	 * @example
+	 * const { blocked, failed } = await client.blockBlogs(blogName, spamBlogs, { force: true });
+	 *
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {Iterable<string>} blockedBlogs - names, URLs or UUIDs of the blogs to block
+	 * @param  {import('./types').BulkBlockOptions} [options] - batching and options for every request
+	 *
+	 * @return {Promise<import('./types').BulkBlockResult>}
+	 */
+	async blockBlogs(blogIdentifier, blockedBlogs, options) {
+		const { force, batchSize = BULK_BLOCK_LIMIT, ...requestOptions } = options ?? {};
+		if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > BULK_BLOCK_LIMIT) {
+			throw new RangeError(`batchSize must be an integer from 1 to ${BULK_BLOCK_LIMIT}`);
 		}
 
-		/** @type {FormData?} */
-		let form;
-
-		if (data) {
-			// We use multipart/form-data if we have media to upload
-			// We may also send JSON data in a multipart/form-data JSON field
-			if (data.has("data") || data.has("data64") || data.has("json")) {
-				form = new FormData();
-
-				for (const [key, value] of data.entries()) {
-					// NPF endpoints use a special "json" field
-					if (key === "json" && typeof value === "string") {
-						form.append(key, value, { contentType: "application/json" });
-						continue;
-					}
-
-					// Transform array values to our expected form-data format:
-					// key: [ 'a', 'b' ]
-					// key[0]=a
-					// key[1]=b
-					if (Array.isArray(value)) {
-						for (const [index, arrValue] of (Array.isArray(value) ? value : [value]).entries()) {
-							form.append(`${key}[${index}]`, arrValue);
-						}
-						continue;
-					}
-
-					// Some types of of values error when form-data appends them
-					// or when they're piped into the request buffer.
-					if (typeof value === "boolean") {
-						form.append(key, JSON.stringify(value));
-						continue;
-					}
+		const blogs = [...new Set(Array.from(blockedBlogs, (blog) => blog.trim()).filter(Boolean))];
 
-					form.append(key, value);
-				}
+		/** @type {import('./types').BulkBlockResult} */
+		const result = { blocked: [], failed: [] };
 
-				for (const [key, value] of Object.entries(form.getHeaders())) {
-					request.setHeader(key, value);
-				}
+		for (let start = 0; start < blogs.length; start += batchSize) {
+			const batch = blogs.slice(start, start + batchSize);
 
-				form.pipe(request);
-			} else {
-				// Otherwise, we'll JSON encode the body
-				const requestBody = JSON.stringify(Object.fromEntries(data.entries()));
-				request.setHeader("Content-Type", "application/json");
-				request.setHeader("Content-Length", requestBody.length);
-				request.write(requestBody);
+			try {
+				await this.postRequest(
+					`/v2/blog/${blogIdentifier}/blocks/bulk`,
+					{ blocked_tumblelogs: batch.join(","), ...(force !== undefined && { force }) },
+					requestOptions
+				);
+				result.blocked.push(...batch);
+			} catch (err) {
+				if (err instanceof TumblrAbortError || err instanceof TumblrTimeoutError) throw err;
+				result.failed.push({ blogs: batch, error: /** @type {Error} */ (err) });
 			}
 		}
 
-		let responseEnded = false;
-
-		request.on("response", (response) => {
-			response.setEncoding("utf8");
-
-			response.on("data", (chunk) => {
-				responseData += chunk;
-			});
+		return result;
+	}
 
-			response.on("end", () => {
-				if (responseEnded) return;
-				responseEnded = true;
+	/**
+	 * Unblocks a blog
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--remove-a-block|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {string} blockedBlog - name, URL or UUID of the blog to unblock
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	unblockBlog(blogIdentifier, blockedBlog, requestOptions) {
+		return this.deleteRequest(
+			`/v2/blog/${blogIdentifier}/blocks`,
+			{ blocked_tumblelog: blockedBlog },
+			requestOptions
+		);
+	}
 
-				/** @type {Record<string, any>} */
-				let parsedData;
-				try {
-					parsedData = JSON.parse(responseData);
-				} catch (err) {
-					callbackForPromise(new TumblrError(406, `Cannot parse Tumblr JSON: ${responseData}`));
-					return;
-				}
+	/**
+	 * Removes all blocks of anonymous askers and submitters
+	 *
+	 * @see {@link https://www.tumblr.com/docs/en/api/v2#blocks--remove-a-block|API Docs}
+	 *
+	 * @template [T=import('./types').EmptyResponse]
+	 * @param  {string} blogIdentifier - blog name or URL doing the blocking
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	unblockAnonymous(blogIdentifier, requestOptions) {
+		return this.deleteRequest(`/v2/blog/${blogIdentifier}/blocks`, { anonymous_only: true }, requestOptions);
+	}
 
-				const statusCode = /** @type {number} */ (response.statusCode);
-				if (Number.isInteger(statusCode) && (statusCode < 200 || statusCode > 399)) {
-					const errString = parsedData?.meta?.msg ?? parsedData?.error ?? "Unknown error";
-					return callbackForPromise(new TumblrError(statusCode, errString));
-				}
+	/**
+	 * Gets the avatar URL for a blog
+	 *
+	 * @template [T=import('./types').BlogAvatarResponse]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {16|24|30|40|48|64|96|128|512} [size] - optional data sent with the request
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	blogAvatar(blogIdentifier, size, requestOptions) {
+		return this.getRequest(`/v2/blog/${blogIdentifier}/avatar${size ? `/${size}` : ""}`, undefined, requestOptions);
+	}
 
-				if (parsedData?.response) return callbackForPromise(null, parsedData.response);
+	/**
+	 * Gets information about the authenticating user and their blogs
+	 *
+	 * @template [T=import('./types').UserInfoResponse]
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	userInfo(requestOptions) {
+		return this.getRequest("/v2/user/info", undefined, requestOptions);
+	}
 
-				return callbackForPromise(
-					new TumblrError(406, `Cannot read Tumblr JSON: ${JSON.stringify(responseData, null, 2)}`)
-				);
-			});
-		});
+	/**
+	 * Gets daily limits of the authenticating user, e.g. posts, follows and likes left until the reset
+	 *
+	 * @template [T=import('./types').UserLimitsResponse]
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	userLimits(requestOptions) {
+		return this.getRequest("/v2/user/limits", undefined, requestOptions);
+	}
 
-		request.on("error", (e) => {
-			if (responseEnded) return;
-			responseEnded = true;
+	/**
+	 * Gets the dashboard posts for the authenticating user
+	 *
+	 * @template [T=import('./types').PostsResponse]
+	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	userDashboard(params, requestOptions) {
+		return this.getRequest("/v2/user/dashboard", params, requestOptions);
+	}
 
-			callbackForPromise(e);
-		});
+	/**
+	 * Gets the blogs the authenticating user follows
+	 *
+	 * @template [T=import('./types').UserFollowingResponse]
+	 * @param  {{limit?: number; offset?: number;}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	userFollowing(params, requestOptions) {
+		return this.getRequest("/v2/user/following", params, requestOptions);
+	}
 
-		if (form) form.on("end", () => request.end());
-		else request.end();
+	/**
+	 * Gets the likes for the authenticating user
+	 *
+	 * @template [T=import('./types').LikesResponse]
+	 * @param  {{limit?: number; offset?: number; before?: number; after?: number}} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	userLikes(params, requestOptions) {
+		return this.getRequest("/v2/user/likes", params, requestOptions);
+	}
 
-		return promise;
+	/**
+	 * Gets posts tagged with the specified tag
+	 *
+	 * @template [T=import('./types').Post[]]
+	 * @param  {string} tag - The tag on the posts you'd like to retrieve
+	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').RequestOptions} [requestOptions] - options for this request only
+	 *
+	 * @return {Promise<T>}
+	 */
+	taggedPosts(tag, params, requestOptions) {
+		return this.getRequest("/v2/tagged", { ...params, tag }, requestOptions);
 	}
 
 	/**
-	 * Prepare request URL and data
+	 * Walks over pages of a list endpoint and yields items one by one
 	 *
-	 * GET requests move all data into URL search.
-	 * Other requests move data to the request body.
+	 * `_links.next` from the response is preferred when the API provides it,
+	 * otherwise the given cursor computes params for the next page.
 	 *
-	 * @param  {string} apiPath - URL path for the request
-	 * @param {'GET'|'POST'|'PUT'} method request method
-	 * @param  {Record<string,any>} [params]
+	 * @template {any} T
+	 * @param  {(query: Record<string, any>) => Promise<any>} fetchPage - requests a single page
+	 * @param  {(response: any) => T[] | undefined} getItems - extracts items from the page response
+	 * @param  {PageCursor} cursor - computes params for the next page
+	 * @param  {Record<string, any>} [params] - query parameters of the first page
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @returns {[URL, null | Map<string,any>]}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	#prepareRequestUrlAndRequestData(apiPath, method, params) {
-		const url = new URL(apiPath, this.baseUrl);
+	async *#paginate(fetchPage, getItems, cursor, params, options) {
+		const maxItems = options?.maxItems ?? Infinity;
+		/** @type {Record<string, any>} */
+		let query = { ...params };
+		if (options?.pageSize) query.limit = options.pageSize;
 
-		if (method === "GET") {
-			if (params) {
-				for (const [key, value] of Object.entries(params)) {
-					if (Array.isArray(value)) {
-						// Transform array values to our expected search string format:
-						// tag: [ 'first', 'second' ]
-						// tag%5B0%5D=first&tag%5B1%5D=second
-						for (const [index, arrayValue] of value.entries()) {
-							url.searchParams.append(`${key}[${index}]`, arrayValue);
-						}
-					} else {
-						url.searchParams.set(key, value);
-					}
-				}
+		if (maxItems <= 0) return;
+
+		let yielded = 0;
+
+		for (;;) {
+			const response = await fetchPage(query);
+			const items = getItems(response) ?? [];
+
+			for (const item of items) {
+				if (options?.stopWhen && (await options.stopWhen(item, yielded))) return;
+
+				yield item;
+
+				if (++yielded >= maxItems) return;
 			}
-			return [url, null];
-		}
 
-		const requestData = new Map(params ? Object.entries(params) : undefined);
+			if (!items.length) return;
 
-		for (const [key, value] of url.searchParams.entries()) {
-			if (!requestData.has(key)) {
-				requestData.set(key, value);
+			const next = response?._links?.next?.query_params ?? cursor(query, items, response);
+			if (!next) return;
+
+			/** @type {Record<string, any>} */
+			const nextQuery = { ...query, ...next };
+			for (const key of Object.keys(nextQuery)) {
+				if (nextQuery[key] === undefined) delete nextQuery[key];
 			}
-		}
 
-		// Clear the search params
-		url.search = "";
-		return [url, requestData.size ? requestData : null];
+			// The API sent the same cursor again, continuing would loop forever
+			if (JSON.stringify(nextQuery) === JSON.stringify(query)) return;
+
+			query = nextQuery;
+		}
 	}
 
 	/**
-	 * Performs a POST request
+	 * Iterates over all posts of a blog
 	 *
-	 * @template {any} T
-	 * @param  {string} apiPath - URL path for the request
-	 * @param  {Record<string, any>} [params] - query parameters
+	 * @example
+	 * for await (const post of client.iterateBlogPosts(blogName, { npf: true }, { maxItems: 100 })) {
+	 *   console.log(post.id_string);
+	 * }
 	 *
-	 * @return {Promise<T>}
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Omit<import('./types').BlogPostsParams, 'limit'>} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	postRequest(apiPath, params) {
-		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "POST", params);
-
-		return this.#makeRequest(url, "POST", requestData);
+	iterateBlogPosts(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogPosts(blogIdentifier, query, options),
+			(response) => response?.posts,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Performs a PUT request
+	 * Iterates over the likes of a blog, from newest to oldest
 	 *
-	 * @template {any} T
-	 * @param  {string} apiPath - URL path for the request
-	 * @param  {Record<string, any>} [params] - query parameters
+	 * @template [T=import('./types').LikedPost]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{before?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	putRequest(apiPath, params) {
-		const [url, requestData] = this.#prepareRequestUrlAndRequestData(apiPath, "PUT", params);
-
-		return this.#makeRequest(url, "PUT", requestData);
+	iterateBlogLikes(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogLikes(blogIdentifier, query, options),
+			(response) => response?.liked_posts,
+			PAGE_CURSORS.likedTimestamp,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Create or reblog an NPF post
-	 *
-	 * @see {@link https://www.tumblr.com/docs/en/api/v2#posts---createreblog-a-post-neue-post-format|API Docs}
-	 *
-	 * @example
-	 * await client.createPost(blogName, {
-	 *   content: [
-	 *     {
-	 *       type: 'image',
-	 *       // Node's fs module, e.g. `import fs from 'node:fs';`
-	 *       media: fs.createReadStream(new URL('./image.jpg', import.meta.url)),
-	 *       alt_text: '…',
-	 *     },
-	 *   ],
-	 * });
+	 * Iterates over the followers of a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').Follower]
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams } params
+	 * @param  {{offset?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	createPost(blogIdentifier, params) {
-		const data = this.#transformNpfParams(params);
-		return this.postRequest(`/v2/blog/${blogIdentifier}/posts`, data);
+	iterateBlogFollowers(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogFollowers(blogIdentifier, query, options),
+			(response) => response?.users,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Edit an NPF post
+	 * Iterates over the queue of a blog
 	 *
-	 * @see {@link https://www.tumblr.com/docs/en/api/v2#postspost-id---editing-a-post-neue-post-format|API Docs}
-	 *
-	 * @template {any} T
+	 * @template [T=import('./types').Post]
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {string} postId - Post ID
-	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams } params
+	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	editPost(blogIdentifier, postId, params) {
-		const data = this.#transformNpfParams(params);
-		return this.putRequest(`/v2/blog/${blogIdentifier}/posts/${postId}`, data);
+	iterateBlogQueue(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogQueue(blogIdentifier, query, options),
+			(response) => response?.posts,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * @param  {import('./types').NpfReblogParams | import('./types').NpfPostParams } params
+	 * Iterates over the drafts of a blog, from newest to oldest
+	 *
+	 * @template [T=import('./types').Post]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{before_id?: number; filter?: PostFormatFilter}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
+	 *
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	#transformNpfParams({ tags, content, ...params }) {
-		/** @type {Map<string, ReadStream>} */
-		const mediaStreams = new Map();
-
-		const transformedContent = content.map((block, index) => {
-			if (block.media && block.media instanceof ReadStream) {
-				mediaStreams.set(String(index), block.media);
-				return {
-					...block,
-					media: { identifier: String(index) }
-				};
-			}
-			return block;
-		});
-
-		const transformedTags = Array.isArray(tags) && { tags: tags.join(",") };
-
-		const transformedParams = {
-			...params,
-			...transformedTags,
-			content: transformedContent
-		};
-
-		const transformed = mediaStreams.size
-			? {
-					json: JSON.stringify(transformedParams),
-					...Object.fromEntries(mediaStreams.entries())
-				}
-			: transformedParams;
-
-		return transformed;
+	iterateBlogDrafts(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogDrafts(blogIdentifier, query, options),
+			(response) => response?.posts,
+			PAGE_CURSORS.beforeId,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Creates a post on the given blog.
-	 *
-	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
-	 *
-	 * @see {@link https://www.tumblr.com/docs/api/v2#posting|API Docs}
+	 * Iterates over the submissions of a blog
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').Post]
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {Record<string,any>} params
+	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	createLegacyPost(blogIdentifier, params) {
-		return this.postRequest(`/v2/blog/${blogIdentifier}/post`, params);
+	iterateBlogSubmissions(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogSubmissions(blogIdentifier, query, options),
+			(response) => response?.posts,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Edits a given post
+	 * Iterates over the notes of a post, from newest to oldest
 	 *
-	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
+	 * @example
+	 * for await (const note of client.iterateBlogNotes(blogName, { id: postId, mode: 'reblogs_with_tags' })) {
+	 *   console.log(note.blog_name, note.tags);
+	 * }
 	 *
-	 * @template {any} T
+	 * @template [T=import('./types').Note]
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {Record<string,any>} params
+	 * @param  {Omit<import('./types').BlogNotesParams, 'before_timestamp'>} params - post ID and notes mode
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	editLegacyPost(blogIdentifier, params) {
-		return this.postRequest(`/v2/blog/${blogIdentifier}/post/edit`, params);
+	iterateBlogNotes(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) =>
+				this.blogNotes(blogIdentifier, /** @type {import('./types').BlogNotesParams} */ (query), options),
+			(response) => response?.notes,
+			PAGE_CURSORS.beforeTimestamp,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Likes a post as the authenticating user
+	 * Iterates over the activity feed of a blog, from newest to oldest
 	 *
-	 * @template {any} T
-	 * @param  {string} postId - ID of post to like
-	 * @param  {string} reblogKey - Reblog key of post to like
+	 * @template [T=import('./types').Notification]
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {Omit<import('./types').BlogNotificationsParams, 'before'>} [params] - notification types
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	likePost(postId, reblogKey) {
-		return this.postRequest("/v2/user/like", { id: postId, reblog_key: reblogKey });
+	iterateBlogNotifications(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogNotifications(blogIdentifier, query, options),
+			(response) => response?.notifications,
+			PAGE_CURSORS.timestamp,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Unlikes a post as the authenticating user
+	 * Iterates over the blogs blocked by a blog
 	 *
-	 * @template {any} T
-	 * @param  {string} postId - ID of post to like
-	 * @param  {string} reblogKey - Reblog key of post to like
+	 * @param  {string} blogIdentifier - blog name or URL
+	 * @param  {{offset?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<import('./types').BlockedBlog>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<import('./types').BlockedBlog, void, undefined>}
 	 */
-	unlikePost(postId, reblogKey) {
-		return this.postRequest("/v2/user/unlike", { id: postId, reblog_key: reblogKey });
+	iterateBlogBlocks(blogIdentifier, params, options) {
+		return this.#paginate(
+			(query) => this.blogBlocks(blogIdentifier, query, options),
+			(response) => response?.blocked_tumblelogs,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Follows a blog as the authenticating user
+	 * Iterates over the dashboard posts of the authenticating user
 	 *
-	 * @template {any} T
-	 * @param  {{url: string}|{email:string}} params - parameters sent with the request
+	 * @template [T=import('./types').Post]
+	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	followBlog(params) {
-		return this.postRequest("/v2/user/follow", params);
+	iterateUserDashboard(params, options) {
+		return this.#paginate(
+			(query) => this.userDashboard(query, options),
+			(response) => response?.posts,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Unfollows a blog as the authenticating user
+	 * Iterates over the blogs the authenticating user follows
 	 *
-	 * @template {any} T
-	 * @param  {{url: string}} params - parameters sent with the request
+	 * @template [T=import('./types').BlogInfo]
+	 * @param  {{offset?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	unfollowBlog(params) {
-		return this.postRequest("/v2/user/unfollow", params);
+	iterateUserFollowing(params, options) {
+		return this.#paginate(
+			(query) => this.userFollowing(query, options),
+			(response) => response?.blogs,
+			PAGE_CURSORS.offset,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Deletes a given post
+	 * Iterates over the likes of the authenticating user, from newest to oldest
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {string} postId - Post ID to delete
+	 * @template [T=import('./types').LikedPost]
+	 * @param  {{before?: number}} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	deletePost(blogIdentifier, postId) {
-		return this.postRequest(`/v2/blog/${blogIdentifier}/post/delete`, { id: postId });
+	iterateUserLikes(params, options) {
+		return this.#paginate(
+			(query) => this.userLikes(query, options),
+			(response) => response?.liked_posts,
+			PAGE_CURSORS.likedTimestamp,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Reblogs a given post
-	 *
-	 * @deprecated Legacy post creation methods are deprecated. Use NPF methods.
+	 * Iterates over posts tagged with the specified tag, from newest to oldest
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {Record<string,any>} params - parameters sent with the request
+	 * @template [T=import('./types').Post]
+	 * @param  {string} tag - The tag on the posts you'd like to retrieve
+	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {import('./types').PaginationOptions<T>} [options] - pagination options
 	 *
-	 * @return {Promise<T>}
+	 * @return {AsyncGenerator<T, void, undefined>}
 	 */
-	reblogPost(blogIdentifier, params) {
-		return this.postRequest(`/v2/blog/${blogIdentifier}/post/reblog`, params);
+	iterateTaggedPosts(tag, params, options) {
+		return this.#paginate(
+			(query) => this.taggedPosts(tag, query, options),
+			(response) => (Array.isArray(response) ? response : undefined),
+			PAGE_CURSORS.timestamp,
+			params,
+			options
+		);
 	}
 
 	/**
-	 * Gets information about a given blog
+	 * Watches the dashboard of the authenticating user for new posts
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {{'fields[blogs]'?: string}} [params] - query parameters
+	 * @example
+	 * const watcher = client.watchDashboard({ persist: "./dashboard-cursor.json" });
+	 * watcher.on("post", (post) => console.log(post.post_url));
 	 *
-	 * @return {Promise<T>}
+	 * @param  {import('./types').WatchOptions} [options] - polling intervals, cursor persistence and options for every request
+	 *
+	 * @return {PostWatcher}
 	 */
-	blogInfo(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/info`, params);
+	watchDashboard(options) {
+		return new PostWatcher(
+			async (cursor, fetched, requestOptions) =>
+				/** @type {any} */ (
+					await this.userDashboard(
+						{
+							npf: true,
+							...(cursor?.id && { since_id: cursor.id }),
+							...(fetched.length && { offset: fetched.length })
+						},
+						requestOptions
+					)
+				).posts,
+			"id",
+			postingLimitDelay,
+			options
+		);
 	}
 
 	/**
-	 * Gets the likes for a blog
+	 * Watches a blog for new posts
+	 *
+	 * @example
+	 * for await (const post of client.watchBlog(blogName)) {
+	 *   console.log(post.post_url);
+	 * }
 	 *
-	 * @template {any} T
 	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {{limit?: number; offset?: number; before?: number; after?: number}} [params] - optional data sent with the request
+	 * @param  {import('./types').WatchOptions} [options] - polling intervals, cursor persistence and options for every request
 	 *
-	 * @return {Promise<T>}
+	 * @return {PostWatcher}
 	 */
-	blogLikes(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/likes`, params);
+	watchBlog(blogIdentifier, options) {
+		return new PostWatcher(
+			async (_cursor, fetched, requestOptions) =>
+				/** @type {any} */ (
+					await this.blogPosts(
+						blogIdentifier,
+						{ npf: true, ...(fetched.length && { offset: fetched.length }) },
+						requestOptions
+					)
+				).posts,
+			"id",
+			postingLimitDelay,
+			options
+		);
 	}
 
 	/**
-	 * Gets the followers for a blog
+	 * Watches a tag for new posts
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {{limit?: number; offset?: number}} [params] - optional data sent with the request
+	 * Tagged posts are ordered by time, so posts appear as new once, even if tagged later.
 	 *
-	 * @return {Promise<T>}
+	 * @param  {string} tag - tag to watch
+	 * @param  {import('./types').WatchOptions} [options] - polling intervals, cursor persistence and options for every request
+	 *
+	 * @return {PostWatcher}
 	 */
-	blogFollowers(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/followers`, params);
+	watchTag(tag, options) {
+		return new PostWatcher(
+			(_cursor, fetched, requestOptions) =>
+				this.taggedPosts(
+					tag,
+					{ npf: true, ...(fetched.length && { before: fetched[fetched.length - 1].timestamp }) },
+					requestOptions
+				),
+			"timestamp",
+			postingLimitDelay,
+			options
+		);
 	}
+}
 
-	/** @type {import('./types').BlogPosts<Client>} */
-	// @ts-expect-error The legacy signature makes this hard to type correctly.
-	blogPosts = function blogPosts(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/posts`, params);
-	};
+/**
+ * Requests OAuth2 tokens from the token endpoint
+ *
+ * @param {string} baseUrl API base URL
+ * @param {Record<string, string>} params form parameters
+ *
+ * @returns {Promise<import('./types').OAuth2Tokens>}
+ */
+function requestOAuth2Token(baseUrl, params) {
+	const url = new URL("/v2/oauth2/token", baseUrl);
+	const body = new URLSearchParams(params).toString();
+	/** @type {import('./types').TumblrErrorRequest} */
+	const requestContext = { method: "POST", url: url.toString() };
+
+	return new Promise((resolve, reject) => {
+		const request = (url.protocol === "http:" ? http : https).request(url, { method: "POST" });
+		request.setHeader("User-Agent", "tumblr.js/" + Client.version);
+		request.setHeader("Accept", "application/json");
+		request.setHeader("Content-Type", "application/x-www-form-urlencoded");
+		request.setHeader("Content-Length", Buffer.byteLength(body));
+
+		request.on("response", (response) => {
+			let responseData = "";
+			response.setEncoding("utf8");
+			response.on("data", (chunk) => {
+				responseData += chunk;
+			});
+			response.on("end", () => {
+				const statusCode = /** @type {number} */ (response.statusCode);
+				const details = { headers: response.headers, request: requestContext };
+
+				/** @type {Record<string, any>} */
+				let parsedData;
+				try {
+					parsedData = JSON.parse(responseData);
+				} catch (err) {
+					const error = new TumblrParseError(
+						statusCode,
+						`Cannot parse Tumblr JSON: ${responseData}`,
+						details
+					);
+					error.body = responseData;
+					reject(error);
+					return;
+				}
+
+				if (statusCode < 200 || statusCode > 399 || !parsedData?.access_token) {
+					// OAuth2 errors like invalid_grant come with 400
+					const ErrorClass = statusCode === 400 ? TumblrAuthError : errorClassForStatus(statusCode);
+					const message =
+						parsedData?.error_description ?? parsedData?.error ?? parsedData?.meta?.msg ?? "Unknown error";
+					reject(new ErrorClass(statusCode, message, { ...details, meta: parsedData?.meta }));
+					return;
+				}
+
+				resolve(/** @type {import('./types').OAuth2Tokens} */ (parsedData));
+			});
+		});
+
+		request.on("error", (err) => reject(new TumblrNetworkError(err, { request: requestContext })));
+
+		request.end(body);
+	});
+}
+
+/**
+ * Turns an error of the `oauth` package into a {@link TumblrError}
+ *
+ * @param {any} err error passed to `oauth` callbacks
+ * @param {import('./types').TumblrErrorRequest} request
+ *
+ * @returns {TumblrError}
+ */
+function oauthError(err, request) {
+	if (!Number.isInteger(err?.statusCode)) {
+		return new TumblrNetworkError(err instanceof Error ? err : new Error(String(err)), { request });
+	}
+
+	const ErrorClass = errorClassForStatus(err.statusCode);
+	const message = typeof err.data === "string" && err.data ? err.data : "OAuth request failed";
+
+	return new ErrorClass(err.statusCode, message, { request });
+}
+
+/**
+ * Performs the three-legged OAuth 1.0a flow to obtain user tokens
+ *
+ * @example
+ * const authorizer = new OAuth1Authorizer({ consumer_key, consumer_secret, callbackUrl });
+ * const requestToken = await authorizer.getRequestToken();
+ * // Redirect the user to requestToken.authorizeUrl, Tumblr redirects back with `oauth_verifier`
+ * const { token, token_secret, client } = await authorizer.getAccessToken(requestToken, oauthVerifier);
+ */
+class OAuth1Authorizer {
+	/** @type {oauth.OAuth} */
+	#oauthClient;
+
+	/** @type {import('./types').Options} */
+	#clientOptions;
 
 	/**
-	 * Gets the queue for a blog
-	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {{limit?: number; offset?: number; filter?: 'text'|'raw'}} [params] - optional data sent with the request
-	 *
-	 * @return {Promise<T>}
+	 * @param {import('./types').OAuth1AuthorizerOptions} options - consumer credentials and options for created clients
 	 */
-	blogQueue(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/queue`, params);
+	constructor(options) {
+		if (!options?.consumer_key || typeof options.consumer_key !== "string") {
+			throw new TypeError("You must provide a consumer_key.");
+		}
+		if (!options.consumer_secret || typeof options.consumer_secret !== "string") {
+			throw new TypeError("You must provide a consumer_secret.");
+		}
+
+		const { callbackUrl, oauthBaseUrl, ...clientOptions } = options;
+
+		try {
+			/**
+			 * Base URL of OAuth endpoints
+			 * @type {string}
+			 * @readonly
+			 */
+			this.oauthBaseUrl = new URL(oauthBaseUrl ?? OAUTH_BASE_URL).toString();
+		} catch (err) {
+			throw new TypeError("Invalid oauthBaseUrl option provided.");
+		}
+
+		this.#clientOptions = clientOptions;
+		this.#oauthClient = new oauth.OAuth(
+			new URL("oauth/request_token", this.oauthBaseUrl).toString(),
+			new URL("oauth/access_token", this.oauthBaseUrl).toString(),
+			options.consumer_key,
+			options.consumer_secret,
+			"1.0A",
+			callbackUrl ?? null,
+			"HMAC-SHA1"
+		);
 	}
 
 	/**
-	 * Gets the drafts for a blog
+	 * Obtains a temporary request token, the first step of the flow
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {{before_id?: number; filter?: PostFormatFilter}} [params] - optional data sent with the request
+	 * Keep `token_secret` until the user comes back, it's needed for {@link OAuth1Authorizer#getAccessToken}.
 	 *
-	 * @return {Promise<T>}
+	 * @return {Promise<import('./types').OAuth1RequestToken>}
 	 */
-	blogDrafts(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/draft`, params);
+	getRequestToken() {
+		return new Promise((resolve, reject) => {
+			this.#oauthClient.getOAuthRequestToken((err, token, token_secret) => {
+				if (err) {
+					reject(
+						oauthError(err, {
+							method: "POST",
+							url: new URL("oauth/request_token", this.oauthBaseUrl).toString()
+						})
+					);
+					return;
+				}
+
+				resolve({ token, token_secret, authorizeUrl: this.getAuthorizeUrl(token) });
+			});
+		});
 	}
 
 	/**
-	 * Gets the submissions for a blog
+	 * Builds the URL to send the user to, the second step of the flow
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {{offset?: number; filter?: PostFormatFilter}} [params] - optional data sent with the request
+	 * @param  {string} token - request token
 	 *
-	 * @return {Promise<T>}
+	 * @return {string}
 	 */
-	blogSubmissions(blogIdentifier, params) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/posts/submission`, params);
+	getAuthorizeUrl(token) {
+		const url = new URL("oauth/authorize", this.oauthBaseUrl);
+		url.searchParams.set("oauth_token", token);
+
+		return url.toString();
 	}
 
 	/**
-	 * Gets the avatar URL for a blog
+	 * Exchanges the request token and verifier for an access token, the last step of the flow
 	 *
-	 * @template {any} T
-	 * @param  {string} blogIdentifier - blog name or URL
-	 * @param  {16|24|30|40|48|64|96|128|512} [size] - optional data sent with the request
+	 * @param  {{token: string; token_secret: string}} requestToken - request token from {@link OAuth1Authorizer#getRequestToken}
+	 * @param  {string} verifier - `oauth_verifier` query parameter Tumblr redirected the user with
 	 *
-	 * @return {Promise<T>}
+	 * @return {Promise<import('./types').OAuth1AccessToken<Client>>}
 	 */
-	blogAvatar(blogIdentifier, size) {
-		return this.getRequest(`/v2/blog/${blogIdentifier}/avatar${size ? `/${size}` : ""}`);
+	getAccessToken(requestToken, verifier) {
+		return new Promise((resolve, reject) => {
+			this.#oauthClient.getOAuthAccessToken(
+				requestToken.token,
+				requestToken.token_secret,
+				verifier,
+				(err, token, token_secret) => {
+					if (err) {
+						reject(
+							oauthError(err, {
+								method: "POST",
+								url: new URL("oauth/access_token", this.oauthBaseUrl).toString()
+							})
+						);
+						return;
+					}
+
+					const client = new Client({ ...this.#clientOptions, token, token_secret });
+
+					resolve({ token, token_secret, client });
+				}
+			);
+		});
 	}
+}
+
+/**
+ * Performs the OAuth2 authorization code flow with PKCE to obtain user tokens
+ *
+ * @example
+ * const authorizer = new OAuth2Authorizer({ consumer_key, consumer_secret, redirectUri });
+ * const { authorizeUrl, state, codeVerifier } = authorizer.getAuthorizeUrl();
+ * // Redirect the user to authorizeUrl, Tumblr redirects back with `code` and `state`
+ * const { access_token, refresh_token, client } = await authorizer.getAccessToken(code, codeVerifier);
+ */
+class OAuth2Authorizer {
+	/** @type {string} */
+	#consumerKey;
+
+	/** @type {string} */
+	#consumerSecret;
+
+	/** @type {Omit<import('./types').OAuth2AuthorizerOptions, 'redirectUri' | 'scope' | 'oauthBaseUrl'>} */
+	#clientOptions;
 
 	/**
-	 * Gets information about the authenticating user and their blogs
-	 *
-	 * @template {any} T
-	 * @return {Promise<T>}
+	 * @param {import('./types').OAuth2AuthorizerOptions} options - consumer credentials and options for created clients
 	 */
-	userInfo() {
-		return this.getRequest("/v2/user/info");
+	constructor(options) {
+		if (!options?.consumer_key || typeof options.consumer_key !== "string") {
+			throw new TypeError("You must provide a consumer_key.");
+		}
+		if (!options.consumer_secret || typeof options.consumer_secret !== "string") {
+			throw new TypeError("You must provide a consumer_secret.");
+		}
+
+		const { redirectUri, scope, oauthBaseUrl, ...clientOptions } = options;
+
+		try {
+			/**
+			 * Base URL of the authorization page
+			 * @type {string}
+			 * @readonly
+			 */
+			this.oauthBaseUrl = new URL(oauthBaseUrl ?? OAUTH_BASE_URL).toString();
+		} catch (err) {
+			throw new TypeError("Invalid oauthBaseUrl option provided.");
+		}
+
+		try {
+			/**
+			 * Base URL of the token endpoint, the same as for API requests
+			 * @type {string}
+			 * @readonly
+			 */
+			this.baseUrl = new URL(options.baseUrl ?? API_BASE_URL).toString();
+		} catch (err) {
+			throw new TypeError("Invalid baseUrl option provided.");
+		}
+
+		/**
+		 * @type {string | undefined}
+		 * @readonly
+		 */
+		this.redirectUri = redirectUri;
+
+		/**
+		 * @type {ReadonlyArray<import('./types').OAuth2Scope>}
+		 * @readonly
+		 */
+		this.scope = scope ?? ["basic", "write", "offline_access"];
+
+		this.#consumerKey = options.consumer_key;
+		this.#consumerSecret = options.consumer_secret;
+		this.#clientOptions = clientOptions;
 	}
 
 	/**
-	 * Gets the dashboard posts for the authenticating user
+	 * Builds the URL to send the user to, with random `state` and PKCE challenge
 	 *
-	 * @template {any} T
-	 * @param  {Record<string,any>} [params] - query parameters
+	 * Keep `state` to check it against the one Tumblr redirects back with, and `codeVerifier` for
+	 * {@link OAuth2Authorizer#getAccessToken}.
 	 *
-	 * @return {Promise<T>}
+	 * @param  {{state?: string; pkce?: boolean}} [params] - custom `state`, `pkce: false` to skip PKCE
+	 *
+	 * @return {import('./types').OAuth2AuthorizeRequest}
 	 */
-	userDashboard(params) {
-		return this.getRequest("/v2/user/dashboard", params);
+	getAuthorizeUrl(params) {
+		const state = params?.state ?? crypto.randomBytes(16).toString("hex");
+		const url = new URL("oauth2/authorize", this.oauthBaseUrl);
+
+		url.searchParams.set("client_id", this.#consumerKey);
+		url.searchParams.set("response_type", "code");
+		url.searchParams.set("scope", this.scope.join(" "));
+		url.searchParams.set("state", state);
+		if (this.redirectUri) url.searchParams.set("redirect_uri", this.redirectUri);
+
+		if (params?.pkce === false) return { authorizeUrl: url.toString(), state };
+
+		const codeVerifier = crypto.randomBytes(32).toString("base64url");
+		url.searchParams.set("code_challenge", crypto.createHash("sha256").update(codeVerifier).digest("base64url"));
+		url.searchParams.set("code_challenge_method", "S256");
+
+		return { authorizeUrl: url.toString(), state, codeVerifier };
 	}
 
 	/**
-	 * Gets the blogs the authenticating user follows
+	 * Exchanges the authorization code for tokens
 	 *
-	 * @template {any} T
-	 * @param  {{limit?: number; offset?: number;}} [params] - query parameters
+	 * @param  {string} code - `code` query parameter Tumblr redirected the user with
+	 * @param  {string} [codeVerifier] - PKCE verifier from {@link OAuth2Authorizer#getAuthorizeUrl}
 	 *
-	 * @return {Promise<T>}
+	 * @return {Promise<import('./types').OAuth2AccessToken<Client>>}
 	 */
-	userFollowing(params) {
-		return this.getRequest("/v2/user/following", params);
+	async getAccessToken(code, codeVerifier) {
+		/** @type {Record<string, string>} */
+		const params = {
+			grant_type: "authorization_code",
+			code,
+			client_id: this.#consumerKey,
+			client_secret: this.#consumerSecret
+		};
+		if (this.redirectUri) params.redirect_uri = this.redirectUri;
+		if (codeVerifier) params.code_verifier = codeVerifier;
+
+		const tokens = await requestOAuth2Token(this.baseUrl, params);
+
+		return { ...tokens, client: this.createClient(tokens) };
 	}
 
 	/**
-	 * Gets the likes for the authenticating user
+	 * Exchanges the refresh token for new tokens
 	 *
-	 * @template {any} T
-	 * @param  {{limit?: number; offset?: number; before?: number; after?: number}} [params] - query parameters
+	 * @param  {string} refreshToken
 	 *
-	 * @return {Promise<T>}
+	 * @return {Promise<import('./types').OAuth2Tokens>}
 	 */
-	userLikes(params) {
-		return this.getRequest("/v2/user/likes", params);
+	refreshToken(refreshToken) {
+		return requestOAuth2Token(this.baseUrl, {
+			grant_type: "refresh_token",
+			refresh_token: refreshToken,
+			client_id: this.#consumerKey,
+			client_secret: this.#consumerSecret
+		});
 	}
 
 	/**
-	 * Gets posts tagged with the specified tag
+	 * Creates a client using stored tokens, which refreshes them when they expire
 	 *
-	 * @template {any} T
-	 * @param  {string} tag - The tag on the posts you'd like to retrieve
-	 * @param  {Record<string,any>} [params] - query parameters
+	 * @param  {{access_token: string; refresh_token?: string}} tokens
 	 *
-	 * @return {Promise<T>}
+	 * @return {Client}
 	 */
-	taggedPosts(tag, params) {
-		return this.getRequest("/v2/tagged", { ...params, tag });
+	createClient(tokens) {
+		return new Client({
+			...this.#clientOptions,
+			consumer_key: this.#consumerKey,
+			consumer_secret: this.#consumerSecret,
+			access_token: tokens.access_token,
+			refresh_token: tokens.refresh_token
+		});
 	}
 }
 
@@ -778,5 +3500,28 @@ function createClient(options) {
 module.exports = {
 	Client,
 	createClient,
-	TumblrError
+	httpTransport,
+	planQueueReorder,
+	npf,
+	NpfBuilder,
+	markdownToNpf,
+	htmlToNpf,
+	legacyToNpf,
+	MemoryCacheStore,
+	PostWatcher,
+	npfToHtml,
+	npfToMarkdown,
+	OAuth1Authorizer,
+	OAuth2Authorizer,
+	TumblrError,
+	TumblrAuthError,
+	TumblrNotFoundError,
+	TumblrValidationError,
+	TumblrRateLimitError,
+	TumblrParseError,
+	TumblrSchemaError,
+	TumblrQuotaError,
+	TumblrNetworkError,
+	TumblrAbortError,
+	TumblrTimeoutError
 };
@@ -1,7 +1,10 @@
 /// <reference types="node" />
 /// <reference types="node" />
 import { type ReadStream } from "node:fs";
-import { type IncomingMessage } from "node:http";
+import { type IncomingHttpHeaders, type IncomingMessage } from "node:http";
+import { type Readable } from "node:stream";
+import { type Blob } from "node:buffer";
+import { type NpfBuilder } from "./npf";
 export type PostType = "text" | "quote" | "link" | "answer" | "video" | "audio" | "photo" | "chat";
 export interface Options {
 	/**
@@ -20,10 +23,59 @@ export interface Options {
 	 * OAuth1 credential. Required for Oauth endpoints.
 	 */
 	token_secret?: string;
+	/**
+	 * OAuth2 access token. Enables OAuth2 authentication with `Authorization: Bearer` header.
+	 *
+	 * Cannot be combined with OAuth1 `token` and `token_secret`.
+	 */
+	access_token?: string;
+	/**
+	 * (optional) OAuth2 refresh token. Expired access token is refreshed with it automatically.
+	 *
+	 * Requires `consumer_key` and `consumer_secret`.
+	 */
+	refresh_token?: string;
+	/**
+	 * (optional) Called with new OAuth2 tokens after they were refreshed, e.g. to persist them.
+	 */
+	onTokenRefresh?: (tokens: OAuth2Tokens) => void | Promise<void>;
 	/**
 	 * (optional) The API url if different from the default.
 	 */
 	baseUrl?: string;
+	/**
+	 * (optional) Timeout in milliseconds for every request, including retries. No timeout by default.
+	 */
+	timeout?: number;
+	/**
+	 * (optional) Function sending requests and returning responses, the end of the middleware chain.
+	 * Defaults to `httpTransport`.
+	 */
+	transport?: Transport;
+	/**
+	 * (optional) Retry policy for failed requests, merged with the defaults. Pass `false` to disable retries.
+	 */
+	retry?: RetryOptions | false;
+	/**
+	 * (optional) Check responses of known endpoints against their types, rejecting mismatches with
+	 * `TumblrSchemaError`. Disabled by default.
+	 */
+	validateResponses?: boolean;
+	/**
+	 * (optional) Cache of GET responses, also collapsing concurrent identical GET requests into one.
+	 * Pass `true` for the defaults. Disabled by default.
+	 */
+	cache?: boolean | CacheOptions;
+	/**
+	 * (optional) Limits on concurrent requests and requests per interval, every attempt waits in the queue.
+	 * No limits by default.
+	 */
+	scheduler?: SchedulerOptions;
+	/**
+	 * (optional) Track daily quotas of posts, follows and likes, rejecting or delaying requests over them
+	 * before they are sent. Pass `true` for the defaults. Disabled by default.
+	 */
+	quotas?: boolean | QuotaOptions;
 }
 export type PostFormatFilter = "text" | "raw";
 export type PostState = "published" | "queue" | "draft" | "private" | "unapproved";
@@ -64,30 +116,44 @@ export interface MediaObject {
 	 */
 	cropped?: boolean;
 }
+/**
+ * Media to upload: file path, `http(s)` URL to download and re-host, `file:` URL, Buffer, Blob or Readable stream.
+ *
+ * The type is detected from the content, the size and type are checked against upload limits before sending.
+ * File paths and file read streams are uploaded from disk, other sources are read into memory first.
+ *
+ * An `http(s)` URL string in raw `media` or `poster` params is downloaded and re-hosted. The `NpfBuilder`
+ * methods treat URL strings differently and don't download them: `image(url)` adds the media object
+ * `{url}` for Tumblr to fetch, `audio(url)` and `video(url)` add the URL of the block to embed. Pass a `URL`
+ * object to the builder to re-host the file.
+ */
+export type MediaUploadSource = string | URL | Buffer | Uint8Array | Blob | Readable;
 export interface AudioBlock {
 	type: "audio";
 	/**
-	 * NPF MediaObject or Node.js fs.ReadStream object
+	 * NPF MediaObject or media to upload
 	 *
-	 * Provide a fs.ReadStream object to upload media or an object satisfying the MediaObject interface to use existing media.
+	 * Provide a {@link MediaUploadSource}, e.g. fs.ReadStream object, to upload media or an object satisfying the MediaObject interface to use existing media.
 	 *
 	 * @link https://www.tumblr.com/docs/npf#media-objects
 	 * @link https://nodejs.org/docs/latest-v18.x/api/fs.html#class-fsreadstream
 	 */
-	media: ReadStream | MediaObject;
+	media?: ReadStream | MediaUploadSource | MediaObject;
 	[prop: string]: any;
 }
 export interface ImageBlock {
 	type: "image";
 	/**
-	 * NPF MediaObject or Node.js fs.ReadStream object
+	 * NPF MediaObject or media to upload
 	 *
-	 * Provide a fs.ReadStream object to upload media or an object satisfying the MediaObject interface to use existing media.
+	 * Provide a {@link MediaUploadSource}, e.g. fs.ReadStream object, to upload media or an object satisfying the MediaObject interface to use existing media.
 	 *
 	 * @link https://www.tumblr.com/docs/npf#media-objects
 	 * @link https://nodejs.org/docs/latest-v18.x/api/fs.html#class-fsreadstream
 	 */
-	media: ReadStream | MediaObject;
+	media: ReadStream | MediaUploadSource | MediaObject | ReadonlyArray<MediaObject>;
+	alt_text?: string;
+	caption?: string;
 	[prop: string]: any;
 }
 export interface LinkBlock {
@@ -100,26 +166,36 @@ export interface PaywallBlock {
 }
 export interface TextBlock {
 	type: "text";
+	text?: string;
+	subtype?: NpfTextSubtype;
+	indent_level?: number;
+	formatting?: ReadonlyArray<NpfTextFormatting>;
+	[prop: string]: any;
+}
+export interface PollBlock {
+	type: "poll";
+	question?: string;
+	answers?: ReadonlyArray<{ client_id?: string; answer_text: string }>;
 	[prop: string]: any;
 }
 export interface VideoBlock {
 	type: "video";
 	/**
-	 * NPF MediaObject or Node.js fs.ReadStream object
+	 * NPF MediaObject or media to upload
 	 *
-	 * Provide a fs.ReadStream object to upload media or an object satisfying the MediaObject interface to use existing media.
+	 * Provide a {@link MediaUploadSource}, e.g. fs.ReadStream object, to upload media or an object satisfying the MediaObject interface to use existing media.
 	 *
 	 * @link https://www.tumblr.com/docs/npf#media-objects
 	 * @link https://nodejs.org/docs/latest-v18.x/api/fs.html#class-fsreadstream
 	 */
-	media: ReadStream | MediaObject;
+	media?: ReadStream | MediaUploadSource | MediaObject;
 	[prop: string]: any;
 }
-export type NpfContentBlock = AudioBlock | ImageBlock | LinkBlock | PaywallBlock | TextBlock | VideoBlock;
+export type NpfContentBlock = AudioBlock | ImageBlock | LinkBlock | PaywallBlock | PollBlock | TextBlock | VideoBlock;
 export interface NpfLayoutAsk {
 	type: "ask";
 	blocks: ReadonlyArray<number>;
-	attribution: any;
+	attribution?: any;
 }
 export interface NpfLayoutRows {
 	type: "rows";
@@ -129,7 +205,10 @@ export interface NpfLayoutRows {
 			type: string;
 		};
 	}>;
-	truncate_after?: 1;
+	/**
+	 * Index of the last block displayed before the "Read more" break
+	 */
+	truncate_after?: number;
 }
 export type NpfLayoutBlock = NpfLayoutAsk | NpfLayoutRows;
 export interface NpfPostParams {
@@ -148,15 +227,16 @@ export interface NpfPostParams {
 	 */
 	state?: PostState;
 	/**
-	 * The exact future date and time (ISO 8601 format) to publish the post, if desired.
+	 * The exact future date and time to publish the post, if desired: a `Date` or an ISO 8601 string with a
+	 * timezone. Dates in the past are rejected with `RangeError` before sending.
 	 * This parameter will be ignored unless the state parameter is "queue".
 	 */
-	publish_on?: string;
+	publish_on?: string | Date;
 	/**
 	 * The exact date and time (ISO 8601 format) in the past to backdate the post, if desired.
 	 * This backdating does not apply to when the post shows up in the Dashboard.
 	 */
-	date?: string;
+	date?: string | Date;
 	/**
 	 * Tags to associate with the post.
 	 */
@@ -198,7 +278,7 @@ export interface NpfReblogParams extends NpfPostParams {
 	/**
 	 * Instead of `hide_trail`, use this to specify an array of specific reblog trail item indexes to exclude from your reblog.
 	 */
-	exclude_trail_items?: boolean;
+	exclude_trail_items?: ReadonlyArray<number>;
 }
 export interface BlogPostsParams {
 	/**
@@ -245,6 +325,1196 @@ export interface BlogPosts<This> {
 	 *
 	 * @param  blogIdentifier - blog name or URL
 	 * @param  Params - Additional request parameters
+	 * @param  requestOptions - options for this request only
+	 */
+	<T = BlogPostsResponse>(
+		this: This,
+		blogIdentifier: string,
+		params?: BlogPostsParams,
+		requestOptions?: RequestOptions
+	): Promise<T>;
+}
+export interface PaginationOptions<T = any> extends RequestOptions {
+	/**
+	 * Maximum number of items to yield in total. Unlimited by default.
+	 */
+	maxItems?: number;
+	/**
+	 * Number of items to request per page (sent as `limit`). The API default is used if omitted.
+	 */
+	pageSize?: number;
+	/**
+	 * Stop predicate, called for every item before it's yielded.
+	 * Iteration ends (without yielding the item) as soon as it returns `true`.
+	 */
+	stopWhen?: (item: T, index: number) => boolean | Promise<boolean>;
+}
+export interface RetryOptions {
+	/**
+	 * Total number of attempts, including the first one. Defaults to 3.
+	 */
+	maxAttempts?: number;
+	/**
+	 * Delay before the first retry in milliseconds, doubled with every next attempt. Defaults to 1000.
+	 */
+	baseDelay?: number;
+	/**
+	 * Maximum delay between attempts in milliseconds. Defaults to 30000.
+	 *
+	 * If `Retry-After` or an exhausted rate limit requires waiting longer, the request is not retried.
+	 */
+	maxDelay?: number;
+	/**
+	 * Whether to randomize delays ("full jitter"). Defaults to true.
+	 */
+	jitter?: boolean;
+	/**
+	 * Response statuses to retry. Defaults to 408, 429, 500, 502, 503 and 504.
+	 */
+	statuses?: ReadonlyArray<number>;
+	/**
+	 * Network error codes to retry. Defaults to ECONNRESET, ECONNREFUSED, ETIMEDOUT, EPIPE and EAI_AGAIN.
+	 */
+	errorCodes?: ReadonlyArray<string>;
+	/**
+	 * Request methods to retry. Defaults to GET, PUT and DELETE: POST requests are not idempotent.
+	 *
+	 * Requests uploading media streams are never retried.
+	 */
+	methods?: ReadonlyArray<"GET" | "POST" | "PUT" | "DELETE">;
+}
+export interface RequestOptions {
+	/**
+	 * Retry policy for this request, merged with the client one. Pass `false` to disable retries.
+	 */
+	retry?: RetryOptions | false;
+	/**
+	 * Signal to abort the request with. Aborted request rejects with `TumblrAbortError`.
+	 */
+	signal?: AbortSignal;
+	/**
+	 * Timeout in milliseconds for this request, including retries. Overrides the client `timeout`.
+	 * Timed out request rejects with `TumblrTimeoutError`.
+	 */
+	timeout?: number;
+	/**
+	 * Whether to check the response against its type. Overrides the client `validateResponses`.
+	 */
+	validate?: boolean;
+	/**
+	 * Pass `false` to skip the client cache and in-flight deduplication for this GET request
+	 */
+	cache?: boolean;
+}
+export interface RateLimitWindow {
+	/**
+	 * Number of requests allowed in the window
+	 */
+	limit: number;
+	/**
+	 * Number of requests left in the window
+	 */
+	remaining: number;
+	/**
+	 * Seconds until the window resets
+	 */
+	reset: number;
+}
+export interface RateLimitState {
+	perDay?: RateLimitWindow;
+	perHour?: RateLimitWindow;
+	/**
+	 * When the state was received
+	 */
+	updatedAt: Date;
+}
+/**
+ * Item of the `errors` array in API error responses
+ */
+export interface TumblrApiError {
+	title?: string;
+	/**
+	 * Tumblr-specific error subcode
+	 */
+	code?: number;
+	detail?: string;
+	[prop: string]: any;
+}
+export interface TumblrErrorRequest {
+	method: "GET" | "POST" | "PUT" | "DELETE";
+	/**
+	 * Request URL without the API key
+	 */
+	url: string;
+}
+export interface TumblrErrorDetails {
+	meta?: Record<string, any>;
+	errors?: ReadonlyArray<TumblrApiError>;
+	headers?: IncomingHttpHeaders;
+	request?: TumblrErrorRequest;
+}
+export interface OAuth1AuthorizerOptions extends Omit<Options, "token" | "token_secret"> {
+	consumer_key: string;
+	consumer_secret: string;
+	/**
+	 * (optional) URL Tumblr redirects the user to after authorization. Defaults to "oob".
+	 */
+	callbackUrl?: string;
+	/**
+	 * (optional) The URL of OAuth endpoints if different from the default "https://www.tumblr.com".
+	 */
+	oauthBaseUrl?: string;
+}
+export interface OAuth1RequestToken {
+	token: string;
+	token_secret: string;
+	/**
+	 * URL to send the user to for authorization
+	 */
+	authorizeUrl: string;
+}
+export interface OAuth1AccessToken<Client> {
+	token: string;
+	token_secret: string;
+	/**
+	 * Client configured with the obtained tokens
+	 */
+	client: Client;
+}
+export type OAuth2Scope = "basic" | "write" | "offline_access";
+export interface OAuth2Tokens {
+	access_token: string;
+	/**
+	 * Present if `offline_access` scope was granted
+	 */
+	refresh_token?: string;
+	/**
+	 * Lifetime of the access token in seconds
+	 */
+	expires_in: number;
+	token_type: string;
+	scope: string;
+	id_token?: string;
+}
+export interface OAuth2AuthorizerOptions extends Omit<
+	Options,
+	"token" | "token_secret" | "access_token" | "refresh_token"
+> {
+	consumer_key: string;
+	consumer_secret: string;
+	/**
+	 * (optional) URL Tumblr redirects the user to after authorization, one of registered in the app settings.
+	 */
+	redirectUri?: string;
+	/**
+	 * (optional) Requested scopes. Defaults to all: "basic", "write" and "offline_access".
+	 */
+	scope?: ReadonlyArray<OAuth2Scope>;
+	/**
+	 * (optional) The URL of the authorization page if different from the default "https://www.tumblr.com".
+	 */
+	oauthBaseUrl?: string;
+}
+export interface OAuth2AuthorizeRequest {
+	/**
+	 * URL to send the user to for authorization
+	 */
+	authorizeUrl: string;
+	/**
+	 * Value to compare with the `state` Tumblr redirects back with
+	 */
+	state: string;
+	/**
+	 * PKCE verifier to pass to `getAccessToken`, if PKCE is used
+	 */
+	codeVerifier?: string;
+}
+export interface OAuth2AccessToken<Client> extends OAuth2Tokens {
+	/**
+	 * Client configured with the obtained tokens
+	 */
+	client: Client;
+}
+export interface MiddlewareResponse {
+	statusCode: number;
+	headers: IncomingHttpHeaders;
+	/**
+	 * Raw response body
+	 */
+	body: string;
+	/**
+	 * Parsed JSON response body, `undefined` if the body is not a valid JSON
+	 */
+	data?: any;
+}
+export interface MiddlewareContext {
+	/**
+	 * Request URL including search params
+	 */
+	url: URL;
+	method: "GET" | "POST" | "PUT" | "DELETE";
+	headers: Record<string, string>;
+	/**
+	 * Request body fields, `null` for GET requests and requests without params
+	 */
+	body: Map<string, any> | null;
+	/**
+	 * Number of the attempt, starting at 1
+	 */
+	attempt: number;
+	/**
+	 * Aborted when the request is aborted or timed out
+	 */
+	signal: AbortSignal;
+	/**
+	 * Set after `next()` resolves
+	 */
+	response?: MiddlewareResponse;
+}
+export type Middleware = (ctx: MiddlewareContext, next: () => Promise<void>) => void | Promise<void>;
+/**
+ * Sends the request described by the middleware context and returns the response
+ *
+ * Network errors should be rejected with `TumblrNetworkError` to be retried.
+ */
+export type Transport = (ctx: MiddlewareContext) => Promise<MiddlewareResponse>;
+/**
+ * @link https://www.tumblr.com/docs/npf#text-block-subtypes
+ */
+export type NpfTextSubtype =
+	"heading1" | "heading2" | "quirky" | "quote" | "indented" | "chat" | "ordered-list-item" | "unordered-list-item";
+/**
+ * @link https://www.tumblr.com/docs/npf#inline-formatting-within-a-text-block
+ */
+export type NpfTextFormatting = { start: number; end: number } & (
+	| { type: "bold" | "italic" | "strikethrough" | "small" }
+	| { type: "link"; url: string }
+	| { type: "mention"; blog: { uuid: string; name?: string; url?: string } }
+	| { type: "color"; hex: string }
+);
+/**
+ * Character range `[start, end)` of a text, or a substring to format its first occurrence
+ */
+export type NpfRange = readonly [start: number, end: number] | string;
+export interface NpfTextOptions {
+	subtype?: NpfTextSubtype;
+	indent_level?: number;
+	bold?: NpfRange | ReadonlyArray<NpfRange>;
+	italic?: NpfRange | ReadonlyArray<NpfRange>;
+	strikethrough?: NpfRange | ReadonlyArray<NpfRange>;
+	small?: NpfRange | ReadonlyArray<NpfRange>;
+	link?: { range: NpfRange; url: string } | ReadonlyArray<{ range: NpfRange; url: string }>;
+	mention?:
+		| { range: NpfRange; blog: { uuid: string; name?: string; url?: string } }
+		| ReadonlyArray<{ range: NpfRange; blog: { uuid: string; name?: string; url?: string } }>;
+	color?: { range: NpfRange; hex: string } | ReadonlyArray<{ range: NpfRange; hex: string }>;
+	/**
+	 * Formatting objects added as is
+	 */
+	formatting?: ReadonlyArray<NpfTextFormatting>;
+}
+export interface NpfImageOptions {
+	/**
+	 * Alt text, sent as `alt_text`
+	 */
+	alt?: string;
+	caption?: string;
+	colors?: Record<string, string>;
+	attribution?: any;
+	[prop: string]: any;
+}
+export interface NpfLinkOptions {
+	title?: string;
+	description?: string;
+	author?: string;
+	site_name?: string;
+	display_url?: string;
+	poster?: MediaUploadSource | ReadonlyArray<MediaObject>;
+}
+export interface NpfAudioOptions {
+	provider?: string;
+	title?: string;
+	artist?: string;
+	album?: string;
+	poster?: MediaUploadSource | ReadonlyArray<MediaObject>;
+	embed_html?: string;
+	embed_url?: string;
+	[prop: string]: any;
+}
+export interface NpfVideoOptions {
+	provider?: string;
+	embed_html?: string;
+	embed_url?: string;
+	poster?: MediaUploadSource | ReadonlyArray<MediaObject>;
+	[prop: string]: any;
+}
+export interface NpfPaywallOptions {
+	subtype?: "cta" | "divider" | "disabled";
+	url?: string;
+	title?: string;
+	text?: string;
+	color?: string;
+}
+export interface NpfTrailItem {
+	blog?: { name: string; url?: string; uuid?: string };
+	/**
+	 * Name of the blog if it was deleted or suspended
+	 */
+	broken_blog_name?: string;
+	post?: { id: string };
+	content: ReadonlyArray<NpfContentBlock>;
+	layout?: ReadonlyArray<NpfLayoutBlock>;
+}
+/**
+ * NPF post from the API or post params
+ */
+export interface NpfRenderable {
+	content?: ReadonlyArray<NpfContentBlock>;
+	layout?: ReadonlyArray<NpfLayoutBlock>;
+	/**
+	 * Reblog trail, rendered before the post's own content
+	 */
+	trail?: ReadonlyArray<NpfTrailItem>;
+}
+export interface NpfRenderOptions {
+	/**
+	 * Whether to render the reblog trail. Defaults to `true`.
+	 */
+	trail?: boolean;
+}
+export interface BlogPostParams {
+	/**
+	 * Post format to return. Defaults to `npf`.
+	 */
+	post_format?: "npf" | "legacy";
+}
+/**
+ * - `all` – all notes, newest first
+ * - `likes` – only likes
+ * - `conversation` – only replies and reblogs with added text
+ * - `rollup` – likes and reblogs summarized, with replies and reblogs with content
+ * - `reblogs_with_tags` – only reblogs with tags
+ */
+export type NoteMode = "all" | "likes" | "conversation" | "rollup" | "reblogs_with_tags";
+export interface BlogNotesParams {
+	/**
+	 * Post ID
+	 */
+	id: string;
+	/**
+	 * Notes to return. Defaults to `all`.
+	 */
+	mode?: NoteMode;
+	/**
+	 * Unix timestamp in seconds, returns notes older than it
+	 */
+	before_timestamp?: number;
+}
+export type NotificationType =
+	| "like"
+	| "reply"
+	| "follow"
+	| "mention_in_reply"
+	| "mention_in_post"
+	| "reblog_naked"
+	| "reblog_with_content"
+	| "ask"
+	| "answered_ask"
+	| "new_group_blog_member"
+	| "post_attribution"
+	| "post_flagged"
+	| "post_appeal_accepted"
+	| "post_appeal_rejected"
+	| "what_you_missed"
+	| "conversational_note"
+	| "note_mention"
+	| (string & {});
+export interface BlogNotificationsParams {
+	/**
+	 * Unix timestamp in seconds, returns notifications older than it
+	 */
+	before?: number;
+	/**
+	 * Return only notifications of these types
+	 */
+	types?: ReadonlyArray<NotificationType>;
+	/**
+	 * Whether to roll up similar notifications
+	 */
+	rollups?: boolean;
+	/**
+	 * Exclude notifications about these posts
+	 */
+	omit_post_ids?: ReadonlyArray<string>;
+}
+export interface BlockedBlog {
+	name: string;
+	title: string;
+	url: string;
+	uuid: string;
+	description: string;
+	/**
+	 * Unix timestamp in seconds of the last update of the blog
+	 */
+	updated: number;
+	[key: string]: unknown;
+}
+export interface BlogBlocksResponse {
+	blocked_tumblelogs: BlockedBlog[];
+}
+export interface BulkBlockOptions extends RequestOptions {
+	/**
+	 * Number of blogs sent in one request, from 1 to 100. Defaults to 100.
+	 */
+	batchSize?: number;
+	/**
+	 * Block blogs even if it cancels an existing follow relationship
+	 */
+	force?: boolean;
+}
+export interface BulkBlockResult {
+	/**
+	 * Blogs of the batches the API accepted
+	 */
+	blocked: string[];
+	/**
+	 * Batches the API rejected with the error
+	 */
+	failed: Array<{ blogs: string[]; error: Error }>;
+}
+export interface QueueMove {
+	/**
+	 * ID of the queued post to move
+	 */
+	post_id: string;
+	/**
+	 * ID of the queued post to place it after, `"0"` for the top of the queue
+	 */
+	insert_after: string;
+}
+/**
+ * Fields of a post object, NPF or legacy, needed to reblog it
+ */
+export interface ReblogSourcePost {
+	id?: number | string;
+	id_string?: string;
+	reblog_key: string;
+	blog: { uuid: string; [key: string]: unknown };
+	state?: string;
+	can_reblog?: boolean;
+	interactability_reblog?: "everyone" | "noone";
+	trail?: ReadonlyArray<unknown>;
+	[key: string]: unknown;
+}
+export interface ReblogOptions
+	extends Omit<NpfPostParams, "content" | "layout">, Pick<NpfReblogParams, "hide_trail" | "exclude_trail_items"> {
+	/**
+	 * Content added to the reblog: plain text with paragraphs separated by blank lines, NPF content blocks
+	 * or a builder from `npf()` with its layout
+	 */
+	comment?: string | ReadonlyArray<NpfContentBlock> | NpfBuilder;
+}
+/**
+ * Blog as embedded in posts, trails and lists
+ */
+export interface BlogSummary {
+	name: string;
+	title?: string;
+	description?: string;
+	url?: string;
+	uuid?: string;
+	/**
+	 * Unix timestamp in seconds of the last update of the blog
+	 */
+	updated?: number;
+}
+export interface AvatarImage {
+	width: number;
+	height: number;
+	url: string;
+}
+export interface BlogInfo extends BlogSummary {
+	title: string;
+	description: string;
+	url: string;
+	uuid: string;
+	updated: number;
+	/**
+	 * Number of posts, available to blog owners and for public blogs
+	 */
+	posts?: number;
+	/**
+	 * Number of likes, if the blog shares them
+	 */
+	likes?: number;
+	avatar?: AvatarImage[];
+	ask?: boolean;
+	ask_anon?: boolean;
+	ask_page_title?: string;
+	is_nsfw?: boolean;
+	is_blocked_from_primary?: boolean;
+	share_likes?: boolean;
+	/**
+	 * Whether the authenticating user follows the blog
+	 */
+	followed?: boolean;
+	theme?: Record<string, unknown>;
+}
+/**
+ * Blog of the authenticating user
+ */
+export interface UserBlog extends BlogInfo {
+	primary: boolean;
+	admin?: boolean;
+	followers?: number;
+	drafts?: number;
+	queue?: number;
+	messages?: number;
+	type?: "public" | "private";
+}
+export interface User {
+	name: string;
+	/**
+	 * Number of posts the user liked
+	 */
+	likes: number;
+	/**
+	 * Number of blogs the user follows
+	 */
+	following: number;
+	default_post_format?: "html" | "markdown" | "raw";
+	blogs: UserBlog[];
+}
+export interface Follower {
+	name: string;
+	url: string;
+	/**
+	 * Unix timestamp in seconds of the last update of the blog
+	 */
+	updated: number;
+	/**
+	 * Whether the blog follows back
+	 */
+	following: boolean;
+}
+/**
+ * Link to the next or previous page of a list endpoint
+ */
+export interface PaginationLink {
+	href: string;
+	method: string;
+	/**
+	 * Query params of the page, merged into the request by `iterate*` methods
+	 */
+	query_params: Record<string, string>;
+}
+export interface PaginationLinks {
+	next?: PaginationLink;
+	prev?: PaginationLink;
+}
+/**
+ * Fields shared by NPF and legacy posts
+ */
+export interface PostBase {
+	id: number;
+	id_string: string;
+	blog_name: string;
+	blog: BlogSummary;
+	post_url: string;
+	short_url?: string;
+	slug: string;
+	/**
+	 * GMT date and time of the post, e.g. `2024-01-31 12:00:00 GMT`
+	 */
+	date: string;
+	/**
+	 * Unix timestamp in seconds of the post
+	 */
+	timestamp: number;
+	state?: PostState;
+	tags: string[];
+	summary?: string;
+	note_count?: number;
+	reblog_key: string;
+	can_reblog?: boolean;
+	can_like?: boolean;
+	can_reply?: boolean;
+	can_send_in_message?: boolean;
+	liked?: boolean;
+	followed?: boolean;
+	parent_post_id?: string;
+	parent_tumblelog_uuid?: string;
+	interactability_reblog?: "everyone" | "noone";
+	/**
+	 * Unix timestamp in seconds when a queued post is published
+	 */
+	scheduled_publish_time?: number;
+}
+export interface TrailItem extends NpfTrailItem {
+	blog?: BlogSummary;
+	content: NpfContentBlock[];
+	layout: NpfLayoutBlock[];
+}
+export interface NpfPost extends PostBase {
+	type: "blocks";
+	/**
+	 * Legacy type of the post
+	 */
+	original_type?: PostType | "note" | "regular";
+	content: NpfContentBlock[];
+	layout: NpfLayoutBlock[];
+	trail: TrailItem[];
+}
+/**
+ * Trail item of a legacy post, content is HTML
+ */
+export interface LegacyTrailItem {
+	blog: BlogSummary & { active?: boolean };
+	post: { id: string };
+	content: string;
+	content_raw?: string;
+	is_current_item?: boolean;
+	is_root_item?: boolean;
+}
+export interface LegacyPost extends PostBase {
+	type: PostType;
+	format?: "html" | "markdown";
+	trail?: LegacyTrailItem[];
+	title?: string | null;
+	body?: string;
+	caption?: string;
+	text?: string;
+	source?: string;
+	url?: string;
+	link_url?: string;
+	photos?: Array<{ caption: string; original_size: MediaObject; alt_sizes: MediaObject[] }>;
+	question?: string;
+	answer?: string;
+	asking_name?: string;
+	asking_url?: string | null;
+	dialogue?: Array<{ name: string; label: string; phrase: string }>;
+	audio_url?: string;
+	player?: string | Array<{ width: number; embed_code: string | false }>;
+	video_url?: string;
+	video_type?: string;
+	permalink_url?: string;
+	thumbnail_url?: string;
+	photoset_layout?: string;
+	description?: string;
+	excerpt?: string;
+	publisher?: string;
+	link_image?: string;
+	track_name?: string;
+	artist?: string;
+	album?: string;
+	album_art?: string;
+	audio_type?: string;
+	audio_source_url?: string;
+	source_url?: string;
+	[key: string]: unknown;
+}
+/**
+ * Params of the deprecated legacy post methods, converted to NPF by `legacyToNpf`
+ */
+export interface LegacyPostParams {
+	type: Exclude<PostType, "answer">;
+	state?: PostState;
+	/**
+	 * Comma-separated tags
+	 */
+	tags?: string | ReadonlyArray<string>;
+	/**
+	 * Date of the post, e.g. `2024-01-31 12:00:00 GMT`
+	 */
+	date?: string;
+	publish_on?: string;
+	slug?: string;
+	/**
+	 * Format of `body`, `caption`, `quote` and `description`. Defaults to "html".
+	 */
+	format?: "html" | "markdown";
+	source_url?: string;
+	title?: string;
+	body?: string;
+	caption?: string;
+	/**
+	 * Click-through URL of a photo post
+	 */
+	link?: string;
+	/**
+	 * Photo URL of a photo post, or the source of a quote
+	 */
+	source?: string;
+	/**
+	 * Photo, audio or video to upload
+	 */
+	data?: MediaUploadSource | ReadonlyArray<MediaUploadSource>;
+	/**
+	 * Base64-encoded photo, audio or video to upload
+	 */
+	data64?: string;
+	quote?: string;
+	url?: string;
+	description?: string;
+	thumbnail?: string;
+	excerpt?: string;
+	author?: string;
+	/**
+	 * Chat lines, `Label: phrase` each
+	 */
+	conversation?: string;
+	external_url?: string;
+	/**
+	 * Video embed code or URL
+	 */
+	embed?: string;
+	[key: string]: unknown;
+}
+export type Post = NpfPost | LegacyPost;
+export type LikedPost = Post & {
+	/**
+	 * Unix timestamp in seconds of the like
+	 */
+	liked_timestamp: number;
+};
+export interface Note {
+	type: "like" | "reblog" | "posted" | "reply" | "answer" | (string & {});
+	/**
+	 * Unix timestamp in seconds of the note
+	 */
+	timestamp: number;
+	blog_name: string;
+	blog_uuid?: string;
+	blog_url?: string;
+	followed?: boolean;
+	avatar_shape?: "square" | "circle";
+	/**
+	 * Text of a reply
+	 */
+	reply_text?: string;
+	/**
+	 * Text added in a reblog
+	 */
+	added_text?: string;
+	/**
+	 * Tags of a reblog
+	 */
+	tags?: string[];
+	/**
+	 * ID of the reblog post
+	 */
+	post_id?: string;
+	reblog_parent_blog_name?: string;
+}
+export interface Notification {
+	id?: string;
+	type: NotificationType;
+	/**
+	 * Unix timestamp in seconds of the notification
+	 */
+	timestamp: number;
+	unread?: boolean;
+	target_post_id?: string;
+	target_tumblelog_name?: string;
+	from_tumblelog_name?: string;
+	[key: string]: unknown;
+}
+/**
+ * Response of a write endpoint without content
+ */
+export type EmptyResponse = Record<string, never> | [];
+export interface BlogInfoResponse {
+	blog: BlogInfo;
+}
+export interface BlogAvatarResponse {
+	avatar_url: string;
+}
+export interface LikesResponse {
+	liked_posts: LikedPost[];
+	liked_count: number;
+	_links?: PaginationLinks;
+}
+export interface BlogFollowersResponse {
+	total_users: number;
+	users: Follower[];
+	_links?: PaginationLinks;
+}
+export interface PostsResponse {
+	posts: Post[];
+	_links?: PaginationLinks;
+}
+export interface BlogPostsResponse extends PostsResponse {
+	blog: BlogInfo;
+	total_posts: number;
+}
+export interface BlogNotesResponse {
+	notes: Note[];
+	/**
+	 * Replies and reblogs with content in `rollup` mode
+	 */
+	rollup_notes?: Note[];
+	total_notes: number;
+	total_likes?: number;
+	total_reblogs?: number;
+	_links?: PaginationLinks;
+}
+export interface BlogNotificationsResponse {
+	notifications: Notification[];
+	_links?: PaginationLinks;
+}
+export interface UserInfoResponse {
+	user: User;
+}
+/**
+ * Daily limit of an action
+ */
+export interface UserLimit {
+	description?: string;
+	limit: number;
+	remaining: number;
+	/**
+	 * Unix timestamp in seconds
+	 */
+	reset_at: number;
+}
+export interface UserLimitsResponse {
+	user: {
+		blogs?: UserLimit;
+		follows?: UserLimit;
+		likes?: UserLimit;
+		photos?: UserLimit;
+		posts?: UserLimit;
+		video_seconds?: UserLimit;
+		videos?: UserLimit;
+		[limit: string]: UserLimit | undefined;
+	};
+}
+export interface UserFollowingResponse {
+	total_blogs: number;
+	blogs: BlogInfo[];
+	_links?: PaginationLinks;
+}
+export interface FollowBlogResponse {
+	blog: BlogInfo;
+}
+export interface PostWriteResponse {
+	id: string | number;
+	id_string?: string;
+	state?: PostState;
+	display_text?: string;
+}
+export interface PostDeleteResponse {
+	id: string | number;
+	id_string?: string;
+}
+/**
+ * Mismatch between a response and its expected shape
+ */
+export interface SchemaIssue {
+	/**
+	 * Path to the mismatched value, e.g. `response.posts[2].blog.uuid`
+	 */
+	path: string;
+	message: string;
+}
+/**
+ * Storage of cached responses. Methods may be async, e.g. to keep entries in Redis.
+ */
+export interface CacheStore {
+	/**
+	 * @param key - request path with sorted query, followed by `#` and a hash of the credentials
+	 * @returns stored value, `undefined` if missing or expired
+	 */
+	get(key: string): string | undefined | null | Promise<string | undefined | null>;
+	/**
+	 * @param value - serialized response data
+	 * @param ttl - time to live in milliseconds
+	 */
+	set(key: string, value: string, ttl: number): void | Promise<void>;
+	/**
+	 * Deletes all entries with keys starting with the prefix, e.g. `/v2/blog/staff/`
+	 */
+	deleteByPrefix(prefix: string): void | Promise<void>;
+}
+export interface CacheOptions {
+	/**
+	 * Where to keep responses. Defaults to an in-memory LRU `MemoryCacheStore`.
+	 */
+	store?: CacheStore;
+	/**
+	 * Maximum number of entries of the default in-memory store. Defaults to 1000.
+	 */
+	maxEntries?: number;
+	/**
+	 * TTL in milliseconds of endpoints missing from `endpoints`. Defaults to 0: not cached, only
+	 * concurrent requests are deduplicated.
+	 */
+	ttl?: number;
+	/**
+	 * TTLs in milliseconds by endpoint path. `*` matches a single path segment, such as the blog identifier.
+	 * Merged with the defaults: 5 minutes for blog info, 1 hour for avatars and 1 minute for user info.
+	 * Pass 0 to disable caching of an endpoint.
+	 */
+	endpoints?: Record<string, number>;
+}
+export interface SchedulerOptions {
+	/**
+	 * Maximum number of requests in flight. Unlimited by default.
+	 */
+	maxConcurrency?: number;
+	/**
+	 * Maximum number of requests started per `interval`. Unlimited by default.
+	 */
+	intervalCap?: number;
+	/**
+	 * Interval of `intervalCap` in milliseconds. Defaults to 1000.
+	 */
+	interval?: number;
+}
+/**
+ * Write actions counted against daily quotas: creating posts and reblogs, following blogs and liking posts
+ */
+export type QuotaAction = "posts" | "follows" | "likes";
+export interface QuotaState {
+	limit: number;
+	remaining: number;
+	resetAt: Date;
+}
+export interface QuotaOptions {
+	/**
+	 * What to do with requests over the quota: reject them with `TumblrQuotaError`, or wait for the reset.
+	 * Defaults to `"reject"`.
+	 */
+	whenExhausted?: "reject" | "wait";
+}
+export interface BulkPostFilter {
+	/**
+	 * Which posts to select. Defaults to `"published"`.
+	 */
+	state?: "published" | "queue" | "draft";
+	/**
+	 * Only posts with the tag, or with all of the tags. Case-insensitive.
+	 */
+	tag?: string | string[];
+	/**
+	 * Only posts of the legacy type
+	 */
+	type?: PostType;
+	/**
+	 * Only posts published at or after the date
+	 */
+	after?: Date | string | number;
+	/**
+	 * Only posts published before the date
+	 */
+	before?: Date | string | number;
+	/**
+	 * Only posts for which it returns `true`, called after the other conditions
+	 */
+	predicate?: (post: Post) => boolean | Promise<boolean>;
+}
+/**
+ * Changes of a post, merged over its current content, layout, tags and slug. Nothing skips the post.
+ */
+export type BulkEditTransform =
+	| ((
+			post: Post
+	  ) => Partial<NpfPostParams> | null | undefined | void | Promise<Partial<NpfPostParams> | null | undefined | void>)
+	| Partial<NpfPostParams>;
+export interface BulkOptions extends RequestOptions {
+	/**
+	 * Select posts and report planned changes without changing anything. Defaults to `false`.
+	 */
+	dryRun?: boolean;
+}
+export interface BulkFailure {
+	id: string;
+	error: Error;
+}
+export interface BulkResult {
+	dryRun: boolean;
+	/**
+	 * Posts that would be changed, in a dry run only. `changes` are the edits of `editPosts`.
+	 */
+	planned: Array<{ id: string; changes?: Partial<NpfPostParams> }>;
+	succeeded: string[];
+	failed: BulkFailure[];
+	/**
+	 * Posts the transform of `editPosts` returned no changes for
+	 */
+	skipped: string[];
+}
+/**
+ * Payload of `progress` events of `client.bulk`, emitted after every selected post
+ */
+export interface BulkProgress {
+	operation: "edit" | "delete";
+	blog: string;
+	id: string;
+	status: "succeeded" | "failed" | "skipped" | "planned";
+	changes?: Partial<NpfPostParams>;
+	error?: Error;
+	/**
+	 * Number of processed posts, including this one
+	 */
+	done: number;
+	/**
+	 * Number of selected posts
+	 */
+	total: number;
+}
+export type ExportCollection = "posts" | "drafts" | "queue" | "submissions" | "likes";
+export interface ExportOptions extends RequestOptions {
+	/**
+	 * Collections to export, in this order. Defaults to all of them.
+	 */
+	collections?: ExportCollection[];
+	/**
+	 * Download media files into the `media` folder of the archive and point media URLs to them. Only the
+	 * original of an image listed in several sizes is kept.
+	 * Defaults to `false`.
+	 */
+	media?: boolean;
+	/**
+	 * Number of items to request per page (sent as `limit`). The API default is used if omitted.
+	 */
+	pageSize?: number;
+}
+export interface ExportResult {
+	directory: string;
+	/**
+	 * Whether an earlier export into the directory was continued
+	 */
+	resumed: boolean;
+	/**
+	 * Number of exported items by collection
+	 */
+	counts: Partial<Record<ExportCollection, number>>;
+	media: {
+		downloaded: number;
+		/**
+		 * Media that couldn't be downloaded keeps its remote URL
+		 */
+		failed: Array<{ url: string; error: Error }>;
+	};
+}
+export type ImportCollection = "posts" | "drafts" | "queue";
+export interface ImportOptions extends RequestOptions {
+	/**
+	 * Collections of the archive to import, in this order. Defaults to all of them.
+	 */
+	collections?: ImportCollection[];
+	/**
+	 * JSON file mapping source post IDs to created post IDs. Defaults to `import-<blog>.json` in the archive.
+	 */
+	mappingFile?: string;
+	/**
+	 * What to do once a posting limit is hit: stop and report `limited`, or wait for the reset.
+	 * Defaults to `"stop"`.
+	 */
+	whenLimited?: "stop" | "wait";
+}
+export interface ImportResult {
+	/**
+	 * Posts created by this run, by source post ID
+	 */
+	created: Array<{ source: string; id: string }>;
+	/**
+	 * Source post IDs created by earlier runs
+	 */
+	existing: string[];
+	skipped: Array<{ source: string; reason: string }>;
+	failed: Array<{ source: string; error: Error }>;
+	/**
+	 * Set when the import stopped at a posting limit, run it again after `resumeAt` to continue
+	 */
+	limited: { error: Error; resumeAt: Date } | null;
+}
+/**
+ * Position of a post watcher: the newest post it has seen and IDs of recently emitted posts
+ */
+export interface WatchCursor {
+	id?: string;
+	/**
+	 * Unix timestamp in seconds
+	 */
+	timestamp?: number;
+	seen: string[];
+}
+/**
+ * Storage of a watcher cursor. Methods may be async.
+ */
+export interface WatchCursorStore {
+	load(): WatchCursor | null | undefined | Promise<WatchCursor | null | undefined>;
+	save(cursor: WatchCursor): void | Promise<void>;
+}
+export interface WatchOptions extends RequestOptions {
+	/**
+	 * Delay between polls in milliseconds. Defaults to 60 seconds.
+	 */
+	interval?: number;
+	/**
+	 * Longest delay between polls in milliseconds. The delay doubles after every poll without new posts
+	 * and after failed polls. Defaults to 15 minutes.
+	 */
+	maxInterval?: number;
+	/**
+	 * Emit posts found by the first poll too. By default, without a saved cursor, the first poll only
+	 * marks where the watcher starts.
+	 */
+	emitExisting?: boolean;
+	/**
+	 * Where to save the cursor after every poll with new posts, so a restarted watcher resumes without
+	 * emitting old posts again: a JSON file path or a custom store
+	 */
+	persist?: string | WatchCursorStore;
+	/**
+	 * Stops the watcher when aborted
+	 */
+	signal?: AbortSignal;
+}
+export type ScheduleWeekday = "sun" | "mon" | "tue" | "wed" | "thu" | "fri" | "sat";
+/**
+ * Recurring time slots, e.g. weekdays at 9:00 and 17:00 in Europe/Berlin
+ */
+export interface ScheduleSlots {
+	/**
+	 * Days with slots: "daily", "weekdays", "weekends" or days of the week, as names or numbers with 0 for
+	 * Sunday. Defaults to "daily".
+	 */
+	days?: "daily" | "weekdays" | "weekends" | ReadonlyArray<ScheduleWeekday | number>;
+	/**
+	 * Local times of the slots, e.g. `["09:00", "17:00"]`
+	 */
+	times: ReadonlyArray<string>;
+	/**
+	 * IANA time zone of the times, e.g. "Europe/Berlin". Defaults to "UTC".
+	 */
+	timeZone?: string;
+}
+export interface ScheduleOptions extends RequestOptions {
+	/**
+	 * First slot not before this date: a `Date` or an ISO 8601 string with a timezone. Defaults to now.
+	 */
+	start?: Date | string;
+	/**
+	 * Last slot not after this date. Planning fails with `RangeError` if posts don't fit. Defaults to a year
+	 * after the start.
+	 */
+	until?: Date | string;
+	/**
+	 * Slots closer than this to a queued post, in milliseconds, are taken. Defaults to 30 minutes.
+	 */
+	minGap?: number;
+	/**
+	 * Other times to treat as queued posts
+	 */
+	taken?: ReadonlyArray<Date | string | number>;
+}
+export interface ScheduledPost {
+	publishOn: Date;
+	/**
+	 * Arguments of `createPost` queueing the post at its slot
 	 */
-	<T>(this: This, blogIdentifier: string, params?: BlogPostsParams): Promise<T>;
+	args: [blogIdentifier: string, params: NpfPostParams];
 }
@@ -0,0 +1,55 @@
+import { EventEmitter } from "node:events";
+import { Post, RequestOptions, WatchCursor, WatchOptions } from "./types";
+
+/**
+ * Polls a list of posts and emits new ones, oldest first, as `post` events and through async iteration
+ *
+ * Polls back off while nothing new comes up and after rate limit errors. Other failed polls are
+ * emitted as `error` events when there are listeners, polling goes on either way.
+ */
+export class PostWatcher extends EventEmitter implements AsyncIterable<Post> {
+	/**
+	 * @param {FetchPosts} fetchPosts
+	 * @param {"id" | "timestamp"} order
+	 * @param {LimitDelay} limitDelay
+	 * @param {WatchOptions} [options]
+	 */
+	constructor(
+		fetchPosts: (
+			cursor: WatchCursor | null,
+			fetched: ReadonlyArray<Post>,
+			requestOptions: RequestOptions
+		) => Promise<Post[] | undefined>,
+		order: "id" | "timestamp",
+		limitDelay: (err: unknown) => number | null,
+		options?: WatchOptions
+	);
+	/**
+	 * Position of the watcher, `null` before the first successful poll
+	 *
+	 * @type {WatchCursor | null}
+	 */
+	get cursor(): WatchCursor | null;
+	/**
+	 * Whether the watcher was stopped
+	 */
+	get stopped(): boolean;
+	/**
+	 * Stops polling, aborts the pending request and ends async iteration
+	 */
+	stop(): void;
+	on(event: "post", listener: (post: Post) => void): this;
+	on(event: "error", listener: (err: Error) => void): this;
+	on(event: "stop", listener: () => void): this;
+	once(event: "post", listener: (post: Post) => void): this;
+	once(event: "error", listener: (err: Error) => void): this;
+	once(event: "stop", listener: () => void): this;
+	off(event: "post", listener: (post: Post) => void): this;
+	off(event: "error", listener: (err: Error) => void): this;
+	off(event: "stop", listener: () => void): this;
+	/**
+	 * @returns {AsyncIterableIterator<Post>}
+	 */
+	[Symbol.asyncIterator](): AsyncIterableIterator<Post>;
+	#private;
+}
@@ -0,0 +1,328 @@
+/*!
+ * Polling watchers of new posts for @serguun42/tumblr.js
+ */
+
+const { EventEmitter } = require("node:events");
+const { promises: fsPromises } = require("node:fs");
+
+/**
+ * @typedef {import('./types').WatchOptions} WatchOptions
+ * @typedef {import('./types').WatchCursor} WatchCursor
+ * @typedef {import('./types').WatchCursorStore} WatchCursorStore
+ * @typedef {import('./types').Post} Post
+ * @typedef {(cursor: WatchCursor | null, fetched: ReadonlyArray<Post>, requestOptions: import('./types').RequestOptions) => Promise<Post[] | undefined>} FetchPosts
+ * Requests the page of posts, newest first, following `fetched` posts of earlier pages of the poll
+ * @typedef {(err: unknown) => number | null} LimitDelay
+ * Milliseconds to wait after a rate limit error, `null` for other errors
+ */
+
+/**
+ * Number of recently emitted post IDs kept in the cursor to dedupe posts across polls
+ */
+const SEEN_LIMIT = 500;
+
+/**
+ * Most pages requested by one poll. Posts older than that many pages are skipped after a long downtime.
+ */
+const MAX_PAGES_PER_POLL = 10;
+
+/**
+ * Stores the cursor as a JSON file
+ *
+ * @param {string} file
+ *
+ * @returns {WatchCursorStore}
+ */
+function fileCursorStore(file) {
+	return {
+		async load() {
+			try {
+				return JSON.parse(await fsPromises.readFile(file, "utf8"));
+			} catch (err) {
+				if (/** @type {NodeJS.ErrnoException} */ (err).code === "ENOENT") return null;
+				throw err;
+			}
+		},
+		async save(cursor) {
+			// Renaming replaces the file at once, a restart never finds it half-written
+			await fsPromises.writeFile(`${file}.tmp`, JSON.stringify(cursor));
+			await fsPromises.rename(`${file}.tmp`, file);
+		}
+	};
+}
+
+/**
+ * Polls a list of posts and emits new ones, oldest first, as `post` events and through async iteration
+ *
+ * Polls back off while nothing new comes up and after rate limit errors. Other failed polls are
+ * emitted as `error` events when there are listeners, polling goes on either way.
+ */
+class PostWatcher extends EventEmitter {
+	/** @type {FetchPosts} */
+	#fetchPosts;
+
+	/**
+	 * Whether newer posts have greater IDs or only later timestamps
+	 * @type {"id" | "timestamp"}
+	 */
+	#order;
+
+	/** @type {LimitDelay} */
+	#limitDelay;
+
+	/** @type {number} */
+	#baseInterval;
+
+	/** @type {number} */
+	#maxInterval;
+
+	/** @type {number} */
+	#interval;
+
+	#emitExisting = false;
+
+	/** @type {WatchCursorStore | null} */
+	#store = null;
+
+	/** @type {import('./types').RequestOptions} */
+	#requestOptions;
+
+	/** @type {WatchCursor | null} */
+	#cursor = null;
+
+	#loaded = false;
+
+	/** @type {NodeJS.Timeout | null} */
+	#timer = null;
+
+	#controller = new AbortController();
+
+	#stopped = false;
+
+	/**
+	 * Posts not taken by async iterators yet, only kept once iteration started
+	 * @type {Post[]}
+	 */
+	#buffer = [];
+
+	#iterating = false;
+
+	/** @type {Array<(result: IteratorResult<Post, undefined>) => void>} */
+	#waiting = [];
+
+	/**
+	 * @param {FetchPosts} fetchPosts
+	 * @param {"id" | "timestamp"} order
+	 * @param {LimitDelay} limitDelay
+	 * @param {WatchOptions} [options]
+	 */
+	constructor(fetchPosts, order, limitDelay, options) {
+		super();
+
+		const {
+			interval = 60 * 1000,
+			maxInterval = 15 * 60 * 1000,
+			emitExisting = false,
+			persist,
+			signal,
+			...requestOptions
+		} = options ?? {};
+
+		if (typeof interval !== "number" || !(interval > 0)) {
+			throw new TypeError("interval option must be a positive number of milliseconds.");
+		}
+		if (typeof maxInterval !== "number" || !(maxInterval >= interval)) {
+			throw new TypeError("maxInterval option must be a number of milliseconds not less than interval.");
+		}
+		if (persist !== undefined && typeof persist !== "string" && typeof persist?.load !== "function") {
+			throw new TypeError("persist option must be a file path or an object with load and save methods.");
+		}
+
+		this.#fetchPosts = fetchPosts;
+		this.#order = order;
+		this.#limitDelay = limitDelay;
+		this.#baseInterval = this.#interval = interval;
+		this.#maxInterval = maxInterval;
+		this.#emitExisting = emitExisting;
+		this.#store = persist === undefined ? null : typeof persist === "string" ? fileCursorStore(persist) : persist;
+		this.#requestOptions = { ...requestOptions, signal: this.#controller.signal };
+
+		if (signal?.aborted) {
+			this.#stopped = true;
+			return;
+		}
+		signal?.addEventListener("abort", () => this.stop(), { once: true });
+
+		// The first poll waits for listeners added right after creating the watcher
+		this.#timer = setTimeout(() => this.#poll(), 0);
+	}
+
+	/**
+	 * Position of the watcher, `null` before the first successful poll
+	 *
+	 * @type {WatchCursor | null}
+	 */
+	get cursor() {
+		return this.#cursor && { ...this.#cursor, seen: [...this.#cursor.seen] };
+	}
+
+	/**
+	 * Whether the watcher was stopped
+	 */
+	get stopped() {
+		return this.#stopped;
+	}
+
+	/**
+	 * Stops polling, aborts the pending request and ends async iteration
+	 */
+	stop() {
+		if (this.#stopped) return;
+
+		this.#stopped = true;
+		if (this.#timer) clearTimeout(this.#timer);
+		this.#timer = null;
+		this.#controller.abort();
+
+		for (const resolve of this.#waiting.splice(0)) resolve({ value: undefined, done: true });
+		this.emit("stop");
+	}
+
+	/**
+	 * @returns {AsyncIterableIterator<Post>}
+	 */
+	[Symbol.asyncIterator]() {
+		this.#iterating = true;
+
+		return {
+			next: () => {
+				const post = this.#buffer.shift();
+				if (post) return Promise.resolve({ value: post, done: false });
+				if (this.#stopped) return Promise.resolve({ value: undefined, done: true });
+
+				return new Promise((resolve) => this.#waiting.push(resolve));
+			},
+			return: () => {
+				this.stop();
+				return Promise.resolve({ value: undefined, done: true });
+			},
+			[Symbol.asyncIterator]() {
+				return this;
+			}
+		};
+	}
+
+	async #poll() {
+		this.#timer = null;
+		let delay;
+
+		try {
+			if (!this.#loaded) {
+				this.#cursor = (await this.#store?.load()) ?? null;
+				this.#loaded = true;
+			}
+
+			const cursor = this.#cursor;
+			const posts = await this.#fetchNewPosts(cursor);
+			if (this.#stopped) return;
+
+			const seen = new Set(cursor?.seen);
+			const fresh = posts
+				.filter((post) => !seen.has(post.id_string) && (!cursor || this.#isNewer(post, cursor)))
+				.sort((a, b) => this.#compare(a, b));
+
+			if (fresh.length || !cursor) {
+				const latest = fresh[fresh.length - 1];
+				this.#cursor = {
+					id:
+						cursor?.id && (!latest || BigInt(cursor.id) > BigInt(latest.id_string))
+							? cursor.id
+							: latest?.id_string,
+					timestamp: Math.max(cursor?.timestamp ?? 0, latest?.timestamp ?? 0) || undefined,
+					seen: [...(cursor?.seen ?? []), ...fresh.map((post) => post.id_string)].slice(-SEEN_LIMIT)
+				};
+				await this.#store?.save(this.#cursor);
+			}
+
+			// Without a saved cursor the first poll only marks where the watcher starts
+			if (cursor || this.#emitExisting) {
+				for (const post of fresh) {
+					if (this.#stopped) break;
+					this.#deliver(post);
+				}
+			}
+
+			// Backs off while idle, returns to the base interval as soon as something new comes up
+			this.#interval = fresh.length ? this.#baseInterval : Math.min(this.#interval * 2, this.#maxInterval);
+			delay = this.#interval;
+		} catch (err) {
+			if (this.#stopped) return;
+
+			this.#interval = Math.min(this.#interval * 2, this.#maxInterval);
+			delay = this.#limitDelay(err) ?? this.#interval;
+			if (this.listenerCount("error")) this.emit("error", err);
+		}
+
+		if (!this.#stopped) this.#timer = setTimeout(() => this.#poll(), delay);
+	}
+
+	/**
+	 * Requests pages back from the latest one until reaching the cursor
+	 *
+	 * @param {WatchCursor | null} cursor
+	 *
+	 * @returns {Promise<Post[]>} posts of all pages, newest first
+	 */
+	async #fetchNewPosts(cursor) {
+		/** @type {Post[]} */
+		const posts = [];
+
+		for (let page = 0; page < MAX_PAGES_PER_POLL && !this.#stopped; page++) {
+			const items = (await this.#fetchPosts(cursor, posts, this.#requestOptions)) ?? [];
+			posts.push(...items);
+
+			// Without a cursor the latest page is enough to mark where the watcher starts
+			if (!items.length || !cursor || items.some((post) => !this.#isNewer(post, cursor))) break;
+		}
+
+		return posts;
+	}
+
+	/**
+	 * @param {Post} post
+	 */
+	#deliver(post) {
+		this.emit("post", post);
+
+		const resolve = this.#waiting.shift();
+		if (resolve) resolve({ value: post, done: false });
+		else if (this.#iterating) this.#buffer.push(post);
+	}
+
+	/**
+	 * @param {Post} post
+	 * @param {WatchCursor} cursor
+	 *
+	 * @returns {boolean}
+	 */
+	#isNewer(post, cursor) {
+		if (this.#order === "timestamp") return post.timestamp >= (cursor.timestamp ?? 0);
+
+		return !cursor.id || BigInt(post.id_string) > BigInt(cursor.id);
+	}
+
+	/**
+	 * @param {Post} a
+	 * @param {Post} b
+	 *
+	 * @returns {number} negative if `a` is older
+	 */
+	#compare(a, b) {
+		if (this.#order === "timestamp" && a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+
+		const difference = BigInt(a.id_string) - BigInt(b.id_string);
+		return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+	}
+}
+
+module.exports = { PostWatcher };